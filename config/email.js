@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Outgoing email configuration
+ */
+export const emailConfig = {
+  // smtp, or file / memory to keep emails on this machine during development
+  transport: process.env.EMAIL_TRANSPORT || (isProduction ? 'smtp' : 'file'),
+
+  smtp: {
+    host: process.env.SMTP_HOST || 'smtp.resend.com',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    user: process.env.SMTP_USER || 'resend',
+    pass: process.env.SMTP_PASS || process.env.RESEND_API_KEY
+  },
+
+  from: process.env.EMAIL_FROM || 'noreply@goalsync.com',
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+
+  // Compiled templates are kept in memory; off in development so edits
+  // to templates/emails show up without a restart
+  cacheTemplates: isProduction,
+
+  // Where the file transport writes .eml files
+  outputDir: process.env.EMAIL_OUTPUT_DIR || 'tmp/emails',
+
+  // Most messages the memory transport keeps
+  memoryLimit: 100,
+
+  // Delivery retries from the outbox
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6,
+  backoff: { strategy: 'exponential', delayMs: 60 * 1000, maxDelayMs: 2 * 60 * 60 * 1000 },
+
+  // Sent and cancelled emails are kept this long
+  keepDays: parseInt(process.env.EMAIL_KEEP_DAYS) || 30,
+
+  // Serve the /dev/emails preview of the outbox; opt-in and
+  // never in production, since it shows reset and verification links
+  previewEnabled: !isProduction && process.env.EMAIL_PREVIEW === 'true'
+};
+
+export default emailConfig;
@@ -0,0 +1,37 @@
+import os from 'os';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Background job queue configuration
+ */
+export const jobsConfig = {
+  // Set JOBS_ENABLED=false on instances that should only serve requests
+  enabled: process.env.JOBS_ENABLED !== 'false',
+
+  // Identifies this process in job locks
+  workerId: process.env.JOB_WORKER_ID || `${os.hostname()}:${process.pid}`,
+
+  // How often an idle worker looks for due jobs
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5 * 1000,
+
+  // Jobs one process runs at the same time
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+
+  // A running job's lock is renewed while it runs; a lock left this long
+  // without renewal is treated as abandoned and the job is run again
+  lockTtlMs: parseInt(process.env.JOB_LOCK_TTL_MS) || 5 * 60 * 1000,
+
+  // Defaults for jobs that do not set their own
+  maxAttempts: 5,
+  backoff: { strategy: 'exponential', delayMs: 30 * 1000, maxDelayMs: 60 * 60 * 1000 },
+
+  // Finished jobs are kept this long for the admin view
+  keepFinishedDays: parseInt(process.env.JOB_KEEP_FINISHED_DAYS) || 14,
+
+  // Timezone cron schedules are evaluated in
+  timeZone: process.env.JOB_TIMEZONE || 'UTC'
+};
+
+export default jobsConfig;
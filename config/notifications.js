@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Notification email configuration
+ */
+export const notificationsConfig = {
+  // Local hour daily and weekly digests are sent at
+  digestHour: parseInt(process.env.DIGEST_HOUR || '8'),
+
+  // Users on "immediate" get one email per burst of notifications sent
+  // within this window
+  immediateDelayMs: parseInt(process.env.DIGEST_IMMEDIATE_DELAY_MS) || 2 * 60 * 1000,
+
+  // Most notifications listed in a single digest
+  maxDigestItems: parseInt(process.env.DIGEST_MAX_ITEMS) || 100,
+
+  // Public base URL of this API, used for unsubscribe links
+  apiBaseUrl: process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3003}`,
+
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
+};
+
+export default notificationsConfig;
@@ -0,0 +1,78 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+/**
+ * File storage configuration
+ * Selects the storage driver and the upload limits for each subscription plan
+ */
+export const storageConfig = {
+  // 'local' (default) or 's3'
+  driver: process.env.STORAGE_DRIVER || 'local',
+
+  // Local disk driver
+  local: {
+    rootDir: process.env.UPLOAD_DIR || 'uploads'
+  },
+
+  // S3-compatible driver (AWS S3, MinIO, ...)
+  s3: {
+    bucket: process.env.S3_BUCKET_NAME,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+  },
+
+  // Signed download URLs
+  signingSecret: process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'fallback-secret-key',
+  signedUrlTtlSeconds: parseInt(process.env.FILE_URL_TTL_SECONDS) || 15 * 60,
+
+  // Public base URL of this API, used for local driver download links
+  apiBaseUrl: process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3003}`,
+
+  // Per-file size limit by subscription plan
+  maxFileSize: {
+    free: 10 * MB,
+    premium: 100 * MB,
+    enterprise: 500 * MB
+  },
+
+  // Total storage by subscription plan: `user` caps what one person has
+  // uploaded anywhere, `goal` caps each goal (by the goal owner's plan)
+  storageQuota: {
+    free: { user: 1 * GB, goal: 2 * GB },
+    premium: { user: 50 * GB, goal: 100 * GB },
+    enterprise: { user: 1024 * GB, goal: 2048 * GB }
+  },
+
+  // Deleted files keep their blobs this long before the cleanup job purges them
+  deletedFileGraceDays: parseInt(process.env.DELETED_FILE_GRACE_DAYS) || 7,
+
+  // Files per upload request
+  maxFilesPerUpload: 10,
+
+  // Thumbnails generated for images and PDF first pages
+  previewSizes: {
+    small: { width: 150, height: 150, fit: 'cover' },
+    medium: { width: 400, height: 400, fit: 'inside' },
+    large: { width: 1024, height: 1024, fit: 'inside' }
+  },
+
+  // Poppler's pdftoppm renders PDF first pages for previews
+  pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+
+  getMaxFileSize(plan) {
+    return this.maxFileSize[plan] || this.maxFileSize.free;
+  },
+
+  getStorageQuota(plan) {
+    return this.storageQuota[plan] || this.storageQuota.free;
+  }
+};
+
+export default storageConfig;
@@ -7,6 +7,7 @@ import UserSettings from '../models/UserSettings.js';
 import UserProfile from '../models/UserProfile.js';
 import jwtUtils from '../utils/jwt.js';
 import emailService from '../utils/email.js';
+import notificationService from '../services/notificationService.js';
 
 class AuthController {
   /**
@@ -66,6 +67,11 @@ class AuthController {
       // Create session
       await jwtUtils.createSession(user._id, deviceInfo, tokenPair.refreshToken);
 
+      // Queue the welcome email; signup does not depend on it
+      emailService.sendWelcomeEmail(user).catch(emailError => {
+        console.error('Failed to queue welcome email:', emailError.message);
+      });
+
       res.status(201).json({
         success: true,
         message: 'Account created successfully',
@@ -137,8 +143,12 @@ class AuthController {
         deviceId: deviceInfo.deviceId
       });
 
-      // Create session
+      // Create session, warning the user if the device is new to us
+      const newDevice = await isUnrecognizedDevice(user._id, deviceInfo);
       await jwtUtils.createSession(user._id, deviceInfo, tokenPair.refreshToken);
+      if (newDevice) {
+        await sendNewDeviceAlert(user._id, deviceInfo);
+      }
 
       res.json({
         success: true,
@@ -373,6 +383,13 @@ class AuthController {
         await global.socketService.forceDisconnectUser(decoded.userId, 'Password was reset');
       }
 
+      await notificationService.notifySecurityAlert(decoded.userId, {
+        alert: 'password_reset',
+        title: 'Your password was reset',
+        message: 'Your password was changed and all sessions were signed out. If this was not you, contact support immediately.',
+        data: { ipAddress: req.ip }
+      }, { mandatory: true });
+
       res.json({
         success: true,
         message: 'Password reset successfully. Please log in with your new password.'
@@ -530,8 +547,12 @@ class AuthController {
         deviceId: deviceInfo.deviceId
       });
 
-      // Create session
+      // Create session, warning the user if the device is new to us
+      const newDevice = await isUnrecognizedDevice(user._id, deviceInfo);
       await jwtUtils.createSession(user._id, deviceInfo, tokenPair.refreshToken);
+      if (newDevice) {
+        await sendNewDeviceAlert(user._id, deviceInfo);
+      }
 
       res.json({
         success: true,
@@ -578,4 +599,29 @@ class AuthController {
   }
 }
 
+/**
+ * Whether a user with earlier sessions is signing in from a browser or
+ * app we have not seen for them before
+ */
+async function isUnrecognizedDevice(userId, deviceInfo) {
+  const [hasSessions, seen] = await Promise.all([
+    UserSession.exists({ userId }),
+    UserSession.exists({ userId, userAgent: deviceInfo.userAgent })
+  ]);
+  return Boolean(hasSessions) && !seen;
+}
+
+function sendNewDeviceAlert(userId, deviceInfo) {
+  return notificationService.notifySecurityAlert(userId, {
+    alert: 'new_device',
+    title: 'New sign-in to your account',
+    message: `Your account was signed in to from a new device (${deviceInfo.ipAddress}). If this was not you, reset your password.`,
+    data: {
+      deviceId: deviceInfo.deviceId,
+      ipAddress: deviceInfo.ipAddress,
+      userAgent: deviceInfo.userAgent
+    }
+  });
+}
+
 export default new AuthController(); 
\ No newline at end of file
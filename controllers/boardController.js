@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import List from '../models/List.js';
+import boardService from '../services/boardService.js';
+import { serializeTask } from './taskController.js';
+import { applyUpdates } from '../utils/query.js';
+
+// Fields a client may set when creating or updating a list
+const LIST_FIELDS = ['title', 'color', 'description'];
+
+class BoardController {
+  /**
+   * Get a goal's board: active lists with their ordered tasks
+   */
+  async getBoard(req, res) {
+    try {
+      const goal = req.goal;
+
+      const board = await boardService.getBoard(goal._id);
+
+      res.json({
+        success: true,
+        data: {
+          goalId: goal._id,
+          lists: board.lists.map(({ list, tasks }) => ({
+            ...list.toJSON(),
+            tasks: tasks.map(serializeTask)
+          })),
+          unlistedTasks: board.unlistedTasks.map(serializeTask)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get board error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch board'
+      });
+    }
+  }
+
+  /**
+   * Create a list at the end of a goal's board
+   */
+  async createList(req, res) {
+    try {
+      const userId = req.user._id;
+      const goal = req.goal;
+
+      const data = {};
+      LIST_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+
+      const list = await boardService.createList(goal._id, data, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'List created successfully',
+        data: { list }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create list'
+      });
+    }
+  }
+
+  /**
+   * Reorder all active lists of a goal
+   */
+  async reorderLists(req, res) {
+    try {
+      const goal = req.goal;
+
+      if (!Array.isArray(req.body.listIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'listIds must be an array'
+        });
+      }
+
+      const lists = await boardService.reorderLists(goal._id, req.body.listIds);
+
+      res.json({
+        success: true,
+        message: 'Lists reordered successfully',
+        data: { lists }
+      });
+
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Reorder lists error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reorder lists'
+      });
+    }
+  }
+
+  /**
+   * Update a list
+   */
+  async updateList(req, res) {
+    try {
+      const list = req.list;
+
+      applyUpdates(list, req.body, LIST_FIELDS);
+      await list.save();
+
+      res.json({
+        success: true,
+        message: 'List updated successfully',
+        data: { list }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update list'
+      });
+    }
+  }
+
+  /**
+   * Archive or unarchive a list
+   */
+  async archiveList(req, res) {
+    try {
+      const list = req.list;
+
+      list.archived = req.body.archived !== false;
+      await list.save();
+
+      res.json({
+        success: true,
+        message: list.archived ? 'List archived successfully' : 'List unarchived successfully',
+        data: { list }
+      });
+
+    } catch (error) {
+      console.error('Archive list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to archive list'
+      });
+    }
+  }
+
+  /**
+   * Move a list to a new index on the board
+   */
+  async moveList(req, res) {
+    try {
+      const list = req.list;
+
+      const moved = await boardService.moveList(list, req.body.toIndex);
+
+      res.json({
+        success: true,
+        message: 'List moved successfully',
+        data: { list: moved }
+      });
+
+    } catch (error) {
+      console.error('Move list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to move list'
+      });
+    }
+  }
+
+  /**
+   * Reorder all active tasks in a list
+   */
+  async reorderTasks(req, res) {
+    try {
+      const list = req.list;
+
+      if (!Array.isArray(req.body.taskIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'taskIds must be an array'
+        });
+      }
+
+      const tasks = await boardService.reorderTasks(list._id, req.body.taskIds);
+
+      res.json({
+        success: true,
+        message: 'Tasks reordered successfully',
+        data: { tasks: tasks.map(serializeTask) }
+      });
+
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Reorder tasks error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reorder tasks'
+      });
+    }
+  }
+
+  /**
+   * Move a task to an index within a list of the same goal
+   */
+  async moveTask(req, res) {
+    try {
+      const userId = req.user._id;
+      const { listId, toIndex } = req.body;
+
+      const task = req.task;
+      const goal = req.goal;
+
+      if (!goal) {
+        return res.status(400).json({
+          success: false,
+          message: 'Task does not belong to a goal board'
+        });
+      }
+
+      const targetListId = listId || task.listId;
+      const list = mongoose.isValidObjectId(targetListId) &&
+        await List.findOne({ _id: targetListId, goalId: goal._id, archived: false });
+
+      if (!list) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target list does not belong to this goal'
+        });
+      }
+
+      const moved = await boardService.moveTask(task, list._id, toIndex, userId);
+
+      res.json({
+        success: true,
+        message: 'Task moved successfully',
+        data: { task: serializeTask(moved) }
+      });
+
+    } catch (error) {
+      console.error('Move task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to move task'
+      });
+    }
+  }
+}
+
+export default new BoardController();
@@ -0,0 +1,307 @@
+import mongoose from 'mongoose';
+import ChecklistItem from '../models/ChecklistItem.js';
+import checklistService from '../services/checklistService.js';
+import { canAccessGoal } from '../middleware/goalAccess.js';
+import { applyUpdates } from '../utils/query.js';
+import { serializeTask } from './taskController.js';
+
+// Fields a client may set when creating or updating a checklist item
+const ITEM_FIELDS = ['label', 'notes', 'priority', 'dueDate'];
+
+class ChecklistController {
+  /**
+   * List a task's checklist items in order
+   */
+  async getItems(req, res) {
+    try {
+      const includeCompleted = req.query.includeCompleted !== 'false';
+      const items = await ChecklistItem.findByTask(req.task._id, includeCompleted);
+
+      res.json({
+        success: true,
+        data: {
+          items,
+          progress: req.task.checklistProgress
+        }
+      });
+
+    } catch (error) {
+      console.error('Get checklist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch checklist'
+      });
+    }
+  }
+
+  /**
+   * Add an item to the end of a task's checklist
+   */
+  async createItem(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const data = {};
+      ITEM_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+
+      if (req.body.assigneeId) {
+        const invalid = await validateAssignee(req, req.body.assigneeId);
+        if (invalid) {
+          return res.status(400).json({
+            success: false,
+            message: invalid
+          });
+        }
+        data.assigneeId = req.body.assigneeId;
+        data.assignedBy = userId;
+      }
+
+      const item = await checklistService.createItem(req.task._id, data, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Checklist item created successfully',
+        data: { item }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create checklist item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create checklist item'
+      });
+    }
+  }
+
+  /**
+   * Update a checklist item, including completion and assignee
+   */
+  async updateItem(req, res) {
+    try {
+      const userId = req.user._id;
+      const { completed, assigneeId } = req.body;
+
+      const item = await findTaskItem(req.params.itemId, req.task._id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checklist item not found'
+        });
+      }
+
+      const changes = applyUpdates(item, req.body, ITEM_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        item.addAuditLog('updated', userId, changes);
+      }
+
+      if (assigneeId !== undefined && String(assigneeId) !== String(item.assigneeId)) {
+        if (assigneeId) {
+          const invalid = await validateAssignee(req, assigneeId);
+          if (invalid) {
+            return res.status(400).json({
+              success: false,
+              message: invalid
+            });
+          }
+          item.assigneeId = assigneeId;
+          item.assignedAt = new Date();
+          item.assignedBy = userId;
+          item.addAuditLog('assigned', userId, { assigneeId });
+        } else {
+          item.addAuditLog('unassigned', userId, { previousAssigneeId: item.assigneeId });
+          item.assigneeId = null;
+        }
+      }
+
+      if (completed !== undefined && Boolean(completed) !== item.completed) {
+        item.completed = Boolean(completed);
+        item.completedBy = item.completed ? userId : null;
+        item.addAuditLog(item.completed ? 'completed' : 'uncompleted', userId);
+      }
+
+      await item.save();
+
+      res.json({
+        success: true,
+        message: 'Checklist item updated successfully',
+        data: { item }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update checklist item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update checklist item'
+      });
+    }
+  }
+
+  /**
+   * Soft delete a checklist item
+   */
+  async deleteItem(req, res) {
+    try {
+      const item = await findTaskItem(req.params.itemId, req.task._id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checklist item not found'
+        });
+      }
+
+      await item.softDelete(req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Checklist item deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete checklist item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete checklist item'
+      });
+    }
+  }
+
+  /**
+   * Reorder all active checklist items of a task
+   */
+  async reorderItems(req, res) {
+    try {
+      if (!Array.isArray(req.body.itemIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'itemIds must be an array'
+        });
+      }
+
+      const items = await checklistService.reorderItems(req.task._id, req.body.itemIds);
+
+      res.json({
+        success: true,
+        message: 'Checklist reordered successfully',
+        data: { items }
+      });
+
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Reorder checklist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reorder checklist'
+      });
+    }
+  }
+
+  /**
+   * Complete (or reopen) several checklist items at once
+   */
+  async bulkComplete(req, res) {
+    try {
+      const { itemIds, completed = true } = req.body;
+
+      if (itemIds !== undefined && !Array.isArray(itemIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'itemIds must be an array'
+        });
+      }
+
+      const result = await checklistService.setCompleted(req.task._id, itemIds || null, Boolean(completed), req.user._id);
+      const items = await ChecklistItem.findByTask(req.task._id);
+
+      res.json({
+        success: true,
+        message: `${result.updated} checklist item(s) updated`,
+        data: { items, progress: result.progress }
+      });
+
+    } catch (error) {
+      console.error('Bulk complete checklist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update checklist items'
+      });
+    }
+  }
+
+  /**
+   * Turn a checklist item into a subtask of the task
+   */
+  async promoteToSubtask(req, res) {
+    try {
+      const item = await findTaskItem(req.params.itemId, req.task._id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checklist item not found'
+        });
+      }
+
+      const subtask = await checklistService.promoteToSubtask(req.task, item, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Checklist item promoted to subtask',
+        data: { task: serializeTask(subtask) }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Promote checklist item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to promote checklist item'
+      });
+    }
+  }
+}
+
+/**
+ * Find a non-deleted checklist item belonging to a task
+ */
+function findTaskItem(itemId, taskId) {
+  if (!mongoose.isValidObjectId(itemId)) return null;
+  return ChecklistItem.findOne({ _id: itemId, taskId, deletedAt: null });
+}
+
+/**
+ * Explain why a user cannot be assigned a checklist item, or return null
+ */
+async function validateAssignee(req, assigneeId) {
+  if (!mongoose.isValidObjectId(assigneeId)) {
+    return 'Invalid assignee';
+  }
+  if (!req.goal) {
+    return String(assigneeId) === String(req.user._id) ? null : 'Personal task items can only be assigned to yourself';
+  }
+  return await canAccessGoal(req.goal, assigneeId) ? null : 'Assignee must be a member of this goal';
+}
+
+export default new ChecklistController();
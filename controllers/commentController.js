@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import TaskComment from '../models/TaskComment.js';
+import commentService, { serializeComment } from '../services/commentService.js';
+import { parsePagination, buildPagination } from '../utils/query.js';
+
+const AUTHOR_FIELDS = 'name username avatarUrl';
+
+class CommentController {
+  /**
+   * List a task's threads, oldest first, each collapsed to its latest replies
+   */
+  async getComments(req, res) {
+    try {
+      const pagination = parsePagination(req.query, 50);
+      const { threads, total } = await commentService.getThreads(req.task._id, pagination);
+
+      res.json({
+        success: true,
+        data: {
+          comments: threads,
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get comments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch comments'
+      });
+    }
+  }
+
+  /**
+   * List all replies in a thread, oldest first
+   */
+  async getReplies(req, res) {
+    try {
+      const thread = await findTaskComment(req.params.commentId, req.task._id, { includeDeleted: true });
+      if (!thread || thread.parentId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+
+      const pagination = parsePagination(req.query, 50);
+      const query = TaskComment.findReplies(thread._id);
+
+      const [replies, total] = await Promise.all([
+        query.clone()
+          .populate('authorId', AUTHOR_FIELDS)
+          .sort({ createdAt: 1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        query.clone().countDocuments()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          thread: serializeComment(thread),
+          replies: replies.map(serializeComment),
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get replies error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch replies'
+      });
+    }
+  }
+
+  /**
+   * Comment on a task
+   */
+  async createComment(req, res) {
+    try {
+      const { content } = req.body;
+
+      if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Comment content is required'
+        });
+      }
+
+      let parentId = null;
+      if (req.body.parentId) {
+        const parent = await findTaskComment(req.body.parentId, req.task._id);
+        if (!parent) {
+          return res.status(404).json({
+            success: false,
+            message: 'Thread not found'
+          });
+        }
+        // Replies always attach to the top-level comment of their thread
+        parentId = parent.parentId || parent._id;
+      }
+
+      const comment = await commentService.createComment(req.task, req.goal, req.user._id, content, parentId);
+
+      res.status(201).json({
+        success: true,
+        message: parentId ? 'Reply added successfully' : 'Comment added successfully',
+        data: { comment: serializeComment(comment) }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add comment'
+      });
+    }
+  }
+
+  /**
+   * Edit one of the current user's comments
+   */
+  async updateComment(req, res) {
+    try {
+      const { content } = req.body;
+
+      const comment = await findTaskComment(req.params.commentId, req.task._id);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      if (!comment.authorId.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit your own comments'
+        });
+      }
+
+      if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Comment content is required'
+        });
+      }
+
+      if (content.trim() !== comment.content) {
+        await commentService.editComment(comment, req.task, req.goal, content, req.user._id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Comment updated successfully',
+        data: { comment: serializeComment(comment) }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update comment'
+      });
+    }
+  }
+
+  /**
+   * Add or remove the current user's emoji reaction
+   */
+  async toggleReaction(req, res) {
+    try {
+      const { emoji } = req.body;
+
+      if (!TaskComment.isValidReaction(emoji)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reaction must be an emoji'
+        });
+      }
+
+      const comment = await findTaskComment(req.params.commentId, req.task._id);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      const result = await commentService.toggleReaction(comment, req.task, emoji, req.user._id);
+
+      res.json({
+        success: true,
+        message: result.added ? 'Reaction added' : 'Reaction removed',
+        data: {
+          comment: serializeComment(result.comment),
+          added: result.added
+        }
+      });
+
+    } catch (error) {
+      console.error('Toggle reaction error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update reaction'
+      });
+    }
+  }
+
+  /**
+   * Resolve or reopen a thread
+   */
+  async resolveThread(req, res) {
+    try {
+      const resolved = req.body.resolved !== false;
+
+      const thread = await findTaskComment(req.params.commentId, req.task._id, { includeDeleted: true });
+      if (!thread || thread.parentId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+
+      if (!thread.authorId.equals(req.user._id) && !req.goalAccess.permissions.canEdit) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to resolve this thread'
+        });
+      }
+
+      if (resolved !== thread.isResolved) {
+        await commentService.setResolved(thread, req.task, resolved, req.user._id);
+      }
+
+      res.json({
+        success: true,
+        message: resolved ? 'Thread resolved' : 'Thread reopened',
+        data: { comment: serializeComment(thread) }
+      });
+
+    } catch (error) {
+      console.error('Resolve thread error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update thread'
+      });
+    }
+  }
+
+  /**
+   * Get the previous versions of a comment
+   */
+  async getCommentHistory(req, res) {
+    try {
+      const comment = await findTaskComment(req.params.commentId, req.task._id);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      await comment.populate('editHistory.editedBy', AUTHOR_FIELDS);
+
+      res.json({
+        success: true,
+        data: {
+          commentId: comment._id,
+          content: comment.content,
+          editedAt: comment.editedAt,
+          history: comment.editHistory
+        }
+      });
+
+    } catch (error) {
+      console.error('Get comment history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch comment history'
+      });
+    }
+  }
+
+  /**
+   * Delete a comment. Authors can delete their own; member managers can
+   * delete any comment on the goal.
+   */
+  async deleteComment(req, res) {
+    try {
+      const comment = await findTaskComment(req.params.commentId, req.task._id);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      if (!comment.authorId.equals(req.user._id) && !req.goalAccess.permissions.canManageMembers) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete your own comments'
+        });
+      }
+
+      await commentService.deleteComment(comment, req.task, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Comment deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete comment'
+      });
+    }
+  }
+}
+
+/**
+ * Find a comment belonging to a task, skipping deleted ones unless asked
+ */
+function findTaskComment(commentId, taskId, { includeDeleted = false } = {}) {
+  if (!mongoose.isValidObjectId(commentId)) return null;
+  const query = { _id: commentId, taskId };
+  if (!includeDeleted) query.deletedAt = null;
+  return TaskComment.findOne(query);
+}
+
+export default new CommentController();
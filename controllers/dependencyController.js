@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { resolveGoalAccess } from '../middleware/goalAccess.js';
+import dependencyService from '../services/dependencyService.js';
+import { serializeTask } from './taskController.js';
+
+class DependencyController {
+  /**
+   * List the tasks a task is blocked by and the tasks it blocks
+   */
+  async getDependencies(req, res) {
+    try {
+      const dependencies = await dependencyService.getDependencies(req.task, req.user._id);
+
+      res.json({
+        success: true,
+        data: dependencies
+      });
+
+    } catch (error) {
+      console.error('Get dependencies error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch dependencies'
+      });
+    }
+  }
+
+  /**
+   * Add a dependency: { blockedBy: taskId } makes this task wait for
+   * another one, { blocks: taskId } makes another task wait for this one.
+   * The other task may be in any goal the user can access; making it
+   * wait also needs edit permission on its goal.
+   */
+  async addDependency(req, res) {
+    try {
+      const userId = req.user._id;
+      const { blockedBy, blocks } = req.body;
+
+      if (Boolean(blockedBy) === Boolean(blocks)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide either blockedBy or blocks'
+        });
+      }
+
+      if (blockedBy) {
+        const predecessor = await findAccessibleTask(blockedBy, userId);
+        await dependencyService.addDependency(req.task, predecessor, userId);
+      } else {
+        const successor = await findAccessibleTask(blocks, userId, 'canEdit');
+        await dependencyService.addDependency(successor, req.task, userId);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Dependency added successfully',
+        data: {
+          task: serializeTask(req.task),
+          dependencies: await dependencyService.getDependencies(req.task, userId)
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.permission && { requiredPermission: error.permission }),
+          ...(error.cycle && { cycle: error.cycle })
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Add dependency error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add dependency'
+      });
+    }
+  }
+
+  /**
+   * Remove the dependency between this task and another, in whichever
+   * direction it exists
+   */
+  async removeDependency(req, res) {
+    try {
+      const userId = req.user._id;
+      const { taskId } = req.params;
+
+      let removed = await dependencyService.removeDependency(req.task, taskId, userId);
+
+      if (!removed) {
+        const successor = await findAccessibleTask(taskId, userId, 'canEdit');
+        removed = await dependencyService.removeDependency(successor, req.task._id, userId);
+      }
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dependency not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Dependency removed successfully',
+        data: {
+          task: serializeTask(req.task),
+          dependencies: await dependencyService.getDependencies(req.task, userId)
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.permission && { requiredPermission: error.permission })
+        });
+      }
+      console.error('Remove dependency error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove dependency'
+      });
+    }
+  }
+
+  /**
+   * A goal's dependency graph, including linked tasks in other goals
+   */
+  async getGoalGraph(req, res) {
+    try {
+      const graph = await dependencyService.getGoalGraph(req.goal, req.user._id);
+
+      res.json({
+        success: true,
+        data: graph
+      });
+
+    } catch (error) {
+      console.error('Get dependency graph error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch dependency graph'
+      });
+    }
+  }
+}
+
+/**
+ * Find a task the user can access, optionally requiring a permission on
+ * its goal. A task the user cannot see is reported as not found.
+ */
+async function findAccessibleTask(taskId, userId, permission = null) {
+  const task = mongoose.isValidObjectId(taskId) && await Task.findOne({ _id: taskId, deletedAt: null });
+  if (!task) throw httpError(404, 'Task not found');
+
+  if (!task.goalId) {
+    if (task.createdBy?.toString() !== userId.toString()) throw httpError(404, 'Task not found');
+    return task;
+  }
+
+  let access;
+  try {
+    access = await resolveGoalAccess(task.goalId, userId);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    throw httpError(404, 'Task not found');
+  }
+
+  if (permission && !access.permissions[permission]) {
+    const error = httpError(403, `You do not have permission to change that task (requires ${permission})`);
+    error.permission = permission;
+    throw error;
+  }
+  return task;
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export default new DependencyController();
@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import EmailMessage from '../models/EmailMessage.js';
+import emailService from '../utils/email.js';
+import { parsePagination, buildPagination, parseSort, parseList } from '../utils/query.js';
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'sentAt', 'lastAttemptAt', 'attempts', 'status', 'kind'];
+
+// Emails listed on the development preview page
+const PREVIEW_LIMIT = 100;
+
+const STATUS_COLORS = {
+  queued: '#6c757d',
+  sending: '#007bff',
+  sent: '#28a745',
+  failed: '#dc3545',
+  cancelled: '#adb5bd'
+};
+
+class EmailController {
+  /**
+   * List outbox emails with filtering, sorting and pagination
+   */
+  async getEmails(req, res) {
+    try {
+      const query = buildOutboxQuery(req.query);
+      const pagination = parsePagination(req.query);
+      const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { createdAt: -1 });
+
+      const [emails, total, counts] = await Promise.all([
+        EmailMessage.find(query)
+          .select('-html -text -headers -errorHistory')
+          .sort(sort)
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        EmailMessage.countDocuments(query),
+        EmailMessage.countByStatus()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          emails,
+          counts,
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get emails error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch emails'
+      });
+    }
+  }
+
+  /**
+   * Get an outbox email including its body and delivery history
+   */
+  async getEmail(req, res) {
+    try {
+      const email = await findEmail(req.params.emailId);
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { email }
+      });
+
+    } catch (error) {
+      console.error('Get email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch email'
+      });
+    }
+  }
+
+  /**
+   * Queue a failed or cancelled email again
+   */
+  async retryEmail(req, res) {
+    try {
+      await changeEmail(req, res, emailId => emailService.retry(emailId), {
+        conflict: 'Only failed or cancelled emails can be retried',
+        success: 'Email queued for retry'
+      });
+    } catch (error) {
+      console.error('Retry email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retry email'
+      });
+    }
+  }
+
+  /**
+   * Cancel an email that has not been sent yet
+   */
+  async cancelEmail(req, res) {
+    try {
+      await changeEmail(req, res, emailId => emailService.cancel(emailId), {
+        conflict: 'Only queued emails can be cancelled',
+        success: 'Email cancelled'
+      });
+    } catch (error) {
+      console.error('Cancel email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel email'
+      });
+    }
+  }
+
+  // Development preview
+
+  /**
+   * Page listing the newest outbox emails
+   */
+  async previewList(req, res) {
+    try {
+      const emails = await EmailMessage.find(buildOutboxQuery(req.query))
+        .select('kind to subject status attempts lastError createdAt sentAt')
+        .sort({ createdAt: -1 })
+        .limit(PREVIEW_LIMIT);
+
+      const rows = emails.map(email => `
+        <tr>
+          <td>${escapeHtml(formatDate(email.createdAt))}</td>
+          <td>${statusBadge(email.status)}</td>
+          <td>${escapeHtml(email.kind)}</td>
+          <td>${escapeHtml(email.to)}</td>
+          <td><a href="/dev/emails/${email._id}">${escapeHtml(email.subject)}</a></td>
+          <td>${email.attempts}</td>
+        </tr>
+      `).join('');
+
+      res.type('html').send(previewPage('Email outbox', `
+        <p>Newest ${PREVIEW_LIMIT} emails, using the <strong>${escapeHtml(emailService.transport)}</strong> transport.
+          Filter with <code>?status=</code>, <code>?kind=</code> or <code>?to=</code>.</p>
+        <table>
+          <thead><tr><th>Created</th><th>Status</th><th>Kind</th><th>To</th><th>Subject</th><th>Attempts</th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="6">No emails yet</td></tr>'}</tbody>
+        </table>
+      `));
+
+    } catch (error) {
+      console.error('Email preview list error:', error);
+      res.status(500).type('text').send('Failed to load emails');
+    }
+  }
+
+  /**
+   * Page showing one email: its headers, rendered HTML, plain text and
+   * delivery history
+   */
+  async previewEmail(req, res) {
+    try {
+      const email = await findEmail(req.params.emailId);
+      if (!email) {
+        return res.status(404).type('text').send('Email not found');
+      }
+
+      const headers = Object.entries(email.headers || {}).map(([name, value]) =>
+        `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`
+      ).join('');
+      const failures = email.errorHistory.map(failure =>
+        `<li>Attempt ${failure.attempt} at ${escapeHtml(formatDate(failure.at))}: ${escapeHtml(failure.message)}${failure.code ? ` (${escapeHtml(failure.code)})` : ''}</li>`
+      ).join('');
+
+      res.type('html').send(previewPage(email.subject, `
+        <p><a href="/dev/emails">← All emails</a></p>
+        <table class="meta">
+          <tr><th>Status</th><td>${statusBadge(email.status)} after ${email.attempts} attempt(s)</td></tr>
+          <tr><th>Kind</th><td>${escapeHtml(email.kind)}</td></tr>
+          <tr><th>From</th><td>${escapeHtml(email.from)}</td></tr>
+          <tr><th>To</th><td>${escapeHtml(email.to)}</td></tr>
+          <tr><th>Subject</th><td>${escapeHtml(email.subject)}</td></tr>
+          <tr><th>Created</th><td>${escapeHtml(formatDate(email.createdAt))}</td></tr>
+          <tr><th>Sent</th><td>${escapeHtml(formatDate(email.sentAt))}</td></tr>
+          ${headers}
+        </table>
+        <p><a href="/dev/emails/${email._id}/html">Open HTML</a> · <a href="/dev/emails/${email._id}/raw">Raw message</a></p>
+        ${failures ? `<h2>Delivery errors</h2><ul>${failures}</ul>` : ''}
+        ${email.html ? `<h2>HTML</h2><iframe sandbox srcdoc="${escapeHtml(email.html)}"></iframe>` : ''}
+        ${email.text ? `<h2>Text</h2><pre>${escapeHtml(email.text)}</pre>` : ''}
+      `));
+
+    } catch (error) {
+      console.error('Email preview error:', error);
+      res.status(500).type('text').send('Failed to load email');
+    }
+  }
+
+  /**
+   * An email's HTML body on its own
+   */
+  async previewHtml(req, res) {
+    try {
+      const email = await findEmail(req.params.emailId);
+      if (!email?.html) {
+        return res.status(404).type('text').send('Email has no HTML body');
+      }
+
+      res.type('html').send(email.html);
+
+    } catch (error) {
+      console.error('Email HTML preview error:', error);
+      res.status(500).type('text').send('Failed to load email');
+    }
+  }
+
+  /**
+   * The raw message built by the file or memory transport
+   */
+  async previewRaw(req, res) {
+    try {
+      const email = await findEmail(req.params.emailId);
+      const raw = email && await emailService.getRawMessage(email);
+      if (!raw) {
+        return res.status(404).type('text').send('No raw message stored for this email');
+      }
+
+      res.type('text').send(raw);
+
+    } catch (error) {
+      console.error('Email raw preview error:', error);
+      res.status(500).type('text').send('Failed to load email');
+    }
+  }
+}
+
+/**
+ * Outbox filter from status, kind, to and userId query parameters
+ */
+function buildOutboxQuery({ status, kind, to, userId }) {
+  const query = {};
+  if (status) query.status = { $in: parseList(status) };
+  if (kind) query.kind = { $in: parseList(kind) };
+  if (to) query.to = String(to).toLowerCase();
+  if (userId && mongoose.isValidObjectId(userId)) query.userId = userId;
+  return query;
+}
+
+function findEmail(emailId) {
+  if (!mongoose.isValidObjectId(emailId)) return null;
+  return EmailMessage.findById(emailId);
+}
+
+/**
+ * Apply a state change to the email in the route and respond: 404 when
+ * it does not exist, 409 when it is not in a state the change applies to
+ */
+async function changeEmail(req, res, change, messages) {
+  const { emailId } = req.params;
+
+  const exists = mongoose.isValidObjectId(emailId) && await EmailMessage.exists({ _id: emailId });
+  if (!exists) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email not found'
+    });
+  }
+
+  const email = await change(emailId);
+  if (!email) {
+    return res.status(409).json({
+      success: false,
+      message: messages.conflict
+    });
+  }
+
+  res.json({
+    success: true,
+    message: messages.success,
+    data: { email }
+  });
+}
+
+function previewPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)} - GoalSync dev</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 24px; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; vertical-align: top; }
+      table.meta th { width: 160px; }
+      .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; color: white; font-size: 12px; }
+      iframe { width: 100%; height: 700px; border: 1px solid #ddd; border-radius: 6px; }
+      pre { background: #f8f9fa; padding: 15px; border-radius: 6px; white-space: pre-wrap; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </body>
+</html>`;
+}
+
+function statusBadge(status) {
+  return `<span class="badge" style="background: ${STATUS_COLORS[status] || '#6c757d'}">${escapeHtml(status)}</span>`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString() : '—';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default new EmailController();
@@ -0,0 +1,296 @@
+import mongoose from 'mongoose';
+import TaskFile from '../models/TaskFile.js';
+import TaskComment from '../models/TaskComment.js';
+import fileService from '../services/fileService.js';
+import { getStorage } from '../services/storage/index.js';
+import { contentDisposition } from '../utils/mime.js';
+
+class FileController {
+  /**
+   * List a task's files, including those attached to comments
+   */
+  async getTaskFiles(req, res) {
+    try {
+      const includeCommentFiles = req.query.includeCommentFiles !== 'false';
+
+      const files = await TaskFile.findByTask(req.task._id, includeCommentFiles)
+        .populate('uploaderId', 'name username avatarUrl')
+        .sort({ uploadedAt: -1 });
+
+      res.json({
+        success: true,
+        data: { files }
+      });
+
+    } catch (error) {
+      console.error('Get task files error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch files'
+      });
+    }
+  }
+
+  /**
+   * Upload files to a task
+   */
+  async uploadTaskFiles(req, res) {
+    try {
+      const files = await fileService.storeUploads(req.files, {
+        task: req.task,
+        goal: req.goal,
+        uploader: req.user
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${files.length} file(s) uploaded successfully`,
+        data: { files }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+      console.error('Upload task files error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload files'
+      });
+    }
+  }
+
+  /**
+   * Upload files to one of the current user's comments
+   */
+  async uploadCommentFiles(req, res) {
+    try {
+      const comment = mongoose.isValidObjectId(req.params.commentId) &&
+        await TaskComment.findOne({ _id: req.params.commentId, taskId: req.task._id, deletedAt: null });
+
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      if (!comment.authorId.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only attach files to your own comments'
+        });
+      }
+
+      const files = await fileService.storeUploads(req.files, {
+        task: req.task,
+        goal: req.goal,
+        commentId: comment._id,
+        uploader: req.user
+      });
+
+      await TaskComment.updateOne(
+        { _id: comment._id },
+        { $push: { attachments: { $each: files.map(file => file._id) } } }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${files.length} file(s) uploaded successfully`,
+        data: { files }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+      console.error('Upload comment files error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload files'
+      });
+    }
+  }
+
+  /**
+   * Get a file with a signed download URL
+   */
+  async getFile(req, res) {
+    try {
+      const file = await findTaskFile(req.params.fileId, req.task._id);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      const download = await fileService.getDownloadUrl(file);
+
+      res.json({
+        success: true,
+        data: { file, download }
+      });
+
+    } catch (error) {
+      console.error('Get file error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch file'
+      });
+    }
+  }
+
+  /**
+   * Redirect to a signed link for one of a file's thumbnails
+   */
+  async getThumbnail(req, res) {
+    try {
+      const file = await findTaskFile(req.params.fileId, req.task._id);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      const thumbnail = file.getThumbnail(req.params.size);
+      if (!thumbnail) {
+        return res.status(404).json({
+          success: false,
+          message: file.previewStatus === 'pending'
+            ? 'Preview is still being generated'
+            : 'Preview not available',
+          previewStatus: file.previewStatus
+        });
+      }
+
+      res.redirect(await fileService.getThumbnailUrl(file, thumbnail));
+
+    } catch (error) {
+      console.error('Get thumbnail error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch preview'
+      });
+    }
+  }
+
+  /**
+   * Delete a file. Uploaders can delete their own; users who can delete
+   * in the goal can delete any file.
+   */
+  async deleteFile(req, res) {
+    try {
+      const file = await findTaskFile(req.params.fileId, req.task._id);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      if (!file.uploaderId.equals(req.user._id) && !req.goalAccess.permissions.canDelete) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete files you uploaded'
+        });
+      }
+
+      await file.softDelete(req.user._id);
+
+      if (file.commentId) {
+        await TaskComment.updateOne({ _id: file.commentId }, { $pull: { attachments: file._id } });
+      }
+
+      res.json({
+        success: true,
+        message: 'File deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete file error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete file'
+      });
+    }
+  }
+
+  /**
+   * Serve a file from local storage through a signed link
+   */
+  async download(req, res) {
+    try {
+      const storage = getStorage('local');
+
+      if (!storage.verifyDownload(req.query)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Download link is invalid or has expired'
+        });
+      }
+
+      const key = req.query.key;
+      const file = await TaskFile.findOne({
+        $or: [{ storageKey: key }, { 'thumbnails.storageKey': key }],
+        storageDriver: 'local',
+        isDeleted: false
+      });
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      // The link may point at the file itself or at one of its thumbnails
+      const blob = file.storageKey === key
+        ? { fileType: file.fileType, bytes: file.size }
+        : file.thumbnails.find(thumbnail => thumbnail.storageKey === key);
+      const stream = await storage.createReadStream(key);
+
+      res.setHeader('Content-Type', blob.fileType || 'application/octet-stream');
+      if (blob.bytes) res.setHeader('Content-Length', blob.bytes);
+      res.setHeader('Content-Disposition', contentDisposition(req.query.name));
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+
+      stream.on('error', (streamError) => {
+        console.error('Download stream error:', streamError);
+        res.destroy(streamError);
+      });
+      stream.pipe(res);
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+      console.error('Download file error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download file'
+      });
+    }
+  }
+}
+
+/**
+ * Find a non-deleted file belonging to a task
+ */
+function findTaskFile(fileId, taskId) {
+  if (!mongoose.isValidObjectId(fileId)) return null;
+  return TaskFile.findOne({ _id: fileId, taskId, isDeleted: false });
+}
+
+export default new FileController();
@@ -0,0 +1,459 @@
+import mongoose from 'mongoose';
+import Goal from '../models/Goal.js';
+import GoalMember from '../models/GoalMember.js';
+import GoalSetting from '../models/GoalSetting.js';
+import User from '../models/User.js';
+import { canAccessGoal } from '../middleware/goalAccess.js';
+import forecastService from '../services/forecastService.js';
+import { parsePagination, buildPagination, parseSort, parseBoolean, applyUpdates, parseList } from '../utils/query.js';
+
+// Fields a client may set when creating or updating a goal
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'why',
+  'category',
+  'priority',
+  'mode',
+  'visibility',
+  'startDate',
+  'deadline',
+  'weeklyTimeCommitment',
+  'color',
+  'icon',
+  'backgroundImageUrl',
+  'starred'
+];
+
+const UPDATABLE_FIELDS = [...EDITABLE_FIELDS, 'status', 'progress'];
+
+// Goal settings a client may change
+const SETTINGS_FIELDS = [
+  'remindersEnabled',
+  'reminderTime',
+  'dailySummary',
+  'calendarSync',
+  'defaultAssignee',
+  'defaultPriority',
+  'autoArchiveDoneTasks',
+  'autoMarkBehind'
+];
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'deadline', 'priority', 'title', 'progress', 'status'];
+
+class GoalController {
+  /**
+   * Create a new goal
+   */
+  async createGoal(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const goal = new Goal({ ownerId: userId });
+      const changes = applyUpdates(goal, req.body, EDITABLE_FIELDS);
+
+      goal.addAuditLog('created', userId, changes);
+      await goal.save();
+
+      // The creator is the goal's owning member
+      const membership = new GoalMember({
+        goalId: goal._id,
+        userId,
+        role: 'owner'
+      });
+      membership.addAuditLog('joined', userId, { role: 'owner' });
+      await membership.save();
+
+      await GoalSetting.create({ goalId: goal._id, visibility: goal.visibility });
+
+      res.status(201).json({
+        success: true,
+        message: 'Goal created successfully',
+        data: { goal }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create goal'
+      });
+    }
+  }
+
+  /**
+   * List goals with filtering, sorting and pagination
+   */
+  async getGoals(req, res) {
+    try {
+      const userId = req.user._id;
+      const { status, priority, mode, category, search } = req.query;
+
+      // Goals the user owns plus shared goals they are an active member of
+      const memberships = await GoalMember.find({
+        userId,
+        status: 'active',
+        deletedAt: null
+      }).select('goalId');
+
+      const query = {
+        deletedAt: null,
+        $or: [
+          { ownerId: userId },
+          { _id: { $in: memberships.map(m => m.goalId) }, visibility: 'shared' }
+        ]
+      };
+      if (!parseBoolean(req.query.includeArchived)) query.archived = false;
+      if (status) query.status = { $in: parseList(status) };
+      if (priority) query.priority = { $in: parseList(priority) };
+      if (mode) query.mode = { $in: parseList(mode) };
+      if (category) query.category = { $in: [].concat(category).map(String) };
+
+      const starred = parseBoolean(req.query.starred);
+      if (starred !== undefined) query.starred = starred;
+
+      if (search) query.$text = { $search: [].concat(search).join(' ') };
+
+      const pagination = parsePagination(req.query);
+      const sort = parseSort(req.query.sort, SORTABLE_FIELDS);
+
+      const [goals, total] = await Promise.all([
+        Goal.find(query).sort(sort).skip(pagination.skip).limit(pagination.limit),
+        Goal.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          goals,
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get goals error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch goals'
+      });
+    }
+  }
+
+  /**
+   * Get a single goal
+   */
+  async getGoal(req, res) {
+    try {
+      const { goal, role, permissions } = req.goalAccess;
+
+      res.json({
+        success: true,
+        data: {
+          goal,
+          access: { role, permissions }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch goal'
+      });
+    }
+  }
+
+  /**
+   * Update a goal
+   */
+  async updateGoal(req, res) {
+    try {
+      const userId = req.user._id;
+      const goal = req.goal;
+
+      const changes = applyUpdates(goal, req.body, UPDATABLE_FIELDS);
+
+      if (Object.keys(changes).length > 0) {
+        goal.addAuditLog('updated', userId, changes);
+        await goal.save();
+      }
+
+      // Settings mirror the goal's visibility
+      if (changes.visibility) {
+        await GoalSetting.updateOne({ goalId: goal._id }, { visibility: goal.visibility });
+      }
+
+      res.json({
+        success: true,
+        message: 'Goal updated successfully',
+        data: { goal }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update goal'
+      });
+    }
+  }
+
+  /**
+   * Archive a goal
+   */
+  async archiveGoal(req, res) {
+    try {
+      const userId = req.user._id;
+      const goal = req.goal;
+
+      if (!goal.archived) {
+        goal.archived = true;
+        goal.addAuditLog('archived', userId, { archived: { from: false, to: true } });
+        await goal.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'Goal archived successfully',
+        data: { goal }
+      });
+
+    } catch (error) {
+      console.error('Archive goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to archive goal'
+      });
+    }
+  }
+
+  /**
+   * Unarchive a goal
+   */
+  async unarchiveGoal(req, res) {
+    try {
+      const userId = req.user._id;
+      const goal = req.goal;
+
+      if (goal.archived) {
+        goal.archived = false;
+        goal.addAuditLog('updated', userId, { archived: { from: true, to: false } });
+        await goal.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'Goal unarchived successfully',
+        data: { goal }
+      });
+
+    } catch (error) {
+      console.error('Unarchive goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unarchive goal'
+      });
+    }
+  }
+
+  /**
+   * Soft delete a goal
+   */
+  async deleteGoal(req, res) {
+    try {
+      const userId = req.user._id;
+      const goal = req.goal;
+
+      await goal.softDelete(userId);
+
+      res.json({
+        success: true,
+        message: 'Goal deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete goal'
+      });
+    }
+  }
+
+  /**
+   * Restore a soft-deleted goal
+   */
+  async restoreGoal(req, res) {
+    try {
+      const userId = req.user._id;
+
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Deleted goal not found'
+        });
+      }
+
+      const goal = await Goal.findOne({
+        _id: req.params.id,
+        ownerId: userId,
+        deletedAt: { $ne: null }
+      });
+
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          message: 'Deleted goal not found'
+        });
+      }
+
+      await goal.restore(userId);
+
+      res.json({
+        success: true,
+        message: 'Goal restored successfully',
+        data: { goal }
+      });
+
+    } catch (error) {
+      console.error('Restore goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore goal'
+      });
+    }
+  }
+
+  /**
+   * Get a goal's settings, creating the defaults if missing
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await GoalSetting.findOrCreateByGoal(req.goal._id);
+
+      res.json({
+        success: true,
+        data: { settings }
+      });
+
+    } catch (error) {
+      console.error('Get goal settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch goal settings'
+      });
+    }
+  }
+
+  /**
+   * Update a goal's settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const userId = req.user._id;
+      const goal = req.goal;
+      const { defaultAssignee } = req.body;
+
+      if (defaultAssignee) {
+        const invalid = await validateDefaultAssignee(goal, defaultAssignee);
+        if (invalid) {
+          return res.status(400).json({
+            success: false,
+            message: invalid
+          });
+        }
+      }
+
+      const settings = await GoalSetting.findOrCreateByGoal(goal._id);
+      const changes = applyUpdates(settings, {
+        ...req.body,
+        defaultAssignee: defaultAssignee === '' ? null : defaultAssignee
+      }, SETTINGS_FIELDS);
+
+      if (Object.keys(changes).length > 0) {
+        await settings.save();
+
+        goal.addAuditLog('updated', userId, { settings: changes });
+        await goal.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'Goal settings updated successfully',
+        data: { settings }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update goal settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update goal settings'
+      });
+    }
+  }
+
+  /**
+   * Critical path, slack per task and projected completion of a goal.
+   * For goals set to follow their forecast, forecastStatus is the status
+   * the hourly forecast job will move the goal to, if any.
+   */
+  async getForecast(req, res) {
+    try {
+      const goal = req.goal;
+
+      const forecast = await forecastService.forecastGoal(goal);
+      const forecastStatus = await forecastService.forecastStatus(goal, forecast);
+
+      res.json({
+        success: true,
+        data: {
+          forecast,
+          status: goal.status,
+          forecastStatus
+        }
+      });
+
+    } catch (error) {
+      console.error('Get goal forecast error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute goal forecast'
+      });
+    }
+  }
+}
+
+/**
+ * Explain why a user cannot be a goal's default assignee, or return null
+ */
+async function validateDefaultAssignee(goal, userId) {
+  if (!mongoose.isValidObjectId(userId)) return 'Invalid default assignee';
+
+  const user = await User.findOne({ _id: userId, isActive: true, deletedAt: null }).select('_id');
+  if (!user) return 'Default assignee not found';
+
+  if (!(await canAccessGoal(goal, user._id))) {
+    return 'Default assignee must be a member of this goal';
+  }
+  return null;
+}
+
+export default new GoalController();
\ No newline at end of file
@@ -0,0 +1,372 @@
+import mongoose from 'mongoose';
+import { randomBytes } from 'crypto';
+import Goal from '../models/Goal.js';
+import GoalInvite from '../models/GoalInvite.js';
+import User from '../models/User.js';
+import membershipService from '../services/membershipService.js';
+import notificationService from '../services/notificationService.js';
+import emailService from '../utils/email.js';
+
+const INVITE_ROLES = ['admin', 'member', 'viewer'];
+
+class InviteController {
+  /**
+   * Invite a user to a goal by email
+   */
+  async createInvite(req, res) {
+    try {
+      const goal = req.goal;
+      const inviter = req.user;
+      const { email, role = 'member' } = req.body;
+
+      if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid email is required'
+        });
+      }
+
+      if (!INVITE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role must be admin, member, or viewer'
+        });
+      }
+
+      if (role === 'admin' && !['owner', 'admin'].includes(req.goalAccess.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can invite admins'
+        });
+      }
+
+      if (goal.visibility === 'private') {
+        return res.status(400).json({
+          success: false,
+          message: 'Private goals cannot have members. Share the goal before inviting.'
+        });
+      }
+
+      const inviteeEmail = email.toLowerCase().trim();
+
+      const existingUser = await User.findByEmail(inviteeEmail);
+      if (existingUser && (
+        goal.ownerId.equals(existingUser._id) ||
+        await membershipService.isActiveMember(goal._id, existingUser._id)
+      )) {
+        return res.status(409).json({
+          success: false,
+          message: 'This user is already a member of the goal'
+        });
+      }
+
+      const [pendingInvite] = await GoalInvite.findPending({ goalId: goal._id, inviteeEmail });
+      if (pendingInvite) {
+        return res.status(409).json({
+          success: false,
+          message: 'A pending invitation already exists for this email. Resend it instead.'
+        });
+      }
+
+      const invite = await GoalInvite.create({
+        goalId: goal._id,
+        inviteeEmail,
+        inviterId: inviter._id,
+        role,
+        token: generateInviteToken()
+      });
+
+      const emailSent = await sendInviteEmail(invite, goal, inviter);
+      if (existingUser) {
+        await notificationService.notifyGoalInvite(invite, goal, inviter, existingUser._id);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: { invite, emailSent }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invitation'
+      });
+    }
+  }
+
+  /**
+   * List pending invitations for a goal
+   */
+  async getInvites(req, res) {
+    try {
+      const invites = await GoalInvite.findPending({ goalId: req.goal._id })
+        .populate('inviterId', 'name email')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: { invites }
+      });
+
+    } catch (error) {
+      console.error('Get invites error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invitations'
+      });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  async revokeInvite(req, res) {
+    try {
+      const invite = await findGoalInvite(req.params.inviteId, req.goal._id);
+
+      if (!invite || !invite.isPending) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pending invitation not found'
+        });
+      }
+
+      await invite.revoke(req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation'
+      });
+    }
+  }
+
+  /**
+   * Resend a pending invitation with a fresh token and expiry
+   */
+  async resendInvite(req, res) {
+    try {
+      const goal = req.goal;
+      const invite = await findGoalInvite(req.params.inviteId, goal._id);
+
+      if (!invite || invite.accepted || invite.declinedAt || invite.revokedAt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pending invitation not found'
+        });
+      }
+
+      await invite.renew(generateInviteToken());
+
+      const inviter = await User.findById(invite.inviterId) || req.user;
+      const emailSent = await sendInviteEmail(invite, goal, inviter);
+
+      const invitee = await User.findByEmail(invite.inviteeEmail);
+      if (invitee) {
+        await notificationService.notifyGoalInvite(invite, goal, inviter, invitee._id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation resent successfully',
+        data: { invite, emailSent }
+      });
+
+    } catch (error) {
+      console.error('Resend invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend invitation'
+      });
+    }
+  }
+
+  /**
+   * Preview an invitation by token
+   */
+  async getInviteByToken(req, res) {
+    try {
+      const invite = await GoalInvite.findByToken(req.params.token)
+        .populate('goalId', 'title description color icon')
+        .populate('inviterId', 'name avatarUrl');
+
+      if (!invite || !invite.goalId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          invite: {
+            goal: invite.goalId,
+            inviter: invite.inviterId,
+            inviteeEmail: invite.inviteeEmail,
+            role: invite.role,
+            expiresAt: invite.expiresAt,
+            isPending: invite.isPending
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invitation'
+      });
+    }
+  }
+
+  /**
+   * Accept an invitation and join the goal
+   */
+  async acceptInvite(req, res) {
+    try {
+      const user = req.user;
+      const invite = await GoalInvite.findByToken(req.params.token);
+
+      const invalid = validateInviteForUser(invite, user);
+      if (invalid) {
+        return res.status(invalid.status).json({
+          success: false,
+          message: invalid.message
+        });
+      }
+
+      const goal = await Goal.findOne({ _id: invite.goalId, deletedAt: null });
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          message: 'This goal no longer exists'
+        });
+      }
+
+      const membership = await membershipService.joinGoal(goal, user._id, invite.role, {
+        invitedBy: invite.inviterId,
+        metadata: { inviteId: invite._id }
+      });
+
+      await invite.accept(user._id);
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: { goal, membership }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Accept invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept invitation'
+      });
+    }
+  }
+
+  /**
+   * Decline an invitation
+   */
+  async declineInvite(req, res) {
+    try {
+      const invite = await GoalInvite.findByToken(req.params.token);
+
+      const invalid = validateInviteForUser(invite, req.user);
+      if (invalid) {
+        return res.status(invalid.status).json({
+          success: false,
+          message: invalid.message
+        });
+      }
+
+      await invite.decline();
+
+      res.json({
+        success: true,
+        message: 'Invitation declined'
+      });
+
+    } catch (error) {
+      console.error('Decline invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decline invitation'
+      });
+    }
+  }
+}
+
+/**
+ * Generate an unguessable invite token
+ */
+function generateInviteToken() {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Find an invitation belonging to a goal
+ */
+function findGoalInvite(inviteId, goalId) {
+  if (!mongoose.isValidObjectId(inviteId)) return null;
+  return GoalInvite.findOne({ _id: inviteId, goalId });
+}
+
+/**
+ * Check that an invitation can still be answered by this user
+ */
+function validateInviteForUser(invite, user) {
+  if (!invite || invite.revokedAt) {
+    return { status: 404, message: 'Invitation not found' };
+  }
+  if (invite.accepted) {
+    return { status: 409, message: 'Invitation has already been accepted' };
+  }
+  if (invite.declinedAt) {
+    return { status: 409, message: 'Invitation has already been declined' };
+  }
+  if (invite.expiresAt <= new Date()) {
+    return { status: 410, message: 'Invitation has expired' };
+  }
+  if (invite.inviteeEmail !== user.email.toLowerCase()) {
+    return { status: 403, message: 'This invitation was sent to a different email address' };
+  }
+  return null;
+}
+
+/**
+ * Send the invitation email, reporting failure instead of throwing so the
+ * invite can still be resent later
+ */
+async function sendInviteEmail(invite, goal, inviter) {
+  try {
+    await emailService.sendGoalInviteEmail(invite, goal, inviter);
+    return true;
+  } catch (emailError) {
+    console.error('Failed to send invitation email:', emailError.message);
+    return false;
+  }
+}
+
+export default new InviteController();
@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import { randomBytes } from 'crypto';
+import Goal from '../models/Goal.js';
+import GoalInviteLink from '../models/GoalInviteLink.js';
+import membershipService from '../services/membershipService.js';
+
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+class InviteLinkController {
+  /**
+   * Create a reusable join link for a goal
+   */
+  async createLink(req, res) {
+    try {
+      const goal = req.goal;
+      const { role = 'member', maxUses = null, expiresAt = null, allowedDomain = null } = req.body;
+
+      if (!['owner', 'admin'].includes(req.goalAccess.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can create invite links'
+        });
+      }
+
+      if (goal.visibility === 'private') {
+        return res.status(400).json({
+          success: false,
+          message: 'Private goals cannot have members. Share the goal before inviting.'
+        });
+      }
+
+      const link = await GoalInviteLink.create({
+        goalId: goal._id,
+        createdBy: req.user._id,
+        token: randomBytes(24).toString('hex'),
+        role,
+        maxUses,
+        expiresAt,
+        allowedDomain
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Invite link created successfully',
+        data: { link: serializeLink(link) }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create invite link error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invite link'
+      });
+    }
+  }
+
+  /**
+   * List a goal's invite links
+   */
+  async getLinks(req, res) {
+    try {
+      const query = { goalId: req.goal._id };
+      if (req.query.includeDisabled !== 'true') query.disabledAt = null;
+
+      const links = await GoalInviteLink.find(query)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: { links: links.map(serializeLink) }
+      });
+
+    } catch (error) {
+      console.error('Get invite links error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invite links'
+      });
+    }
+  }
+
+  /**
+   * Disable an invite link
+   */
+  async disableLink(req, res) {
+    try {
+      if (!['owner', 'admin'].includes(req.goalAccess.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can disable invite links'
+        });
+      }
+
+      const link = mongoose.isValidObjectId(req.params.linkId) &&
+        await GoalInviteLink.findOne({ _id: req.params.linkId, goalId: req.goal._id });
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite link not found'
+        });
+      }
+
+      if (!link.disabledAt) {
+        await link.disable(req.user._id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Invite link disabled successfully',
+        data: { link: serializeLink(link) }
+      });
+
+    } catch (error) {
+      console.error('Disable invite link error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to disable invite link'
+      });
+    }
+  }
+
+  /**
+   * Preview the goal behind an invite link
+   */
+  async getLinkByToken(req, res) {
+    try {
+      const link = await GoalInviteLink.findByToken(req.params.token)
+        .populate('goalId', 'title description color icon deletedAt')
+        .populate('createdBy', 'name avatarUrl');
+
+      if (!link || !link.goalId || link.goalId.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite link not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          link: {
+            goal: link.goalId,
+            createdBy: link.createdBy,
+            role: link.role,
+            expiresAt: link.expiresAt,
+            allowedDomain: link.allowedDomain,
+            isUsable: link.isUsable
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get invite link error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invite link'
+      });
+    }
+  }
+
+  /**
+   * Join a goal through an invite link
+   */
+  async joinWithLink(req, res) {
+    try {
+      const user = req.user;
+      const link = await GoalInviteLink.findByToken(req.params.token);
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite link not found'
+        });
+      }
+
+      if (!link.allowsEmail(user.email)) {
+        return res.status(403).json({
+          success: false,
+          message: `This invite link is restricted to @${link.allowedDomain} email addresses`
+        });
+      }
+
+      const goal = await Goal.findOne({ _id: link.goalId, deletedAt: null });
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          message: 'This goal no longer exists'
+        });
+      }
+
+      const claimed = await GoalInviteLink.claimUse(link._id);
+      if (!claimed) {
+        return res.status(410).json({
+          success: false,
+          message: 'This invite link is disabled, expired, or has reached its usage limit'
+        });
+      }
+
+      let membership;
+      try {
+        membership = await membershipService.joinGoal(goal, user._id, link.role, {
+          invitedBy: link.createdBy,
+          metadata: { inviteLinkId: link._id }
+        });
+      } catch (joinError) {
+        // Give the use back if the join itself failed
+        await GoalInviteLink.releaseUse(link._id);
+        throw joinError;
+      }
+
+      res.json({
+        success: true,
+        message: 'Joined goal successfully',
+        data: { goal, membership }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Join with invite link error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to join goal'
+      });
+    }
+  }
+}
+
+/**
+ * Serialize a link with its shareable URL
+ */
+function serializeLink(link) {
+  return {
+    ...link.toJSON(),
+    url: `${frontendUrl}/join/${link.token}`
+  };
+}
+
+export default new InviteLinkController();
@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import jobQueue from '../services/jobQueue.js';
+import jobsConfig from '../config/jobs.js';
+import { parsePagination, buildPagination, parseSort, parseList } from '../utils/query.js';
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'runAt', 'finishedAt', 'priority', 'attempts', 'name', 'status'];
+
+class JobController {
+  /**
+   * List jobs with filtering, sorting and pagination
+   */
+  async getJobs(req, res) {
+    try {
+      const { status, name, recurring } = req.query;
+
+      const query = {};
+      if (status) query.status = { $in: parseList(status) };
+      if (name) query.name = { $in: parseList(name) };
+      if (recurring === 'true') query['repeat.cron'] = { $ne: null };
+      if (recurring === 'false') query['repeat.cron'] = null;
+
+      const pagination = parsePagination(req.query);
+      const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { runAt: -1 });
+
+      const [jobs, total] = await Promise.all([
+        Job.find(query)
+          .select('-errorHistory -data')
+          .sort(sort)
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Job.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          jobs,
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get jobs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch jobs'
+      });
+    }
+  }
+
+  /**
+   * Job counts by status and name, plus this worker's state
+   */
+  async getJobStats(req, res) {
+    try {
+      const stats = await Job.getStats();
+
+      res.json({
+        success: true,
+        data: {
+          ...stats,
+          worker: {
+            id: jobsConfig.workerId,
+            enabled: jobsConfig.enabled,
+            concurrency: jobsConfig.concurrency,
+            running: jobQueue.running.size,
+            handlers: [...jobQueue.handlers.keys()]
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get job stats error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch job stats'
+      });
+    }
+  }
+
+  /**
+   * Get a job including its data and error history
+   */
+  async getJob(req, res) {
+    try {
+      const job = mongoose.isValidObjectId(req.params.jobId) && await Job.findById(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { job }
+      });
+
+    } catch (error) {
+      console.error('Get job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch job'
+      });
+    }
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   */
+  async retryJob(req, res) {
+    try {
+      await changeJob(req, res, jobId => jobQueue.retry(jobId), {
+        conflict: 'Only failed or cancelled jobs can be retried',
+        success: 'Job queued for retry'
+      });
+    } catch (error) {
+      console.error('Retry job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retry job'
+      });
+    }
+  }
+
+  /**
+   * Cancel a waiting job
+   */
+  async cancelJob(req, res) {
+    try {
+      await changeJob(req, res, jobId => jobQueue.cancel(jobId), {
+        conflict: 'Only queued jobs can be cancelled',
+        success: 'Job cancelled'
+      });
+    } catch (error) {
+      console.error('Cancel job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel job'
+      });
+    }
+  }
+
+  /**
+   * Run a waiting job as soon as a worker is free
+   */
+  async runJobNow(req, res) {
+    try {
+      await changeJob(req, res, jobId => jobQueue.runNow(jobId), {
+        conflict: 'Only queued jobs can be run now',
+        success: 'Job will run shortly'
+      });
+    } catch (error) {
+      console.error('Run job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run job'
+      });
+    }
+  }
+}
+
+/**
+ * Apply a state change to the job in the route and respond: 404 when it
+ * does not exist, 409 when it is not in a state the change applies to
+ */
+async function changeJob(req, res, change, messages) {
+  const { jobId } = req.params;
+
+  const exists = mongoose.isValidObjectId(jobId) && await Job.exists({ _id: jobId });
+  if (!exists) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  const job = await change(jobId);
+  if (!job) {
+    return res.status(409).json({
+      success: false,
+      message: messages.conflict
+    });
+  }
+
+  res.json({
+    success: true,
+    message: messages.success,
+    data: { job }
+  });
+}
+
+export default new JobController();
@@ -0,0 +1,326 @@
+import mongoose from 'mongoose';
+import GoalLabel from '../models/GoalLabel.js';
+import labelService from '../services/labelService.js';
+import { resolveGoalAccess } from '../middleware/goalAccess.js';
+import { serializeTask } from './taskController.js';
+
+// Fields a client may set when creating or updating a label
+const LABEL_FIELDS = ['name', 'color', 'icon'];
+
+class LabelController {
+  /**
+   * List a goal's labels with usage counts
+   */
+  async getLabels(req, res) {
+    try {
+      const labels = await labelService.getLabels(req.goal._id);
+
+      res.json({
+        success: true,
+        data: { labels }
+      });
+
+    } catch (error) {
+      console.error('Get labels error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch labels'
+      });
+    }
+  }
+
+  /**
+   * Create a label in a goal
+   */
+  async createLabel(req, res) {
+    try {
+      const label = await labelService.createLabel(req.goal, pickLabelFields(req.body), req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Label created successfully',
+        data: { label }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A label with this name already exists in this goal'
+        });
+      }
+      console.error('Create label error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create label'
+      });
+    }
+  }
+
+  /**
+   * Update a label
+   */
+  async updateLabel(req, res) {
+    try {
+      const label = await findGoalLabel(req.params.labelId, req.goal._id);
+      if (!label) {
+        return res.status(404).json({
+          success: false,
+          message: 'Label not found'
+        });
+      }
+
+      await labelService.updateLabel(label, pickLabelFields(req.body));
+
+      res.json({
+        success: true,
+        message: 'Label updated successfully',
+        data: { label }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A label with this name already exists in this goal'
+        });
+      }
+      console.error('Update label error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update label'
+      });
+    }
+  }
+
+  /**
+   * Delete a label, removing it from all tasks
+   */
+  async deleteLabel(req, res) {
+    try {
+      const label = await findGoalLabel(req.params.labelId, req.goal._id);
+      if (!label) {
+        return res.status(404).json({
+          success: false,
+          message: 'Label not found'
+        });
+      }
+
+      await labelService.deleteLabel(label);
+
+      res.json({
+        success: true,
+        message: 'Label deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete label error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete label'
+      });
+    }
+  }
+
+  /**
+   * Merge a label into another label of the same goal
+   */
+  async mergeLabel(req, res) {
+    try {
+      const { targetLabelId } = req.body;
+
+      const source = await findGoalLabel(req.params.labelId, req.goal._id);
+      const target = await findGoalLabel(targetLabelId, req.goal._id);
+
+      if (!source || !target) {
+        return res.status(404).json({
+          success: false,
+          message: source ? 'Target label not found in this goal' : 'Label not found'
+        });
+      }
+
+      if (source._id.equals(target._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A label cannot be merged into itself'
+        });
+      }
+
+      const result = await labelService.mergeLabels(source, target);
+
+      res.json({
+        success: true,
+        message: `Merged "${source.name}" into "${target.name}"`,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Merge label error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to merge labels'
+      });
+    }
+  }
+
+  /**
+   * Copy this goal's labels into another goal the user can edit
+   */
+  async copyLabels(req, res) {
+    try {
+      const { targetGoalId } = req.body;
+
+      let targetAccess;
+      try {
+        targetAccess = await resolveGoalAccess(targetGoalId, req.user._id);
+      } catch (accessError) {
+        if (!accessError.statusCode) throw accessError;
+        return res.status(404).json({
+          success: false,
+          message: 'Target goal not found'
+        });
+      }
+
+      if (!targetAccess.permissions.canEdit) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to edit the target goal',
+          requiredPermission: 'canEdit'
+        });
+      }
+
+      if (targetAccess.goal._id.equals(req.goal._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose a different goal to copy labels into'
+        });
+      }
+
+      const result = await labelService.copyLabels(req.goal._id, targetAccess.goal, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: `Copied ${result.created.length} label(s)`,
+        data: {
+          labels: result.created,
+          skipped: result.skipped
+        }
+      });
+
+    } catch (error) {
+      console.error('Copy labels error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to copy labels'
+      });
+    }
+  }
+
+  /**
+   * Attach a label to a task
+   */
+  async attachToTask(req, res) {
+    try {
+      const task = req.task;
+      const { labelId } = req.body;
+
+      const label = task.goalId && await findGoalLabel(labelId, task.goalId);
+      if (!label) {
+        return res.status(400).json({
+          success: false,
+          message: 'Label does not belong to this task\'s goal'
+        });
+      }
+
+      if (!task.labels.some(id => id.equals(label._id))) {
+        task.labels.push(label._id);
+        task.addAuditLog('updated', req.user._id, { labels: { added: label._id } });
+        await task.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'Label attached successfully',
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      console.error('Attach label error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to attach label'
+      });
+    }
+  }
+
+  /**
+   * Detach a label from a task
+   */
+  async detachFromTask(req, res) {
+    try {
+      const task = req.task;
+      const { labelId } = req.params;
+
+      if (task.labels.some(id => id.toString() === labelId)) {
+        task.labels = task.labels.filter(id => id.toString() !== labelId);
+        task.addAuditLog('updated', req.user._id, { labels: { removed: labelId } });
+        await task.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'Label detached successfully',
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      console.error('Detach label error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to detach label'
+      });
+    }
+  }
+}
+
+/**
+ * Find a label belonging to a goal
+ */
+function findGoalLabel(labelId, goalId) {
+  if (!mongoose.isValidObjectId(labelId)) return null;
+  return GoalLabel.findOne({ _id: labelId, goalId });
+}
+
+function pickLabelFields(body) {
+  const data = {};
+  LABEL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+export default new LabelController();
@@ -0,0 +1,418 @@
+import mongoose from 'mongoose';
+import GoalMember from '../models/GoalMember.js';
+import membershipService from '../services/membershipService.js';
+import { applyUpdates } from '../utils/query.js';
+
+// Roles a manager may assign; ownership moves only through a transfer
+const ASSIGNABLE_ROLES = ['admin', 'member', 'viewer'];
+
+// Profile fields a manager may set on someone else's membership
+const MANAGED_FIELDS = ['customTitle', 'notes'];
+
+// Fields a member may set on their own membership
+const SELF_FIELDS = ['customTitle'];
+
+const NOTIFICATION_FIELDS = ['taskAssigned', 'taskCompleted', 'goalUpdated', 'newMember', 'mentions'];
+
+const MEMBER_USER_FIELDS = 'name username firstName lastName email avatar avatarUrl';
+
+class MemberController {
+  /**
+   * List a goal's members
+   */
+  async getMembers(req, res) {
+    try {
+      const includeInactive = req.query.includeInactive === 'true';
+
+      const members = await GoalMember.findByGoal(req.goal._id, includeInactive)
+        .sort({ joinedAt: 1 });
+
+      res.json({
+        success: true,
+        data: { members }
+      });
+
+    } catch (error) {
+      console.error('Get members error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch members'
+      });
+    }
+  }
+
+  /**
+   * Get membership counts for a goal
+   */
+  async getMemberStats(req, res) {
+    try {
+      const [stats] = await GoalMember.getMembershipStats(req.goal._id);
+
+      res.json({
+        success: true,
+        data: {
+          stats: stats || {
+            totalMembers: 0,
+            activeMembers: 0,
+            owners: 0,
+            admins: 0,
+            members: 0,
+            viewers: 0,
+            avgContributionScore: 0
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get member stats error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch member statistics'
+      });
+    }
+  }
+
+  /**
+   * Get a single member of a goal
+   */
+  async getMember(req, res) {
+    try {
+      const member = await findGoalMember(req.params.memberId, req.goal._id)
+        ?.populate('userId', MEMBER_USER_FIELDS);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { member }
+      });
+
+    } catch (error) {
+      console.error('Get member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch member'
+      });
+    }
+  }
+
+  /**
+   * Update the current user's own membership (title and notification settings)
+   */
+  async updateMyMembership(req, res) {
+    try {
+      const membership = req.membership;
+
+      if (!membership) {
+        return res.status(400).json({
+          success: false,
+          message: 'The goal owner has no membership settings to update'
+        });
+      }
+
+      applyUpdates(membership, req.body, SELF_FIELDS);
+      applyNotificationUpdates(membership, req.body.notifications);
+      await membership.save();
+
+      res.json({
+        success: true,
+        message: 'Membership updated successfully',
+        data: { member: membership }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update membership error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update membership'
+      });
+    }
+  }
+
+  /**
+   * Change a member's role, status or profile fields
+   */
+  async updateMember(req, res) {
+    try {
+      const userId = req.user._id;
+      const { role, status, reason } = req.body;
+
+      const member = await findGoalMember(req.params.memberId, req.goal._id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      const denied = checkManageable(req.goalAccess.role, member);
+      if (denied) {
+        return res.status(403).json({
+          success: false,
+          message: denied
+        });
+      }
+
+      if (role !== undefined && !ASSIGNABLE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: role === 'owner'
+            ? 'Use ownership transfer to make a member the owner'
+            : 'Role must be admin, member, or viewer'
+        });
+      }
+
+      if (role === 'admin' && req.goalAccess.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the owner can promote members to admin'
+        });
+      }
+
+      if (status !== undefined && !['active', 'suspended'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be active or suspended'
+        });
+      }
+
+      if (status !== undefined && member.userId.equals(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own membership status'
+        });
+      }
+
+      if (status === 'active' && member.status === 'left') {
+        return res.status(400).json({
+          success: false,
+          message: 'Members who left must be invited again'
+        });
+      }
+
+      applyUpdates(member, req.body, MANAGED_FIELDS);
+
+      if (role !== undefined && role !== member.role) {
+        const oldRole = member.role;
+        member.applyRole(role);
+        member.addAuditLog('role_changed', userId, { from: oldRole, to: role });
+      }
+
+      if (status === 'suspended' && member.status !== 'suspended') {
+        await member.suspend(userId, reason);
+      } else if (status === 'active' && member.status === 'suspended') {
+        await member.reactivate(userId);
+      } else {
+        await member.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'Member updated successfully',
+        data: { member }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update member'
+      });
+    }
+  }
+
+  /**
+   * Remove a member from a goal
+   */
+  async removeMember(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const member = await findGoalMember(req.params.memberId, req.goal._id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      if (member.userId.equals(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use leave to remove yourself from a goal'
+        });
+      }
+
+      const denied = checkManageable(req.goalAccess.role, member);
+      if (denied) {
+        return res.status(403).json({
+          success: false,
+          message: denied
+        });
+      }
+
+      await membershipService.departGoal(req.goal, member, userId, { reason: 'removed' });
+
+      res.json({
+        success: true,
+        message: 'Member removed successfully'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Remove member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove member'
+      });
+    }
+  }
+
+  /**
+   * Leave a goal as the current user
+   */
+  async leaveGoal(req, res) {
+    try {
+      const membership = req.membership;
+
+      if (req.goalAccess.role === 'owner') {
+        return res.status(400).json({
+          success: false,
+          message: 'Transfer ownership to another member before leaving this goal'
+        });
+      }
+
+      await membershipService.departGoal(req.goal, membership, req.user._id, { reason: 'left' });
+
+      res.json({
+        success: true,
+        message: 'You have left the goal'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Leave goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to leave goal'
+      });
+    }
+  }
+
+  /**
+   * Transfer goal ownership to another active member
+   */
+  async transferOwnership(req, res) {
+    try {
+      const goal = req.goal;
+      const { memberId } = req.body;
+
+      if (req.goalAccess.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the owner can transfer ownership'
+        });
+      }
+
+      const member = await findGoalMember(memberId, goal._id);
+      if (!member || !member.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active member not found'
+        });
+      }
+
+      if (member.userId.equals(goal.ownerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This member already owns the goal'
+        });
+      }
+
+      const newOwner = await membershipService.transferOwnership(goal, member, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Ownership transferred successfully',
+        data: { goal, member: newOwner }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Transfer ownership error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to transfer ownership'
+      });
+    }
+  }
+}
+
+/**
+ * Find a non-deleted membership belonging to a goal
+ */
+function findGoalMember(memberId, goalId) {
+  if (!mongoose.isValidObjectId(memberId)) return null;
+  return GoalMember.findOne({ _id: memberId, goalId, deletedAt: null });
+}
+
+/**
+ * Explain why the acting role may not manage a member, or return null.
+ * The owner is only changed by transfer, and admins manage non-admins only.
+ */
+function checkManageable(actorRole, member) {
+  if (member.role === 'owner') {
+    return 'The goal owner cannot be changed or removed. Transfer ownership instead.';
+  }
+  if (member.role === 'admin' && actorRole !== 'owner') {
+    return 'Only the owner can manage admins';
+  }
+  return null;
+}
+
+/**
+ * Apply whitelisted per-goal notification toggles
+ */
+function applyNotificationUpdates(membership, notifications) {
+  if (!notifications || typeof notifications !== 'object') return;
+
+  NOTIFICATION_FIELDS.forEach(field => {
+    if (notifications[field] !== undefined) {
+      membership.notifications[field] = Boolean(notifications[field]);
+    }
+  });
+}
+
+export default new MemberController();
@@ -0,0 +1,255 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import notificationService from '../services/notificationService.js';
+import digestService from '../services/digestService.js';
+import notificationsConfig from '../config/notifications.js';
+import jwtUtils from '../utils/jwt.js';
+import { parsePagination, buildPagination, parseBoolean, parseList } from '../utils/query.js';
+
+class NotificationController {
+  /**
+   * List the current user's notifications, newest first
+   */
+  async getNotifications(req, res) {
+    try {
+      const userId = req.user._id;
+      const { type, category, goalId } = req.query;
+
+      const query = { userId };
+      if (parseBoolean(req.query.unread)) query.readAt = null;
+      if (type) query.type = { $in: parseList(type) };
+      if (category) query.category = { $in: parseList(category) };
+      if (goalId && mongoose.isValidObjectId(goalId)) query.goalId = goalId;
+
+      const pagination = parsePagination(req.query);
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .populate('actorId', 'name username avatarUrl')
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Notification.countDocuments(query),
+        Notification.countUnread(userId)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          notifications,
+          unreadCount,
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch notifications'
+      });
+    }
+  }
+
+  /**
+   * Count the current user's unread notifications
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await Notification.countUnread(req.user._id);
+
+      res.json({
+        success: true,
+        data: { unreadCount }
+      });
+
+    } catch (error) {
+      console.error('Get unread count error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch unread count'
+      });
+    }
+  }
+
+  /**
+   * Mark one notification read
+   */
+  async markRead(req, res) {
+    try {
+      const notification = await findUserNotification(req.params.id, req.user._id);
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      if (!notification.readAt) {
+        await notificationService.markRead(req.user._id, [notification._id]);
+        notification.readAt = new Date();
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: { notification }
+      });
+
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark notification as read'
+      });
+    }
+  }
+
+  /**
+   * Mark all notifications read, optionally only one goal's
+   */
+  async markAllRead(req, res) {
+    try {
+      const { goalId } = req.body;
+      if (goalId && !mongoose.isValidObjectId(goalId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid goal id'
+        });
+      }
+
+      const updated = await notificationService.markAllRead(req.user._id, { goalId });
+
+      res.json({
+        success: true,
+        message: `${updated} notification(s) marked as read`,
+        data: { updated }
+      });
+
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark notifications as read'
+      });
+    }
+  }
+
+  /**
+   * Delete a notification
+   */
+  async deleteNotification(req, res) {
+    try {
+      const notification = await findUserNotification(req.params.id, req.user._id);
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      await notification.deleteOne();
+      if (!notification.readAt) {
+        await notificationService.pushReadState(req.user._id, { deletedIds: [notification._id] });
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete notification'
+      });
+    }
+  }
+
+  /**
+   * Send the unsubscribe link in a digest on to the frontend confirmation
+   * page. Nothing changes until that page posts the token back, so mail
+   * scanners following the link do not unsubscribe anyone.
+   */
+  async unsubscribeFromLink(req, res) {
+    const token = String(req.query.token || '');
+
+    try {
+      const { category } = jwtUtils.verifyUnsubscribeToken(token);
+
+      const confirmUrl = new URL('/unsubscribe', notificationsConfig.frontendUrl);
+      confirmUrl.searchParams.set('token', token);
+      confirmUrl.searchParams.set('category', category);
+      res.redirect(confirmUrl.toString());
+    } catch {
+      const settingsUrl = new URL('/settings/notifications', notificationsConfig.frontendUrl);
+      settingsUrl.searchParams.set('error', 'unsubscribe_failed');
+      res.redirect(settingsUrl.toString());
+    }
+  }
+
+  /**
+   * Unsubscribe with an email link's token, posted by the confirmation
+   * page or by mail clients from the List-Unsubscribe header (RFC 8058)
+   */
+  async unsubscribeOneClick(req, res) {
+    try {
+      const { category } = await unsubscribeWithToken(req.query.token || req.body?.token);
+
+      res.json({
+        success: true,
+        message: 'Unsubscribed successfully',
+        data: { category }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Email one-click unsubscribe error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unsubscribe'
+      });
+    }
+  }
+}
+
+/**
+ * Apply the unsubscribe an email link's token stands for, as long as the
+ * user it was sent to still exists
+ */
+async function unsubscribeWithToken(token) {
+  let decoded = null;
+  try {
+    decoded = jwtUtils.verifyUnsubscribeToken(String(token || ''));
+  } catch {
+    // Reported below
+  }
+
+  const user = decoded && mongoose.isValidObjectId(decoded.userId) &&
+    await User.exists({ _id: decoded.userId, deletedAt: null });
+  if (!user) {
+    const error = new Error('Invalid unsubscribe link');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await digestService.unsubscribe(decoded.userId, decoded.category);
+  return decoded;
+}
+
+/**
+ * Find one of the user's notifications
+ */
+function findUserNotification(notificationId, userId) {
+  if (!mongoose.isValidObjectId(notificationId)) return null;
+  return Notification.findOne({ _id: notificationId, userId });
+}
+
+export default new NotificationController();
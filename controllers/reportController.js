@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import UserSettings from '../models/UserSettings.js';
+import reportService, { REPORT_GROUPS } from '../services/reportService.js';
+import { toCsv } from '../utils/csv.js';
+import { getUserTimeZones } from '../utils/timezone.js';
+
+const CSV_COLUMNS = [
+  { key: 'key', header: 'Key' },
+  { key: 'name', header: 'Name' },
+  { key: 'tasks', header: 'Tasks' },
+  { key: 'completedTasks', header: 'Completed tasks' },
+  { key: 'estimatedHours', header: 'Estimated hours' },
+  { key: 'spentHours', header: 'Spent hours' },
+  { key: 'varianceHours', header: 'Variance hours' },
+  { key: 'accuracy', header: 'Accuracy' }
+];
+
+class ReportController {
+  /**
+   * Estimates vs. actuals for one goal
+   */
+  async getGoalEstimates(req, res) {
+    try {
+      await sendEstimatesReport(req, res, [req.goal._id.toString()], `goal-${req.goal._id}`);
+    } catch (error) {
+      console.error('Get goal estimates report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build estimates report'
+      });
+    }
+  }
+
+  /**
+   * Estimates vs. actuals across the goals whose reports the user can
+   * view, optionally narrowed with ?goalIds=
+   */
+  async getEstimates(req, res) {
+    try {
+      const reportable = await reportService.reportableGoalIds(req.user._id);
+
+      let goalIds = reportable;
+      if (req.query.goalIds) {
+        const requested = String(req.query.goalIds).split(',').filter(id => mongoose.isValidObjectId(id));
+        goalIds = requested.filter(id => reportable.includes(id));
+
+        if (goalIds.length < requested.length || requested.length === 0) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action (requires canViewReports)',
+            requiredPermission: 'canViewReports'
+          });
+        }
+      }
+
+      await sendEstimatesReport(req, res, goalIds, 'all-goals');
+
+    } catch (error) {
+      console.error('Get estimates report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build estimates report'
+      });
+    }
+  }
+}
+
+/**
+ * Build the report for the request's groupBy, from, to and format
+ * parameters and send it as JSON or CSV
+ */
+async function sendEstimatesReport(req, res, goalIds, filePrefix) {
+  const groupBy = req.query.groupBy || 'goal';
+  if (!REPORT_GROUPS.includes(groupBy)) {
+    return res.status(400).json({
+      success: false,
+      message: `groupBy must be one of: ${REPORT_GROUPS.join(', ')}`
+    });
+  }
+
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  const userId = req.user._id.toString();
+  const [zones, settings] = await Promise.all([
+    getUserTimeZones([userId]),
+    UserSettings.findOne({ userId }).select('weekStartsOn')
+  ]);
+
+  const report = await reportService.estimatesReport(goalIds, {
+    groupBy,
+    from,
+    to,
+    timeZone: zones.get(userId),
+    weekStartsOn: settings?.weekStartsOn ?? 1
+  });
+
+  if (req.query.format === 'csv') {
+    const filename = `estimates-${filePrefix}-${groupBy}-${new Date().toISOString().slice(0, 10)}.csv`;
+    const rows = [...report.rows, { key: 'total', name: 'Total', ...report.totals }];
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.type('text/csv').send(toCsv(CSV_COLUMNS, rows));
+  }
+
+  res.json({
+    success: true,
+    data: { report }
+  });
+}
+
+/**
+ * A query date, null when absent and undefined when invalid
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+export default new ReportController();
@@ -0,0 +1,673 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import List from '../models/List.js';
+import User from '../models/User.js';
+import GoalSetting from '../models/GoalSetting.js';
+import { canAccessGoal, filterGoalAudience } from '../middleware/goalAccess.js';
+import boardService from '../services/boardService.js';
+import dependencyService from '../services/dependencyService.js';
+import labelService from '../services/labelService.js';
+import notificationService from '../services/notificationService.js';
+import recurrenceService, { EDIT_SCOPES } from '../services/recurrenceService.js';
+import timeTrackingService from '../services/timeTrackingService.js';
+import { parsePagination, buildPagination, parseSort, parseBoolean, applyUpdates, parseList } from '../utils/query.js';
+
+// Fields a client may set when creating or updating a task; isSubtask
+// follows parentTaskId
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'startDate',
+  'dueDate',
+  'estimatedHours',
+  'labels',
+  'watchers',
+  'repeat',
+  'recurrencePattern',
+  'parentTaskId'
+];
+
+// Most parent tasks walked when checking a new parent for cycles
+const MAX_SUBTASK_DEPTH = 50;
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'title', 'position'];
+
+class TaskController {
+  /**
+   * List tasks in a goal
+   */
+  async getGoalTasks(req, res) {
+    try {
+      const goal = req.goal;
+
+      const { status, priority, listId, assignee, label } = req.query;
+
+      if ([listId, assignee, label].some(id => id && !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'listId, assignee and label must be valid ids'
+        });
+      }
+
+      const query = { goalId: goal._id, deletedAt: null };
+      if (!parseBoolean(req.query.includeArchived)) query.archived = false;
+      if (parseBoolean(req.query.includeSubtasks) === false) query.isSubtask = false;
+      if (status) query.status = { $in: parseList(status) };
+      if (priority) query.priority = { $in: parseList(priority) };
+      if (listId) query.listId = listId;
+      if (assignee) query['assignees.userId'] = assignee;
+      if (label) query.labels = label;
+
+      const pagination = parsePagination(req.query, 50);
+      const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { position: 1, createdAt: 1 });
+
+      const [tasks, total] = await Promise.all([
+        Task.find(query).sort(sort).skip(pagination.skip).limit(pagination.limit),
+        Task.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          tasks: tasks.map(serializeTask),
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get goal tasks error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch tasks'
+      });
+    }
+  }
+
+  /**
+   * Create a task in a goal
+   */
+  async createTask(req, res) {
+    try {
+      const userId = req.user._id;
+      const goal = req.goal;
+
+      const task = new Task({ goalId: goal._id, createdBy: userId });
+
+      if (req.body.listId) {
+        const list = await findGoalList(req.body.listId, goal._id);
+        if (!list) {
+          return res.status(400).json({
+            success: false,
+            message: 'List does not belong to this goal'
+          });
+        }
+        task.listId = list._id;
+        task.position = await boardService.nextTaskPosition(list._id);
+      }
+
+      if (req.body.labels !== undefined) {
+        const invalid = await labelService.validateTaskLabels(goal._id, req.body.labels);
+        if (invalid) {
+          return res.status(400).json({
+            success: false,
+            message: invalid
+          });
+        }
+      }
+
+      const invalidLinks = await validateTaskLinks(task, req.body);
+      if (invalidLinks) {
+        return res.status(400).json({
+          success: false,
+          message: invalidLinks
+        });
+      }
+
+      const changes = applyUpdates(task, req.body, EDITABLE_FIELDS);
+      syncSubtaskFlag(task, changes);
+      task.addAuditLog('created', userId, changes);
+      const defaultAssignee = await applyGoalDefaults(task, goal, req.body, userId);
+      await task.save();
+
+      if (defaultAssignee) {
+        await notificationService.notifyTaskAssigned(task, defaultAssignee, req.user);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Task created successfully',
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create task'
+      });
+    }
+  }
+
+  /**
+   * List tasks assigned to the current user
+   */
+  async getMyTasks(req, res) {
+    try {
+      const { status } = req.query;
+
+      const pagination = parsePagination(req.query, 50);
+      const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { dueDate: 1, priority: -1 });
+
+      const query = Task.findByAssignee(req.user._id, status ? { $in: parseList(status) } : null);
+      if (parseBoolean(req.query.overdue)) {
+        query.where('dueDate').lt(new Date()).where('status').ne('completed');
+      }
+
+      const [tasks, total] = await Promise.all([
+        query.clone().sort(sort).skip(pagination.skip).limit(pagination.limit),
+        query.clone().countDocuments()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          tasks: tasks.map(serializeTask),
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get my tasks error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch assigned tasks'
+      });
+    }
+  }
+
+  /**
+   * Get a single task
+   */
+  async getTask(req, res) {
+    try {
+      const task = req.task;
+
+      res.json({
+        success: true,
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      console.error('Get task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task'
+      });
+    }
+  }
+
+  /**
+   * Upcoming occurrences of a recurring task, in its creator's timezone
+   */
+  async getOccurrences(req, res) {
+    try {
+      const task = req.task;
+      const { limit } = parsePagination(req.query, 10);
+
+      const occurrences = await recurrenceService.upcoming(task, req.user._id, limit);
+
+      res.json({
+        success: true,
+        data: {
+          rule: task.recurrenceRule(),
+          seriesId: task.recurrence?.seriesId || null,
+          occurrences
+        }
+      });
+
+    } catch (error) {
+      console.error('Get task occurrences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task occurrences'
+      });
+    }
+  }
+
+  /**
+   * Update a task
+   */
+  async updateTask(req, res) {
+    try {
+      const userId = req.user._id;
+      const task = req.task;
+      const { scope } = req.body;
+
+      if (scope !== undefined && !EDIT_SCOPES.includes(scope)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scope must be this or following'
+        });
+      }
+
+      if (scope === 'this' && (req.body.repeat !== undefined || req.body.recurrencePattern !== undefined)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The repeat rule can only be changed for this and following occurrences'
+        });
+      }
+
+      if (req.body.labels !== undefined) {
+        const invalid = await labelService.validateTaskLabels(task.goalId, req.body.labels);
+        if (invalid) {
+          return res.status(400).json({
+            success: false,
+            message: invalid
+          });
+        }
+      }
+
+      const invalidLinks = await validateTaskLinks(task, req.body);
+      if (invalidLinks) {
+        return res.status(400).json({
+          success: false,
+          message: invalidLinks
+        });
+      }
+
+      const changes = applyUpdates(task, req.body, EDITABLE_FIELDS);
+      syncSubtaskFlag(task, changes);
+
+      if (Object.keys(changes).length > 0) {
+        recurrenceService.applyEdit(task, changes, scope);
+        task.addAuditLog(changes.status ? 'status_changed' : 'updated', userId, changes, scope ? { scope } : {});
+        await task.save();
+
+        if (scope !== 'this') {
+          await recurrenceService.updateLaterOccurrences(task, changes, userId);
+        }
+      }
+
+      if (changes.status) {
+        await dependencyService.onTaskChanged(task, userId);
+      }
+
+      let nextTask = null;
+      if (changes.status?.to === 'completed') {
+        await notificationService.notifyTaskCompleted(task, req.user);
+        nextTask = await spawnNextOccurrence(task, req.user);
+      }
+
+      res.json({
+        success: true,
+        message: 'Task updated successfully',
+        data: {
+          task: serializeTask(task),
+          nextTask: nextTask && serializeTask(nextTask)
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update task'
+      });
+    }
+  }
+
+  /**
+   * Soft delete a task
+   */
+  async deleteTask(req, res) {
+    try {
+      const userId = req.user._id;
+      const task = req.task;
+
+      await task.softDelete(userId);
+      await dependencyService.onTaskChanged(task, userId);
+      await timeTrackingService.stopTaskTimers(task._id);
+
+      res.json({
+        success: true,
+        message: 'Task deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete task'
+      });
+    }
+  }
+
+  /**
+   * Assign a user to a task
+   */
+  async assignUser(req, res) {
+    try {
+      const userId = req.user._id;
+      const { userId: assigneeId, role } = req.body;
+
+      if (!assigneeId || !mongoose.isValidObjectId(assigneeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid userId is required'
+        });
+      }
+
+      const task = req.task;
+
+      const assignee = await User.findOne({ _id: assigneeId, isActive: true, deletedAt: null });
+      if (!assignee) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (task.goalId && !(await canAccessGoal(req.goal, assignee._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'User is not a member of this goal'
+        });
+      }
+
+      if (task.assignees.some(a => a.userId.toString() === assigneeId.toString())) {
+        return res.status(409).json({
+          success: false,
+          message: 'User is already assigned to this task'
+        });
+      }
+
+      await task.assignUser(assignee._id, userId, role);
+      await notificationService.notifyTaskAssigned(task, assignee._id, req.user);
+
+      res.json({
+        success: true,
+        message: 'User assigned successfully',
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Assign user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign user'
+      });
+    }
+  }
+
+  /**
+   * Remove a user from a task
+   */
+  async unassignUser(req, res) {
+    try {
+      const userId = req.user._id;
+      const task = req.task;
+
+      const isAssigned = task.assignees.some(a => a.userId.toString() === req.params.userId);
+      if (!isAssigned) {
+        return res.status(404).json({
+          success: false,
+          message: 'User is not assigned to this task'
+        });
+      }
+
+      await task.unassignUser(req.params.userId, userId);
+
+      res.json({
+        success: true,
+        message: 'User unassigned successfully',
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      console.error('Unassign user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unassign user'
+      });
+    }
+  }
+
+  /**
+   * Mark a task as completed
+   */
+  async completeTask(req, res) {
+    try {
+      const userId = req.user._id;
+      const task = req.task;
+
+      let nextTask = null;
+      if (task.status !== 'completed') {
+        await task.complete(userId);
+        await dependencyService.onTaskChanged(task, userId);
+        await notificationService.notifyTaskCompleted(task, req.user);
+        nextTask = await spawnNextOccurrence(task, req.user);
+      }
+
+      res.json({
+        success: true,
+        message: 'Task completed successfully',
+        data: {
+          task: serializeTask(task),
+          nextTask: nextTask && serializeTask(nextTask)
+        }
+      });
+
+    } catch (error) {
+      console.error('Complete task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete task'
+      });
+    }
+  }
+
+  /**
+   * Block a task with a reason
+   */
+  async blockTask(req, res) {
+    try {
+      const userId = req.user._id;
+      const { reason } = req.body;
+
+      if (!reason || !reason.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Blocking reason is required'
+        });
+      }
+
+      const task = req.task;
+
+      await task.block(reason.trim(), userId);
+
+      res.json({
+        success: true,
+        message: 'Task blocked successfully',
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Block task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to block task'
+      });
+    }
+  }
+
+  /**
+   * Unblock a task
+   */
+  async unblockTask(req, res) {
+    try {
+      const userId = req.user._id;
+      const task = req.task;
+
+      if (task.isBlocked) {
+        await task.unblock(userId);
+      }
+
+      res.json({
+        success: true,
+        message: 'Task unblocked successfully',
+        data: { task: serializeTask(task) }
+      });
+
+    } catch (error) {
+      console.error('Unblock task error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unblock task'
+      });
+    }
+  }
+}
+
+/**
+ * Serialize a task including its computed due-date virtuals
+ */
+export function serializeTask(task) {
+  return {
+    ...task.toJSON(),
+    isOverdue: task.isOverdue,
+    daysUntilDue: task.daysUntilDue
+  };
+}
+
+/**
+ * Fill in the goal's default priority and assignee on a new task,
+ * returning the id of the default assignee if one was added
+ */
+async function applyGoalDefaults(task, goal, body, createdBy) {
+  const settings = await GoalSetting.findOne({ goalId: goal._id });
+  if (!settings) return null;
+
+  if (body.priority === undefined) {
+    task.priority = settings.defaultPriority;
+  }
+
+  // Skip a default assignee who has since lost access to the goal
+  if (settings.defaultAssignee && await canAccessGoal(goal, settings.defaultAssignee)) {
+    task.assignees.push({
+      userId: settings.defaultAssignee,
+      assignedBy: createdBy,
+      assignedAt: new Date()
+    });
+    task.addAuditLog('assigned', createdBy, { userId: settings.defaultAssignee, source: 'goal_default' });
+    return settings.defaultAssignee;
+  }
+  return null;
+}
+
+/**
+ * Create the next occurrence of a completed recurring task. The task is
+ * already completed, so a failure is logged rather than failing the
+ * request.
+ */
+async function spawnNextOccurrence(task, actor) {
+  try {
+    return await recurrenceService.spawnNext(task, actor);
+  } catch (error) {
+    console.error(`Failed to create next occurrence of task ${task._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Explain why the watchers or parent task in a request cannot be set on
+ * the task, or return null. Watchers must be able to open the task and
+ * the parent must be another task in the same goal, not nested under it.
+ */
+async function validateTaskLinks(task, body) {
+  if (body.watchers !== undefined) {
+    if (!Array.isArray(body.watchers)) return 'Watchers must be an array';
+    if (body.watchers.some(id => !mongoose.isValidObjectId(id))) return 'Invalid watcher id';
+
+    const watcherIds = [...new Set(body.watchers.map(String))];
+    const allowed = task.goalId
+      ? await filterGoalAudience(task.goalId, watcherIds)
+      : watcherIds.filter(id => id === task.createdBy.toString());
+    if (allowed.length < watcherIds.length) return 'Watchers must have access to this goal';
+  }
+
+  if (body.parentTaskId) {
+    if (!mongoose.isValidObjectId(body.parentTaskId) || task._id.equals(body.parentTaskId)) {
+      return 'Parent must be another task in this goal';
+    }
+
+    // Tasks outside a goal can only nest under their creator's own tasks
+    const parent = await Task.exists({
+      _id: body.parentTaskId,
+      goalId: task.goalId || null,
+      deletedAt: null,
+      ...(!task.goalId && { createdBy: task.createdBy })
+    });
+    if (!parent) return 'Parent must be another task in this goal';
+
+    // The new parent cannot be one of the task's own subtasks
+    if (!task.isNew) {
+      let ancestorId = body.parentTaskId;
+      for (let depth = 0; ancestorId; depth++) {
+        if (task._id.equals(ancestorId)) return 'A task cannot be nested under its own subtask';
+        if (depth === MAX_SUBTASK_DEPTH) return 'Subtasks are nested too deeply';
+
+        const ancestor = await Task.findById(ancestorId).select('parentTaskId');
+        ancestorId = ancestor?.parentTaskId;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Keep isSubtask in line with parentTaskId after an update
+ */
+function syncSubtaskFlag(task, changes) {
+  const isSubtask = Boolean(task.parentTaskId);
+  if (!changes.parentTaskId || task.isSubtask === isSubtask) return;
+
+  changes.isSubtask = { from: task.isSubtask, to: isSubtask };
+  task.isSubtask = isSubtask;
+}
+
+/**
+ * Find a list that belongs to the given goal
+ */
+function findGoalList(listId, goalId) {
+  if (!mongoose.isValidObjectId(listId)) return null;
+  return List.findOne({ _id: listId, goalId });
+}
+
+export default new TaskController();
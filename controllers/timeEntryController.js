@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import TimeEntry from '../models/TimeEntry.js';
+import timeTrackingService from '../services/timeTrackingService.js';
+import { parsePagination, buildPagination } from '../utils/query.js';
+
+class TimeEntryController {
+  /**
+   * Start a timer on a task, stopping any timer already running
+   */
+  async startTimer(req, res) {
+    try {
+      const { entry, stopped } = await timeTrackingService.startTimer(req.user._id, req.task, {
+        note: req.body.note
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Timer started',
+        data: { entry, stoppedEntry: stopped }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Start timer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start timer'
+      });
+    }
+  }
+
+  /**
+   * Get the current user's running timer
+   */
+  async getTimer(req, res) {
+    try {
+      const entry = await TimeEntry.findRunning(req.user._id).populate('taskId', 'title goalId');
+
+      res.json({
+        success: true,
+        data: { entry }
+      });
+
+    } catch (error) {
+      console.error('Get timer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch timer'
+      });
+    }
+  }
+
+  /**
+   * Stop the current user's running timer
+   */
+  async stopTimer(req, res) {
+    try {
+      const entry = await timeTrackingService.stopTimer(req.user._id, { note: req.body.note });
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'No timer is running'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Timer stopped',
+        data: { entry }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Stop timer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to stop timer'
+      });
+    }
+  }
+
+  /**
+   * List the time logged on a task by everyone
+   */
+  async getTaskEntries(req, res) {
+    try {
+      const pagination = parsePagination(req.query, 50);
+      const [entries, total] = await timeTrackingService.findEntries({
+        taskId: req.task._id,
+        from: req.query.from,
+        to: req.query.to
+      }, pagination);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          timeSpent: req.task.timeSpent,
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get task time entries error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch time entries'
+      });
+    }
+  }
+
+  /**
+   * Log time on a task manually, from startedAt and either endedAt or
+   * durationMinutes
+   */
+  async createEntry(req, res) {
+    try {
+      const { startedAt, endedAt, durationMinutes, note } = req.body;
+
+      if (!startedAt || Number.isNaN(new Date(startedAt).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid startedAt is required'
+        });
+      }
+
+      if (endedAt === undefined && !(Number(durationMinutes) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide endedAt or a positive durationMinutes'
+        });
+      }
+
+      const entry = await timeTrackingService.createEntry(req.user._id, req.task, {
+        startedAt,
+        endedAt,
+        durationMinutes,
+        note
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Time logged successfully',
+        data: { entry }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create time entry error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to log time'
+      });
+    }
+  }
+
+  /**
+   * List the current user's time entries
+   */
+  async getMyEntries(req, res) {
+    try {
+      const { taskId, goalId, from, to } = req.query;
+
+      const pagination = parsePagination(req.query, 50);
+      const [entries, total] = await timeTrackingService.findEntries({
+        userId: req.user._id,
+        taskId: mongoose.isValidObjectId(taskId) ? taskId : undefined,
+        goalId: mongoose.isValidObjectId(goalId) ? goalId : undefined,
+        from,
+        to
+      }, pagination);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: buildPagination(pagination, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get time entries error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch time entries'
+      });
+    }
+  }
+
+  /**
+   * Edit the times or note of one of the current user's entries
+   */
+  async updateEntry(req, res) {
+    try {
+      const entry = await findOwnEntry(req.params.entryId, req.user._id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Time entry not found'
+        });
+      }
+
+      const changes = await timeTrackingService.updateEntry(entry, req.body);
+
+      res.json({
+        success: true,
+        message: 'Time entry updated successfully',
+        data: { entry, changes }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Update time entry error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update time entry'
+      });
+    }
+  }
+
+  /**
+   * Delete one of the current user's entries
+   */
+  async deleteEntry(req, res) {
+    try {
+      const entry = await findOwnEntry(req.params.entryId, req.user._id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Time entry not found'
+        });
+      }
+
+      await timeTrackingService.deleteEntry(entry);
+
+      res.json({
+        success: true,
+        message: 'Time entry deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete time entry error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete time entry'
+      });
+    }
+  }
+}
+
+function findOwnEntry(entryId, userId) {
+  if (!mongoose.isValidObjectId(entryId)) return null;
+  return TimeEntry.findOne({ _id: entryId, userId, deletedAt: null });
+}
+
+export default new TimeEntryController();
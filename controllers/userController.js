@@ -3,6 +3,7 @@ import UserProfile from '../models/UserProfile.js';
 import UserSettings from '../models/UserSettings.js';
 import UserSession from '../models/UserSession.js';
 import jwtUtils from '../utils/jwt.js';
+import usageService from '../services/usageService.js';
 
 class UserController {
   /**
@@ -237,6 +238,27 @@ class UserController {
     }
   }
 
+  /**
+   * Get storage usage and plan limits for the current user
+   */
+  async getUsage(req, res) {
+    try {
+      const usage = await usageService.getUsageReport(req.user);
+
+      res.json({
+        success: true,
+        data: { usage }
+      });
+
+    } catch (error) {
+      console.error('Get usage error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch usage'
+      });
+    }
+  }
+
   /**
    * Delete user account
    */
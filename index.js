@@ -21,10 +21,26 @@ import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import calendarRoutes from './routes/calendarRoutes.js';
 import googleAuthRoutes from './routes/googleAuthRoutes.js';
+import goalRoutes from './routes/goalRoutes.js';
+import taskRoutes from './routes/taskRoutes.js';
+import listRoutes from './routes/listRoutes.js';
+import inviteRoutes from './routes/inviteRoutes.js';
+import inviteLinkRoutes from './routes/inviteLinkRoutes.js';
+import fileRoutes from './routes/fileRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import timeEntryRoutes from './routes/timeEntryRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import devRoutes from './routes/devRoutes.js';
+import emailConfig from './config/email.js';
 
 // Import socket configuration
 import configureSocket from './sockets/io.js';
 
+// Import background jobs
+import { startJobs } from './jobs/index.js';
+import jobQueue from './services/jobQueue.js';
+
 const app = express();
 const httpServer = createServer(app);
 
@@ -110,6 +126,21 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/google-auth', googleAuthRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/invite-links', inviteLinkRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Development tools
+if (emailConfig.previewEnabled) {
+  app.use('/dev', devRoutes);
+}
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -142,13 +173,19 @@ httpServer.listen(PORT, () => {
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
   console.log(`💾 Database: Connected to MongoDB`);
   console.log(`🔌 Socket.IO: Enabled for real-time communication`);
+  console.log(`📧 Email: ${emailConfig.transport} transport${emailConfig.previewEnabled ? `, preview at /dev/emails` : ''}`);
+
+  startJobs().catch(error => {
+    console.error('Failed to start background jobs:', error);
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
-  httpServer.close(() => {
+  httpServer.close(async () => {
     console.log('HTTP server closed');
+    await jobQueue.stop();
     process.exit(0);
   });
 });
@@ -0,0 +1,47 @@
+import UserCalendarAccount from '../models/UserCalendarAccount.js';
+import calendarService from '../services/calendarService.js';
+import jobQueue from '../services/jobQueue.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Queue a sync for every calendar account that is due. Each account's
+ * next sync is pushed out while its job is pending so later scans do
+ * not queue it again.
+ */
+export async function queueDueCalendarSyncs() {
+  const accounts = await UserCalendarAccount.findDueForSync();
+
+  for (const account of accounts) {
+    await UserCalendarAccount.updateOne(
+      { _id: account._id },
+      { nextSyncAt: new Date(Date.now() + account.syncPreferences.syncInterval * MINUTE_MS) }
+    );
+    await jobQueue.enqueue('calendar.syncAccount', { accountId: account._id.toString() }, {
+      uniqueKey: `calendar-sync:${account._id}`
+    });
+  }
+
+  return { queued: accounts.length };
+}
+
+/**
+ * Sync one calendar account. The account is marked as failing once the
+ * job has used its last attempt.
+ */
+export async function syncCalendarAccount({ accountId }, job) {
+  const account = await UserCalendarAccount.findOne({ _id: accountId, isActive: true });
+  if (!account || account.syncStatus !== 'active') {
+    return { skipped: true };
+  }
+
+  try {
+    return await calendarService.syncAccount(account);
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_PROVIDER' || job.attempts >= job.maxAttempts) {
+      await account.updateSyncStatus('error', error);
+      return { synced: false, error: error.message };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,26 @@
+import storageConfig from '../config/storage.js';
+import fileService from '../services/fileService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Purge the blobs of files deleted longer ago than the grace period
+ */
+export async function runFileCleanup() {
+  const deletedBefore = new Date(Date.now() - storageConfig.deletedFileGraceDays * DAY_MS);
+  let total = 0;
+
+  // Work through the backlog in batches until nothing purgeable is left
+  for (;;) {
+    const { purged, failed } = await fileService.purgeDeletedFiles(deletedBefore);
+    total += purged;
+    if (purged === 0 || failed > 0) break;
+  }
+
+  if (total > 0) {
+    console.log(`🧹 Purged ${total} deleted file(s)`);
+  }
+  return total;
+}
+
+export default runFileCleanup;
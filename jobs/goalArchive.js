@@ -0,0 +1,20 @@
+import Goal from '../models/Goal.js';
+
+/**
+ * Archive a goal whose completion grace period has passed. Goals that
+ * were reopened, archived or deleted in the meantime are left alone.
+ */
+export async function archiveCompletedGoal({ goalId }) {
+  const goal = await Goal.findOne({ _id: goalId, deletedAt: null });
+  if (!goal || goal.archived || goal.status !== 'completed') {
+    return { archived: false };
+  }
+
+  goal.archived = true;
+  goal.addAuditLog('archived', goal.ownerId, { archived: { from: false, to: true } }, { reason: 'auto_archive' });
+  await goal.save();
+
+  return { archived: true };
+}
+
+export default archiveCompletedGoal;
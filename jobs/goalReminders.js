@@ -0,0 +1,15 @@
+import reminderService from '../services/reminderService.js';
+
+/**
+ * Send the goal reminders and daily summaries that are due
+ */
+export async function runGoalReminders(now = new Date()) {
+  const { reminders, summaries } = await reminderService.runDue(now);
+
+  if (reminders > 0 || summaries > 0) {
+    console.log(`⏰ Sent ${reminders} reminder(s) and ${summaries} daily summar${summaries === 1 ? 'y' : 'ies'}`);
+  }
+  return { reminders, summaries };
+}
+
+export default runGoalReminders;
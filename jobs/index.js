@@ -0,0 +1,88 @@
+import jobsConfig from '../config/jobs.js';
+import emailConfig from '../config/email.js';
+import EmailMessage from '../models/EmailMessage.js';
+import jobQueue from '../services/jobQueue.js';
+import previewService from '../services/previewService.js';
+import digestService from '../services/digestService.js';
+import forecastService from '../services/forecastService.js';
+import jwtUtils from '../utils/jwt.js';
+import emailService from '../utils/email.js';
+import { runFileCleanup } from './fileCleanup.js';
+import { runGoalReminders } from './goalReminders.js';
+import { archiveCompletedGoal } from './goalArchive.js';
+import { queueDueCalendarSyncs, syncCalendarAccount } from './calendarSync.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Register every job handler with the queue
+ */
+export function defineJobs() {
+  jobQueue.define('files.cleanup', async () => ({ purged: await runFileCleanup() }));
+
+  jobQueue.define('files.generatePreview', async ({ fileId }) => {
+    const file = await previewService.generate(fileId);
+    return { previewStatus: file?.previewStatus || null };
+  }, { maxAttempts: 2 });
+
+  jobQueue.define('goals.reminders', () => runGoalReminders(), { maxAttempts: 1 });
+
+  jobQueue.define('goals.autoArchive', archiveCompletedGoal);
+
+  jobQueue.define('goals.updateForecastStatus', () => forecastService.updateGoalStatuses(), { maxAttempts: 1 });
+
+  jobQueue.define('auth.cleanupExpiredTokens', async () => {
+    if (!(await jwtUtils.cleanupExpiredTokens())) {
+      throw new Error('Expired session cleanup failed');
+    }
+    return { cleaned: true };
+  });
+
+  jobQueue.define('email.send', ({ emailId }, job) => emailService.deliver(emailId, job), {
+    maxAttempts: emailConfig.maxAttempts,
+    backoff: emailConfig.backoff
+  });
+
+  jobQueue.define('email.prune', async () => ({
+    deleted: await EmailMessage.prune(new Date(Date.now() - emailConfig.keepDays * DAY_MS))
+  }));
+
+  jobQueue.define('notifications.sendDigest', ({ userId }) => digestService.sendDigest(userId));
+
+  jobQueue.define('calendar.queueDueSyncs', queueDueCalendarSyncs, { maxAttempts: 1 });
+
+  jobQueue.define('calendar.syncAccount', syncCalendarAccount, {
+    maxAttempts: 3,
+    backoff: { strategy: 'exponential', delayMs: 60 * 1000 }
+  });
+
+  jobQueue.define('jobs.prune', async () => ({
+    deleted: await jobQueue.prune(new Date(Date.now() - jobsConfig.keepFinishedDays * DAY_MS))
+  }));
+}
+
+/**
+ * Store the recurring schedules
+ */
+export async function scheduleRecurringJobs() {
+  await jobQueue.schedule('files.cleanup', '0 * * * *');
+  await jobQueue.schedule('goals.reminders', '* * * * *');
+  await jobQueue.schedule('goals.updateForecastStatus', '0 * * * *');
+  await jobQueue.schedule('auth.cleanupExpiredTokens', '30 3 * * *');
+  await jobQueue.schedule('calendar.queueDueSyncs', '*/5 * * * *');
+  await jobQueue.schedule('jobs.prune', '0 4 * * *');
+  await jobQueue.schedule('email.prune', '15 4 * * *');
+}
+
+/**
+ * Register handlers, store schedules and start this process's worker
+ */
+export async function startJobs() {
+  defineJobs();
+  if (!jobsConfig.enabled) return;
+
+  await scheduleRecurringJobs();
+  jobQueue.start();
+}
+
+export default startJobs;
@@ -0,0 +1,57 @@
+import jwtUtils from '../utils/jwt.js';
+import User from '../models/User.js';
+
+/**
+ * Authentication middleware
+ * Verifies the bearer access token and attaches the active user to req.user
+ */
+export async function authenticateToken(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    const decoded = jwtUtils.verifyAccessToken(token);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token or user inactive'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+}
+
+/**
+ * Role middleware
+ * Allows the request through only for users with one of the given roles.
+ * Must run after authenticateToken.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
+
+export default authenticateToken;
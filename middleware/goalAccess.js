@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import Goal from '../models/Goal.js';
+import GoalMember from '../models/GoalMember.js';
+import Task from '../models/Task.js';
+import List from '../models/List.js';
+
+// Permission flags defined on GoalMember.permissions
+export const GOAL_PERMISSIONS = ['canEdit', 'canDelete', 'canInvite', 'canManageMembers', 'canViewReports'];
+
+const OWNER_PERMISSIONS = GOAL_PERMISSIONS.reduce((acc, permission) => {
+  acc[permission] = true;
+  return acc;
+}, {});
+
+/**
+ * Build an error carrying an HTTP status for access failures
+ */
+function accessError(statusCode, message, permission = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (permission) error.permission = permission;
+  return error;
+}
+
+/**
+ * Resolve the caller's access to a goal.
+ * The goal owner always has every permission; private goals are only
+ * visible to their owner; everyone else needs an active membership.
+ * Throws an error with statusCode 404/403 when access is denied.
+ */
+export async function resolveGoalAccess(goalOrId, userId) {
+  let goal = goalOrId;
+
+  if (!(goalOrId instanceof Goal)) {
+    if (!mongoose.isValidObjectId(goalOrId)) {
+      throw accessError(404, 'Goal not found');
+    }
+    goal = await Goal.findOne({ _id: goalOrId, deletedAt: null });
+  }
+
+  if (!goal || goal.deletedAt) {
+    throw accessError(404, 'Goal not found');
+  }
+
+  const isOwner = goal.ownerId.toString() === userId.toString();
+
+  if (!isOwner && goal.visibility === 'private') {
+    throw accessError(403, 'This goal is private');
+  }
+
+  const membership = await GoalMember.findOne({
+    goalId: goal._id,
+    userId,
+    deletedAt: null
+  });
+
+  if (isOwner) {
+    return { goal, membership, role: 'owner', permissions: { ...OWNER_PERMISSIONS } };
+  }
+
+  if (!membership || membership.status !== 'active') {
+    throw accessError(403, 'You are not a member of this goal');
+  }
+
+  const permissions = GOAL_PERMISSIONS.reduce((acc, permission) => {
+    acc[permission] = Boolean(membership.permissions?.[permission]);
+    return acc;
+  }, {});
+
+  return { goal, membership, role: membership.role, permissions };
+}
+
+/**
+ * Check whether a user can access a goal at all
+ */
+export async function canAccessGoal(goal, userId) {
+  try {
+    await resolveGoalAccess(goal, userId);
+    return true;
+  } catch (error) {
+    if (error.statusCode) return false;
+    throw error;
+  }
+}
+
+/**
+ * Narrow a list of user ids to those who can access a goal: its owner
+ * and, unless the goal is private, its active members
+ */
+export async function filterGoalAudience(goalOrId, userIds) {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return ids;
+
+  let goal = goalOrId;
+  if (!(goalOrId instanceof Goal)) {
+    goal = mongoose.isValidObjectId(goalOrId) &&
+      await Goal.findOne({ _id: goalOrId, deletedAt: null });
+  }
+  if (!goal || goal.deletedAt) return [];
+
+  const ownerId = goal.ownerId.toString();
+  if (goal.visibility === 'private') {
+    return ids.filter(id => id === ownerId);
+  }
+
+  const members = await GoalMember.find({
+    goalId: goal._id,
+    userId: { $in: ids },
+    status: 'active',
+    deletedAt: null
+  }).distinct('userId');
+
+  const allowed = new Set([ownerId, ...members.map(String)]);
+  return ids.filter(id => allowed.has(id));
+}
+
+/**
+ * Verify access and the required permission, then attach the goal context
+ */
+async function authorize(req, goalOrId, permission) {
+  const access = await resolveGoalAccess(goalOrId, req.user._id);
+
+  if (permission && !access.permissions[permission]) {
+    throw accessError(403, `You do not have permission to perform this action (requires ${permission})`, permission);
+  }
+
+  req.goal = access.goal;
+  req.membership = access.membership;
+  req.goalAccess = access;
+}
+
+/**
+ * Convert an authorization failure into a consistent JSON response
+ */
+function handleAccessError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.permission && { requiredPermission: error.permission })
+    });
+  }
+
+  console.error('Goal authorization error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Failed to authorize request'
+  });
+}
+
+/**
+ * Require access to the goal named by a route param
+ */
+export function requireGoalPermission(permission = null, param = 'goalId') {
+  return async (req, res, next) => {
+    try {
+      await authorize(req, req.params[param], permission);
+      next();
+    } catch (error) {
+      handleAccessError(error, res);
+    }
+  };
+}
+
+/**
+ * Require access to the goal of the task named by a route param.
+ * Attaches the task as req.task.
+ */
+export function requireTaskPermission(permission = null, param = 'id') {
+  return async (req, res, next) => {
+    try {
+      const taskId = req.params[param];
+      const task = mongoose.isValidObjectId(taskId) &&
+        await Task.findOne({ _id: taskId, deletedAt: null });
+
+      if (!task) {
+        throw accessError(404, 'Task not found');
+      }
+
+      // Tasks outside a goal belong to their creator alone
+      if (!task.goalId) {
+        if (task.createdBy?.toString() !== req.user._id.toString()) {
+          throw accessError(404, 'Task not found');
+        }
+        req.task = task;
+        req.goal = null;
+        req.membership = null;
+        req.goalAccess = { goal: null, membership: null, role: 'owner', permissions: { ...OWNER_PERMISSIONS } };
+        return next();
+      }
+
+      await authorize(req, task.goalId, permission);
+      req.task = task;
+      next();
+    } catch (error) {
+      handleAccessError(error, res);
+    }
+  };
+}
+
+/**
+ * Require access to the goal of the list named by a route param.
+ * Attaches the list as req.list.
+ */
+export function requireListPermission(permission = null, param = 'id') {
+  return async (req, res, next) => {
+    try {
+      const listId = req.params[param];
+      const list = mongoose.isValidObjectId(listId) && await List.findById(listId);
+
+      if (!list) {
+        throw accessError(404, 'List not found');
+      }
+
+      await authorize(req, list.goalId, permission);
+      req.list = list;
+      next();
+    } catch (error) {
+      handleAccessError(error, res);
+    }
+  };
+}
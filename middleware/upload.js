@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import storageConfig from '../config/storage.js';
+
+const TEMP_DIR = path.join(os.tmpdir(), 'goalsync-uploads');
+
+fs.mkdirSync(TEMP_DIR, { recursive: true });
+
+const diskStorage = multer.diskStorage({ destination: TEMP_DIR });
+
+/**
+ * Accept multipart uploads in the given field, limited by the uploader's
+ * subscription plan. Files land in a temp directory as req.files and are
+ * removed once the response is sent.
+ */
+export function uploadFiles(field = 'files') {
+  return (req, res, next) => {
+    const maxFileSize = storageConfig.getMaxFileSize(req.user.subscriptionPlan);
+
+    const upload = multer({
+      storage: diskStorage,
+      limits: {
+        fileSize: maxFileSize,
+        files: storageConfig.maxFilesPerUpload
+      }
+    }).array(field, storageConfig.maxFilesPerUpload);
+
+    res.on('finish', () => removeTempFiles(req.files));
+    res.on('close', () => removeTempFiles(req.files));
+
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.files || req.files.length === 0) {
+          return res.status(400).json({
+            success: false,
+            message: `No files uploaded. Send files in the "${field}" field.`
+          });
+        }
+        req.files.forEach(file => {
+          file.originalname = decodeFileName(file.originalname);
+        });
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `Files cannot exceed ${Math.round(maxFileSize / (1024 * 1024))} MB on the ${req.user.subscriptionPlan || 'free'} plan`,
+          maxFileSize
+        });
+      }
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Upload up to ${storageConfig.maxFilesPerUpload} files in the "${field}" field`
+            : error.message
+        });
+      }
+
+      next(error);
+    });
+  };
+}
+
+/**
+ * Multipart file names arrive as latin1; recover UTF-8 names when valid
+ */
+function decodeFileName(name) {
+  const decoded = Buffer.from(name, 'latin1').toString('utf8');
+  return decoded.includes('\ufffd') ? name : decoded;
+}
+
+function removeTempFiles(files) {
+  (files || []).forEach(file => {
+    fs.promises.rm(file.path, { force: true }).catch(() => {});
+  });
+}
+
+export default uploadFiles;
@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 const auditLogSchema = new mongoose.Schema({
   action: {
     type: String,
-    enum: ['created', 'updated', 'completed', 'uncompleted', 'assigned', 'deleted'],
+    enum: ['created', 'updated', 'completed', 'uncompleted', 'assigned', 'unassigned', 'deleted', 'promoted'],
     required: true
   },
   by: {
@@ -247,6 +247,22 @@ checklistItemSchema.statics.findByAssignee = function(assigneeId, completed = nu
   return this.find(query);
 };
 
+/**
+ * Recompute a task's checklistProgress from its non-deleted items.
+ * Writes that skip save middleware (bulk updates) must call this directly.
+ */
+checklistItemSchema.statics.updateTaskProgress = async function(taskId) {
+  const Task = mongoose.model('Task');
+  const [total, completed] = await Promise.all([
+    this.countDocuments({ taskId, deletedAt: null }),
+    this.countDocuments({ taskId, deletedAt: null, completed: true })
+  ]);
+  const progress = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+  await Task.updateOne({ _id: taskId }, { checklistProgress: progress });
+  return progress;
+};
+
 checklistItemSchema.statics.findOverdue = function() {
   return this.find({
     dueDate: { $lt: new Date() },
@@ -281,18 +297,15 @@ checklistItemSchema.pre('save', function(next) {
   next();
 });
 
-// Post-save middleware to update parent task checklist progress
+// Post-save middleware to update parent task checklist progress.
+// Soft deletes go through save as well, so removed items drop out here.
 checklistItemSchema.post('save', async function(doc) {
+  // Inside a transaction the write is not visible yet; the caller
+  // recomputes once it commits
+  if (doc.$session()) return;
+
   try {
-    const Task = mongoose.model('Task');
-    const task = await Task.findById(doc.taskId);
-    if (task) {
-      const allItems = await ChecklistItem.find({ taskId: doc.taskId, deletedAt: null });
-      const completedItems = allItems.filter(item => item.completed);
-      const progress = allItems.length > 0 ? Math.round((completedItems.length / allItems.length) * 100) : 0;
-      
-      await Task.findByIdAndUpdate(doc.taskId, { checklistProgress: progress });
-    }
+    await ChecklistItem.updateTaskProgress(doc.taskId);
   } catch (error) {
     console.error('Error updating task checklist progress:', error);
   }
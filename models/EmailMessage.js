@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+
+// Most failed delivery attempts kept on an email
+const MAX_ERROR_HISTORY = 20;
+
+const deliveryErrorSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // SMTP response code or nodemailer error code, when there is one
+  code: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const emailMessageSchema = new mongoose.Schema({
+  // What the email is, e.g. welcome or password_reset
+  kind: {
+    type: String,
+    trim: true,
+    default: 'general'
+  },
+  // Recipient account, when the email is sent to a user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Message
+  from: {
+    type: String,
+    required: [true, 'Sender is required']
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  html: {
+    type: String,
+    default: null
+  },
+  text: {
+    type: String,
+    default: null
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Delivery
+  status: {
+    type: String,
+    enum: {
+      values: ['queued', 'sending', 'sent', 'failed', 'cancelled'],
+      message: 'Status must be queued, sending, sent, failed, or cancelled'
+    },
+    default: 'queued'
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Transport that delivered the email and what it answered
+  transport: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  response: {
+    type: String,
+    default: null
+  },
+  // Where the file transport wrote the message
+  filePath: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  errorHistory: [deliveryErrorSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+emailMessageSchema.index({ status: 1, createdAt: -1 });
+emailMessageSchema.index({ userId: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ kind: 1, createdAt: -1 });
+
+// Instance methods
+emailMessageSchema.methods.markSending = function(attempt) {
+  this.status = 'sending';
+  this.attempts = attempt ?? this.attempts + 1;
+  this.lastAttemptAt = new Date();
+  return this.save();
+};
+
+emailMessageSchema.methods.markSent = function({ transport, messageId = null, response = null, filePath = null }) {
+  Object.assign(this, {
+    status: 'sent',
+    sentAt: new Date(),
+    transport,
+    messageId,
+    response,
+    filePath,
+    lastError: null
+  });
+  return this.save();
+};
+
+/**
+ * Record a failed attempt. The email goes back to the queue unless it
+ * has no attempts left.
+ */
+emailMessageSchema.methods.recordFailure = function(error, { final = false } = {}) {
+  const message = error?.message || String(error);
+
+  this.status = final ? 'failed' : 'queued';
+  this.lastError = message;
+  this.errorHistory.push({
+    attempt: this.attempts,
+    message,
+    code: error?.responseCode ? String(error.responseCode) : error?.code || null
+  });
+  if (this.errorHistory.length > MAX_ERROR_HISTORY) {
+    this.errorHistory.splice(0, this.errorHistory.length - MAX_ERROR_HISTORY);
+  }
+  return this.save();
+};
+
+// Static methods
+
+/**
+ * Email counts by status
+ */
+emailMessageSchema.statics.countByStatus = async function(filter = {}) {
+  const rows = await this.aggregate([
+    { $match: filter },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+  rows.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+/**
+ * Delete delivered, failed and cancelled emails created before a date
+ */
+emailMessageSchema.statics.prune = async function(createdBefore) {
+  const result = await this.deleteMany({
+    status: { $in: ['sent', 'failed', 'cancelled'] },
+    createdAt: { $lt: createdBefore }
+  });
+  return result.deletedCount;
+};
+
+export default mongoose.model('EmailMessage', emailMessageSchema);
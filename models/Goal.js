@@ -1,9 +1,17 @@
 import mongoose from 'mongoose';
+import jobQueue from '../services/jobQueue.js';
+import notificationService from '../services/notificationService.js';
+
+// Completed goals are archived this long after completion
+const AUTO_ARCHIVE_DELAY_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Progress percentages that count as milestones
+const MILESTONES = [25, 50, 75, 100];
 
 const auditLogSchema = new mongoose.Schema({
   action: {
     type: String,
-    enum: ['created', 'updated', 'deleted', 'archived', 'shared', 'member_added', 'member_removed'],
+    enum: ['created', 'updated', 'deleted', 'restored', 'archived', 'shared', 'member_added', 'member_removed'],
     required: true
   },
   by: {
@@ -140,6 +148,11 @@ const goalSchema = new mongoose.Schema({
       message: 'Progress must be a whole number'
     }
   },
+  // Milestones already announced, so dipping below one and back does not repeat it
+  milestonesReached: [{
+    type: Number,
+    enum: MILESTONES
+  }],
   color: {
     type: String,
     trim: true,
@@ -260,7 +273,7 @@ goalSchema.methods.softDelete = function(deletedBy) {
   this.deletedAt = new Date();
   this.deletedBy = deletedBy;
   this.archived = true;
-  this.addAuditLog('deleted', deletedBy);
+  this.addAuditLog('deleted', deletedBy, { deletedAt: this.deletedAt, archived: true });
   return this.save();
 };
 
@@ -268,7 +281,7 @@ goalSchema.methods.restore = function(restoredBy) {
   this.deletedAt = null;
   this.deletedBy = null;
   this.archived = false;
-  this.addAuditLog('restored', restoredBy);
+  this.addAuditLog('restored', restoredBy, { deletedAt: null, archived: false });
   return this.save();
 };
 
@@ -292,16 +305,50 @@ goalSchema.pre('save', function(next) {
     this.status = 'completed';
   }
   
-  // Auto-archive completed goals after 30 days
-  if (this.status === 'completed' && this.isModified('status')) {
-    const completedDate = new Date();
-    setTimeout(() => {
-      this.archived = true;
-      this.save();
-    }, 30 * 24 * 60 * 60 * 1000); // 30 days
+  // Record milestones the progress has newly crossed
+  if (this.isModified('progress')) {
+    const crossed = MILESTONES.filter(m => this.progress >= m && !this.milestonesReached.includes(m));
+    if (crossed.length > 0) {
+      this.milestonesReached.push(...crossed);
+      this.$locals.milestone = crossed[crossed.length - 1];
+    }
+  }
+  
+  // Completing a goal schedules its auto-archive; reopening cancels it
+  if (this.isNew ? this.status === 'completed' : this.isModified('status')) {
+    this.$locals.autoArchive = this.status === 'completed' ? 'schedule' : 'cancel';
   }
   
   next();
 });
 
+// Announce the highest milestone a save crossed
+goalSchema.post('save', async function(doc) {
+  const milestone = doc.$locals.milestone;
+  if (!milestone) return;
+  doc.$locals.milestone = null;
+
+  await notificationService.notifyGoalMilestone(doc, milestone);
+});
+
+goalSchema.post('save', async function(doc) {
+  const action = doc.$locals.autoArchive;
+  if (!action) return;
+  doc.$locals.autoArchive = null;
+
+  try {
+    const uniqueKey = `goal-auto-archive:${doc._id}`;
+    if (action === 'schedule') {
+      await jobQueue.enqueue('goals.autoArchive', { goalId: doc._id.toString() }, {
+        uniqueKey,
+        runAt: new Date(Date.now() + AUTO_ARCHIVE_DELAY_MS)
+      });
+    } else {
+      await jobQueue.cancelByKey(uniqueKey);
+    }
+  } catch (error) {
+    console.error('Error scheduling goal auto-archive:', error);
+  }
+});
+
 export default mongoose.model('Goal', goalSchema); 
\ No newline at end of file
@@ -35,9 +35,47 @@ const goalInviteSchema = new mongoose.Schema({
   accepted: {
     type: Boolean,
     default: false
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  declinedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sentCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.token; // Token is only ever delivered by email
+      return ret;
+    }
+  }
 });
 
 // Indexes for performance
@@ -49,4 +87,51 @@ goalInviteSchema.index({ expiresAt: 1 });
 // TTL index to automatically delete expired invites
 goalInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+// Virtuals
+goalInviteSchema.virtual('isPending').get(function() {
+  return !this.accepted && !this.declinedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance methods
+goalInviteSchema.methods.accept = function(userId) {
+  this.accepted = true;
+  this.acceptedAt = new Date();
+  this.acceptedBy = userId;
+  return this.save();
+};
+
+goalInviteSchema.methods.decline = function() {
+  this.declinedAt = new Date();
+  return this.save();
+};
+
+goalInviteSchema.methods.revoke = function(revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+goalInviteSchema.methods.renew = function(token) {
+  this.token = token;
+  this.expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  this.sentCount += 1;
+  this.lastSentAt = new Date();
+  return this.save();
+};
+
+// Static methods
+goalInviteSchema.statics.findPending = function(query = {}) {
+  return this.find({
+    ...query,
+    accepted: false,
+    declinedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+goalInviteSchema.statics.findByToken = function(token) {
+  return this.findOne({ token });
+};
+
 export default mongoose.model('GoalInvite', goalInviteSchema); 
\ No newline at end of file
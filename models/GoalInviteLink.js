@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+const goalInviteLinkSchema = new mongoose.Schema({
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['admin', 'member', 'viewer'],
+      message: 'Role must be admin, member, or viewer'
+    },
+    default: 'member'
+  },
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'Max uses must be at least 1'],
+    validate: {
+      validator: function(v) {
+        return v === null || Number.isInteger(v);
+      },
+      message: 'Max uses must be a whole number'
+    }
+  },
+  useCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        if (!v || !this.isNew) return true;
+        return v > new Date();
+      },
+      message: 'Expiry must be in the future'
+    }
+  },
+  allowedDomain: {
+    type: String,
+    default: null,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        if (!v) return true;
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(v);
+      },
+      message: 'Allowed domain must be a valid domain name (e.g., example.com)'
+    }
+  },
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  disabledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+goalInviteLinkSchema.index({ goalId: 1, disabledAt: 1 });
+goalInviteLinkSchema.index({ createdBy: 1 });
+
+// Virtuals
+goalInviteLinkSchema.virtual('isUsable').get(function() {
+  if (this.disabledAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  if (this.maxUses !== null && this.useCount >= this.maxUses) return false;
+  return true;
+});
+
+// Instance methods
+goalInviteLinkSchema.methods.disable = function(disabledBy) {
+  this.disabledAt = new Date();
+  this.disabledBy = disabledBy;
+  return this.save();
+};
+
+goalInviteLinkSchema.methods.allowsEmail = function(email) {
+  if (!this.allowedDomain) return true;
+  const domain = email.toLowerCase().split('@')[1];
+  return domain === this.allowedDomain;
+};
+
+// Static methods
+goalInviteLinkSchema.statics.findByToken = function(token) {
+  return this.findOne({ token });
+};
+
+/**
+ * Atomically claim one use of a link. Returns null when the link is
+ * disabled, expired or has reached its use limit.
+ */
+goalInviteLinkSchema.statics.claimUse = function(linkId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: linkId,
+      disabledAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { useCount: 1 } },
+    { new: true }
+  );
+};
+
+goalInviteLinkSchema.statics.releaseUse = function(linkId) {
+  return this.updateOne({ _id: linkId, useCount: { $gt: 0 } }, { $inc: { useCount: -1 } });
+};
+
+export default mongoose.model('GoalInviteLink', goalInviteLinkSchema);
@@ -8,14 +8,20 @@ const goalLabelSchema = new mongoose.Schema({
   },
   name: {
     type: String,
-    required: true,
+    required: [true, 'Label name is required'],
     trim: true,
-    maxlength: 50
+    maxlength: [50, 'Label name cannot exceed 50 characters']
   },
   color: {
     type: String,
     trim: true,
-    default: '#6B7280'
+    default: '#6B7280',
+    validate: {
+      validator: function(v) {
+        return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(v);
+      },
+      message: 'Color must be a valid hex color code'
+    }
   },
   icon: {
     type: String,
@@ -37,4 +43,18 @@ goalLabelSchema.index({ goalId: 1, name: 1 }, { unique: true });
 goalLabelSchema.index({ goalId: 1 });
 goalLabelSchema.index({ createdBy: 1 });
 
+// Static methods
+goalLabelSchema.statics.findByGoal = function(goalId) {
+  return this.find({ goalId }).sort({ name: 1 });
+};
+
+/**
+ * Find a goal's label by name, ignoring case
+ */
+goalLabelSchema.statics.findByName = function(goalId, name, excludeId = null) {
+  const query = { goalId, name: name.trim() };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.findOne(query).collation({ locale: 'en', strength: 2 });
+};
+
 export default mongoose.model('GoalLabel', goalLabelSchema); 
\ No newline at end of file
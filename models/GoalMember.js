@@ -258,21 +258,37 @@ goalMemberSchema.methods.addAuditLog = function(action, by, changes = {}, metada
   return this;
 };
 
-goalMemberSchema.methods.changeRole = function(newRole, changedBy) {
-  const oldRole = this.role;
-  this.role = newRole;
+goalMemberSchema.methods.applyRole = function(role) {
+  this.role = role;
   
-  // Update permissions based on new role
-  this.permissions.canEdit = ['owner', 'admin', 'member'].includes(newRole);
-  this.permissions.canDelete = ['owner', 'admin'].includes(newRole);
-  this.permissions.canInvite = ['owner', 'admin'].includes(newRole);
-  this.permissions.canManageMembers = ['owner', 'admin'].includes(newRole);
-  this.permissions.canViewReports = ['owner', 'admin', 'member'].includes(newRole);
+  // Update permissions based on role
+  this.permissions.canEdit = ['owner', 'admin', 'member'].includes(role);
+  this.permissions.canDelete = ['owner', 'admin'].includes(role);
+  this.permissions.canInvite = ['owner', 'admin'].includes(role);
+  this.permissions.canManageMembers = ['owner', 'admin'].includes(role);
+  this.permissions.canViewReports = ['owner', 'admin', 'member'].includes(role);
   
+  return this;
+};
+
+goalMemberSchema.methods.changeRole = function(newRole, changedBy) {
+  const oldRole = this.role;
+  this.applyRole(newRole);
   this.addAuditLog('role_changed', changedBy, { from: oldRole, to: newRole });
   return this.save();
 };
 
+goalMemberSchema.methods.rejoin = function(role, by, metadata = {}) {
+  const previousStatus = this.deletedAt ? 'removed' : this.status;
+  this.applyRole(role);
+  this.status = 'active';
+  this.deletedAt = null;
+  this.leftAt = null;
+  this.joinedAt = new Date();
+  this.addAuditLog('joined', by, { role, previousStatus }, metadata);
+  return this.save();
+};
+
 goalMemberSchema.methods.suspend = function(suspendedBy, reason = '') {
   this.status = 'suspended';
   this.addAuditLog('suspended', suspendedBy, { reason });
@@ -285,17 +301,46 @@ goalMemberSchema.methods.reactivate = function(reactivatedBy) {
   return this.save();
 };
 
-goalMemberSchema.methods.leave = function(leftBy = null) {
+goalMemberSchema.methods.leave = async function(leftBy = null) {
+  await this.assertCanDepart();
   this.status = 'left';
   this.leftAt = new Date();
   this.addAuditLog('left', leftBy || this.userId);
   return this.save();
 };
 
-goalMemberSchema.methods.remove = function(removedBy) {
+// Soft delete. Declared with suppressWarning because `remove` shadows the
+// mongoose document method; document `remove` middleware never runs for it.
+goalMemberSchema.method('remove', async function(removedBy) {
+  await this.assertCanDepart();
   this.deletedAt = new Date();
   this.addAuditLog('removed', removedBy);
   return this.save();
+}, { suppressWarning: true });
+
+// Prevent the last owner from leaving a goal without someone to take over
+goalMemberSchema.methods.assertCanDepart = async function() {
+  if (this.role !== 'owner') return;
+
+  const otherMembers = await this.constructor.find({
+    goalId: this.goalId,
+    _id: { $ne: this._id },
+    deletedAt: null,
+    status: 'active'
+  });
+  
+  if (otherMembers.length === 0) {
+    throw departureError('Cannot remove the last member of a goal');
+  }
+  
+  // Check if there's another owner or admin who can take over
+  const hasAdminOrOwner = otherMembers.some(member => 
+    ['owner', 'admin'].includes(member.role)
+  );
+  
+  if (!hasAdminOrOwner) {
+    throw departureError('Cannot remove owner without another admin to take over');
+  }
 };
 
 goalMemberSchema.methods.updateActivity = function() {
@@ -319,7 +364,7 @@ goalMemberSchema.statics.findByGoal = function(goalId, includeInactive = false)
   if (!includeInactive) {
     query.status = 'active';
   }
-  return this.find(query).populate('userId', 'firstName lastName email avatar');
+  return this.find(query).populate('userId', 'name username firstName lastName email avatar avatarUrl');
 };
 
 goalMemberSchema.statics.findByUser = function(userId, includeInactive = false) {
@@ -350,7 +395,7 @@ goalMemberSchema.statics.findAdmins = function(goalId) {
 
 goalMemberSchema.statics.getMembershipStats = function(goalId) {
   return this.aggregate([
-    { $match: { goalId: mongoose.Types.ObjectId(goalId), deletedAt: null } },
+    { $match: { goalId: new mongoose.Types.ObjectId(goalId), deletedAt: null } },
     {
       $group: {
         _id: null,
@@ -371,12 +416,13 @@ goalMemberSchema.statics.getMembershipStats = function(goalId) {
 goalMemberSchema.pre('save', function(next) {
   // Ensure only one owner per goal (if changing to owner)
   if (this.isModified('role') && this.role === 'owner') {
+    // Read within the save's session so an ownership transfer sees its own demotion
     this.constructor.findOne({
       goalId: this.goalId,
       role: 'owner',
       _id: { $ne: this._id },
       deletedAt: null
-    }).then(existingOwner => {
+    }).session(this.$session()).then(existingOwner => {
       if (existingOwner) {
         return next(new Error('A goal can only have one owner'));
       }
@@ -387,31 +433,13 @@ goalMemberSchema.pre('save', function(next) {
   }
 });
 
-// Pre-remove middleware to prevent removing the last owner
-goalMemberSchema.pre('remove', async function(next) {
-  if (this.role === 'owner') {
-    const otherMembers = await this.constructor.find({
-      goalId: this.goalId,
-      _id: { $ne: this._id },
-      deletedAt: null,
-      status: 'active'
-    });
-    
-    if (otherMembers.length === 0) {
-      return next(new Error('Cannot remove the last member of a goal'));
-    }
-    
-    // Check if there's another owner or admin who can take over
-    const hasAdminOrOwner = otherMembers.some(member => 
-      ['owner', 'admin'].includes(member.role)
-    );
-    
-    if (!hasAdminOrOwner) {
-      return next(new Error('Cannot remove owner without another admin to take over'));
-    }
-  }
-  
-  next();
-});
+/**
+ * Build an error for a blocked departure
+ */
+function departureError(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
 
 export default mongoose.model('GoalMember', goalMemberSchema); 
\ No newline at end of file
@@ -11,9 +11,16 @@ const goalSettingSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Local time (HH:MM, goal owner's timezone) at which reminders and summaries go out
   reminderTime: {
     type: String,
-    default: '09:00'
+    default: '09:00',
+    validate: {
+      validator: function(v) {
+        return /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+      },
+      message: 'Reminder time must be in HH:MM format'
+    }
   },
   dailySummary: {
     type: Boolean,
@@ -25,27 +32,83 @@ const goalSettingSchema = new mongoose.Schema({
   },
   visibility: {
     type: String,
-    enum: ['private', 'shared', 'public'],
+    enum: {
+      values: ['private', 'shared', 'public'],
+      message: 'Visibility must be private, shared, or public'
+    },
     default: 'private'
   },
   defaultAssignee: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'User',
+    default: null
   },
   defaultPriority: {
     type: String,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: {
+      values: ['low', 'medium', 'high', 'critical'],
+      message: 'Default priority must be low, medium, high, or critical'
+    },
     default: 'medium'
   },
   autoArchiveDoneTasks: {
     type: Boolean,
     default: false
+  },
+  // Move the goal between on_track and behind as its forecast changes
+  autoMarkBehind: {
+    type: Boolean,
+    default: false
+  },
+
+  // Local dates (YYYY-MM-DD) of the last reminder and summary runs
+  lastReminderDate: {
+    type: String,
+    default: null
+  },
+  lastSummaryDate: {
+    type: String,
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.lastReminderDate;
+      delete ret.lastSummaryDate;
+      return ret;
+    }
+  }
 });
 
 // Indexes for performance
-goalSettingSchema.index({ goalId: 1 });
+goalSettingSchema.index({ remindersEnabled: 1 });
+goalSettingSchema.index({ dailySummary: 1 });
+goalSettingSchema.index({ autoMarkBehind: 1 });
+
+// Static methods
+goalSettingSchema.statics.findOrCreateByGoal = async function(goalId) {
+  let settings = await this.findOne({ goalId });
+  if (!settings) {
+    try {
+      settings = await this.create({ goalId });
+    } catch (error) {
+      // Another request created them first
+      if (error.code !== 11000) throw error;
+      settings = await this.findOne({ goalId });
+    }
+  }
+  return settings;
+};
+
+/**
+ * Settings of goals that want reminders or a daily summary
+ */
+goalSettingSchema.statics.findWithNotifications = function() {
+  return this.find({
+    $or: [{ remindersEnabled: true }, { dailySummary: true }]
+  });
+};
 
-export default mongoose.model('GoalSetting', goalSettingSchema); 
\ No newline at end of file
+export default mongoose.model('GoalSetting', goalSettingSchema);
@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+
+// Most failed attempts kept on a job
+const MAX_ERROR_HISTORY = 20;
+
+const jobErrorSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  stack: {
+    type: String,
+    default: null
+  },
+  workerId: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  // Name of the registered handler that runs the job
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true,
+    maxlength: [100, 'Job name cannot exceed 100 characters']
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+      message: 'Status must be queued, running, completed, failed, or cancelled'
+    },
+    default: 'queued'
+  },
+  // Jobs are not picked up before this time
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Deduplicates jobs: enqueueing with a key in use replaces the waiting job
+  uniqueKey: {
+    type: String,
+    default: undefined
+  },
+
+  // Recurring jobs are rescheduled from their cron expression after each run
+  repeat: {
+    cron: {
+      type: String,
+      default: null
+    },
+    timeZone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+
+  // Retries
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: [1, 'A job needs at least one attempt']
+  },
+  backoff: {
+    strategy: {
+      type: String,
+      enum: ['fixed', 'exponential'],
+      default: 'exponential'
+    },
+    delayMs: {
+      type: Number,
+      default: 30 * 1000,
+      min: 0
+    },
+    maxDelayMs: {
+      type: Number,
+      default: 60 * 60 * 1000,
+      min: 0
+    }
+  },
+
+  // Lock held by the worker running the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Outcome
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  errorHistory: [jobErrorSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockExpiresAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ name: 1, status: 1 });
+jobSchema.index({ status: 1, finishedAt: 1 });
+
+// Virtual fields
+jobSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.repeat?.cron);
+});
+
+// Static methods
+jobSchema.statics.MAX_ERROR_HISTORY = MAX_ERROR_HISTORY;
+
+/**
+ * Job counts by name and status
+ */
+jobSchema.statics.getStats = async function() {
+  const rows = await this.aggregate([
+    { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const byStatus = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+  const byName = {};
+
+  rows.forEach(({ _id, count }) => {
+    byStatus[_id.status] += count;
+    byName[_id.name] = byName[_id.name] || { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    byName[_id.name][_id.status] += count;
+  });
+
+  return { byStatus, byName };
+};
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+// Notifications are removed this long after they were created
+const RETENTION_DAYS = 90;
+
+// Goal notifications meant for people who are not members of the goal yet
+export const OUTSIDER_TYPES = ['goal_invite'];
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: [
+        'task_assigned',
+        'task_completed',
+        'mention',
+        'goal_invite',
+        'member_joined',
+        'goal_milestone',
+        'security_alert',
+        'task_reminder',
+        'daily_summary'
+      ],
+      message: 'Invalid notification type'
+    },
+    required: true
+  },
+  // Preference category the notification was checked against
+  category: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Notification title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notification message cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Frontend path the notification opens
+  link: {
+    type: String,
+    default: null
+  },
+
+  // What the notification is about
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    default: null
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // Email delivery through the user's digest
+  emailStatus: {
+    type: String,
+    enum: {
+      values: ['none', 'pending', 'sent', 'skipped'],
+      message: 'Email status must be none, pending, sent, or skipped'
+    },
+    default: 'none'
+  },
+  emailedAt: {
+    type: Date,
+    default: null
+  },
+  // Sent without checking the recipient's preferences
+  mandatory: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ userId: 1, goalId: 1, readAt: 1 });
+notificationSchema.index({ userId: 1, emailStatus: 1, createdAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Virtual fields
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+// Instance methods
+notificationSchema.methods.markRead = function() {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static methods
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+/**
+ * Mark all of a user's unread notifications read, optionally only those
+ * of one goal or with given ids
+ */
+notificationSchema.statics.markAllRead = async function(userId, { goalId = null, ids = null } = {}) {
+  const filter = { userId, readAt: null };
+  if (goalId) filter.goalId = goalId;
+  if (ids) filter._id = { $in: ids };
+
+  const result = await this.updateMany(filter, { readAt: new Date() });
+  return result.modifiedCount;
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -1,9 +1,10 @@
 import mongoose from 'mongoose';
+import { isValidRRule } from '../utils/rrule.js';
 
 const auditLogSchema = new mongoose.Schema({
   action: {
     type: String,
-    enum: ['created', 'updated', 'assigned', 'unassigned', 'status_changed', 'completed', 'blocked', 'unblocked', 'deleted'],
+    enum: ['created', 'updated', 'assigned', 'unassigned', 'status_changed', 'completed', 'blocked', 'unblocked', 'deleted', 'recurred'],
     required: true
   },
   by: {
@@ -57,6 +58,61 @@ const assigneeSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const dependencySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Where a task sits in its recurring series. Completing an occurrence
+// creates the next one; a series starts at its first task, or at the
+// occurrence where "this and following" last changed its schedule.
+const recurrenceSchema = new mongoose.Schema({
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // 1-based occurrence number, counted from the series start
+  index: {
+    type: Number,
+    default: 1,
+    min: [1, 'Occurrence index must be at least 1']
+  },
+  // When the rule scheduled this occurrence, whatever its dates were
+  // later changed to for this occurrence only
+  occurrenceAt: {
+    type: Date,
+    required: true
+  },
+  // First occurrence of the series (the rule's DTSTART)
+  seriesStart: {
+    type: Date,
+    required: true
+  },
+  nextTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Series values of fields edited for this occurrence only, restored on
+  // the next occurrence
+  overrides: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false, minimize: false });
+
 const taskSchema = new mongoose.Schema({
   goalId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -191,19 +247,24 @@ const taskSchema = new mongoose.Schema({
     },
     default: 'none'
   },
+  // RRULE used when repeat is custom, e.g. FREQ=WEEKLY;BYDAY=MO,TH
   recurrencePattern: {
     type: String,
     trim: true,
-    maxlength: [100, 'Recurrence pattern cannot exceed 100 characters'],
+    required: [function() { return this.repeat === 'custom'; }, 'Recurrence pattern is required for custom repeats'],
+    maxlength: [200, 'Recurrence pattern cannot exceed 200 characters'],
     validate: {
       validator: function(v) {
         if (!v) return true;
-        // Basic RRULE validation (simplified)
-        return /^(FREQ=|INTERVAL=|COUNT=|UNTIL=|BYDAY=|BYMONTH=)/.test(v.toUpperCase());
+        return isValidRRule(v);
       },
       message: 'Invalid recurrence pattern format'
     }
   },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
   isBlocked: {
     type: Boolean,
     default: false
@@ -220,6 +281,22 @@ const taskSchema = new mongoose.Schema({
       message: 'Blocking reason is required when task is blocked'
     }
   },
+  // Tasks that must be completed before this one, in any goal
+  blockedBy: {
+    type: [dependencySchema],
+    validate: {
+      validator: function(v) {
+        const taskIds = v.map(dependency => dependency.taskId.toString());
+        return taskIds.length <= 50 && taskIds.length === new Set(taskIds).size;
+      },
+      message: 'A task can depend on at most 50 different tasks'
+    }
+  },
+  // Whether the task is blocked because of open dependencies rather than by hand
+  blockedByDependencies: {
+    type: Boolean,
+    default: false
+  },
   isSubtask: {
     type: Boolean,
     default: false
@@ -265,7 +342,7 @@ const taskSchema = new mongoose.Schema({
     default: null
   },
   
-  // Time tracking
+  // Time tracking: minutes logged in time entries, rolled up on change
   timeSpent: {
     type: Number,
     default: 0,
@@ -299,8 +376,10 @@ taskSchema.index({ 'assignees.userId': 1 });
 taskSchema.index({ parentTaskId: 1 });
 taskSchema.index({ createdBy: 1 });
 taskSchema.index({ isBlocked: 1 });
+taskSchema.index({ 'blockedBy.taskId': 1 });
 taskSchema.index({ completedAt: -1 });
 taskSchema.index({ schemaVersion: 1 });
+taskSchema.index({ 'recurrence.seriesId': 1, 'recurrence.index': 1 });
 
 // Text search index
 taskSchema.index({ 
@@ -383,6 +462,7 @@ taskSchema.methods.complete = function(completedBy) {
 taskSchema.methods.block = function(reason, blockedBy) {
   this.isBlocked = true;
   this.blockingReason = reason;
+  this.blockedByDependencies = false;
   this.addAuditLog('blocked', blockedBy, { reason });
   return this.save();
 };
@@ -390,6 +470,7 @@ taskSchema.methods.block = function(reason, blockedBy) {
 taskSchema.methods.unblock = function(unblockedBy) {
   this.isBlocked = false;
   this.blockingReason = '';
+  this.blockedByDependencies = false;
   this.addAuditLog('unblocked', unblockedBy);
   return this.save();
 };
@@ -402,6 +483,32 @@ taskSchema.methods.softDelete = function(deletedBy) {
   return this.save();
 };
 
+/**
+ * The RRULE the task repeats by, or null when it does not repeat
+ */
+taskSchema.methods.recurrenceRule = function() {
+  if (this.repeat === 'daily') return 'FREQ=DAILY';
+  if (this.repeat === 'weekly') return 'FREQ=WEEKLY';
+  if (this.repeat === 'custom') return this.recurrencePattern || null;
+  return null;
+};
+
+/**
+ * Start a new series at this task, anchored on its due date, start date
+ * or creation time
+ */
+taskSchema.methods.startSeries = function(anchor = this.dueDate || this.startDate || this.createdAt || new Date()) {
+  this.recurrence = {
+    seriesId: this._id,
+    index: 1,
+    occurrenceAt: anchor,
+    seriesStart: anchor,
+    nextTaskId: this.recurrence?.nextTaskId || null,
+    overrides: this.recurrence?.overrides || {}
+  };
+  return this;
+};
+
 // Static methods
 taskSchema.statics.findActive = function() {
   return this.find({ deletedAt: null, archived: false });
@@ -455,8 +562,27 @@ taskSchema.pre('save', function(next) {
   if (!this.isBlocked && this.blockingReason) {
     this.blockingReason = '';
   }
+
+  // A task that starts repeating becomes the first occurrence of a series
+  if (this.recurrenceRule() && !this.recurrence) {
+    this.startSeries();
+  }
   
   next();
 });
 
+// Archive tasks as they are completed when the goal asks for it
+taskSchema.pre('save', async function() {
+  if (!this.goalId || this.archived || this.status !== 'completed' || !this.isModified('status')) return;
+
+  const settings = await mongoose.model('GoalSetting')
+    .findOne({ goalId: this.goalId })
+    .select('autoArchiveDoneTasks')
+    .session(this.$session());
+
+  if (settings?.autoArchiveDoneTasks) {
+    this.archived = true;
+  }
+});
+
 export default mongoose.model('Task', taskSchema); 
\ No newline at end of file
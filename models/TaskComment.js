@@ -1,18 +1,61 @@
 import mongoose from 'mongoose';
 
+const editHistorySchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// A reaction is a short string containing at least one emoji
+const isValidReaction = (v) => typeof v === 'string' && v.length <= 16 && /\p{Extended_Pictographic}/u.test(v);
+
+const reactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [16, 'Reaction cannot exceed 16 characters'],
+    validate: {
+      validator: isValidReaction,
+      message: 'Reaction must be an emoji'
+    }
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reactedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const taskCommentSchema = new mongoose.Schema({
   taskId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Task'
+    ref: 'Task',
+    required: true
   },
   authorId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'User',
+    required: true
   },
   content: {
     type: String,
+    required: [true, 'Comment content is required'],
     trim: true,
-    maxlength: 2000
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
   },
   attachments: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -22,17 +65,225 @@ const taskCommentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+
+  // Threading: replies point at a top-level comment
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskComment',
+    default: null
+  },
+  replyCount: {
+    type: Number,
+    min: [0, 'Reply count cannot be negative'],
+    default: 0
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  reactions: [reactionSchema],
+
   isEdited: {
     type: Boolean,
     default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Previous versions of the content, oldest first
+  editHistory: [editHistorySchema],
+
+  // Soft delete
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.editHistory; // Served by the history endpoint only
+      ret.reactions = summarizeReactions(ret.reactions || []);
+      return ret;
+    }
+  }
 });
 
 // Indexes for performance
 taskCommentSchema.index({ taskId: 1, createdAt: -1 });
+taskCommentSchema.index({ taskId: 1, deletedAt: 1 });
 taskCommentSchema.index({ authorId: 1 });
 taskCommentSchema.index({ 'mentions': 1 });
+taskCommentSchema.index({ parentId: 1, createdAt: -1 });
+
+// Matches @username, following the username rules on the User model
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_-])@([a-zA-Z0-9_-]{3,30})/g;
+
+// Virtuals
+taskCommentSchema.virtual('isResolved').get(function() {
+  return Boolean(this.resolvedAt);
+});
+
+// Instance methods
+taskCommentSchema.methods.edit = function(content, editedBy) {
+  this.editHistory.push({
+    content: this.content,
+    editedAt: new Date(),
+    editedBy
+  });
+
+  // Keep only the last 50 versions
+  if (this.editHistory.length > 50) {
+    this.editHistory = this.editHistory.slice(-50);
+  }
+
+  this.content = content;
+  this.isEdited = true;
+  this.editedAt = new Date();
+  return this;
+};
+
+taskCommentSchema.methods.softDelete = function(deletedBy) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save();
+};
+
+taskCommentSchema.methods.resolve = function(resolvedBy) {
+  this.resolvedAt = new Date();
+  this.resolvedBy = resolvedBy;
+  return this.save();
+};
+
+taskCommentSchema.methods.unresolve = function() {
+  this.resolvedAt = null;
+  this.resolvedBy = null;
+  return this.save();
+};
+
+// Static methods
+taskCommentSchema.statics.findByTask = function(taskId) {
+  return this.find({ taskId, deletedAt: null });
+};
+
+/**
+ * Top-level comments of a task. Deleted comments are kept while they
+ * still have replies so the thread stays readable.
+ */
+taskCommentSchema.statics.findThreads = function(taskId) {
+  return this.find({
+    taskId,
+    parentId: null,
+    $or: [{ deletedAt: null }, { replyCount: { $gt: 0 } }]
+  });
+};
+
+taskCommentSchema.statics.isValidReaction = isValidReaction;
+
+taskCommentSchema.statics.findReplies = function(parentId) {
+  return this.find({ parentId, deletedAt: null });
+};
+
+/**
+ * Add the user's reaction, or take it away if already present.
+ * Returns true when the reaction was added.
+ */
+taskCommentSchema.statics.toggleReaction = async function(commentId, emoji, userId) {
+  const added = await this.updateOne(
+    { _id: commentId, reactions: { $not: { $elemMatch: { emoji, userId } } } },
+    { $push: { reactions: { emoji, userId, reactedAt: new Date() } } },
+    { runValidators: true }
+  );
+  if (added.modifiedCount > 0) return true;
+
+  await this.updateOne({ _id: commentId }, { $pull: { reactions: { emoji, userId } } });
+  return false;
+};
+
+/**
+ * Recompute a thread's reply count and latest reply time
+ */
+taskCommentSchema.statics.updateReplyCount = async function(parentId) {
+  const [count, latest] = await Promise.all([
+    this.countDocuments({ parentId, deletedAt: null }),
+    this.findOne({ parentId, deletedAt: null }).sort({ createdAt: -1 }).select('createdAt')
+  ]);
+
+  await this.updateOne({ _id: parentId }, { replyCount: count, lastReplyAt: latest?.createdAt || null });
+  return count;
+};
+
+/**
+ * Unique usernames mentioned in a piece of text
+ */
+taskCommentSchema.statics.parseMentions = function(content) {
+  const usernames = new Set();
+  for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2]);
+  }
+  return [...usernames];
+};
+
+/**
+ * Recompute a task's commentsCount from its non-deleted comments
+ */
+taskCommentSchema.statics.updateTaskCommentsCount = async function(taskId) {
+  const Task = mongoose.model('Task');
+  const count = await this.countDocuments({ taskId, deletedAt: null });
+
+  await Task.updateOne({ _id: taskId }, { commentsCount: count });
+  return count;
+};
+
+// Keep the task's comment counter in step with creates and soft deletes
+taskCommentSchema.pre('save', function(next) {
+  this.$locals.countChanged = this.isNew || this.isModified('deletedAt');
+  next();
+});
+
+taskCommentSchema.post('save', async function(doc) {
+  if (!doc.$locals.countChanged) return;
+
+  try {
+    await doc.constructor.updateTaskCommentsCount(doc.taskId);
+    if (doc.parentId) {
+      await doc.constructor.updateReplyCount(doc.parentId);
+    }
+  } catch (error) {
+    console.error('Error updating task comments count:', error);
+  }
+});
+
+/**
+ * Group raw reactions into one entry per emoji
+ */
+function summarizeReactions(reactions) {
+  const byEmoji = new Map();
+  reactions.forEach(({ emoji, userId }) => {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, { emoji, count: 0, userIds: [] });
+    const entry = byEmoji.get(emoji);
+    entry.count += 1;
+    entry.userIds.push(userId);
+  });
+  return [...byEmoji.values()];
+}
 
-export default mongoose.model('TaskComment', taskCommentSchema); 
\ No newline at end of file
+export default mongoose.model('TaskComment', taskCommentSchema);
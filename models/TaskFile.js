@@ -1,50 +1,248 @@
 import mongoose from 'mongoose';
 
+const thumbnailSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    enum: ['small', 'medium', 'large'],
+    required: true
+  },
+  width: {
+    type: Number,
+    min: 1
+  },
+  height: {
+    type: Number,
+    min: 1
+  },
+  bytes: {
+    type: Number,
+    min: 0
+  },
+  fileType: {
+    type: String,
+    default: 'image/webp'
+  },
+  url: {
+    type: String,
+    trim: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
 const taskFileSchema = new mongoose.Schema({
   taskId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Task'
+    ref: 'Task',
+    required: true
+  },
+  // Copied from the task so storage can be totalled per goal
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    default: null
+  },
+  // Set when the file was attached to a comment rather than the task itself
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskComment',
+    default: null
   },
   uploaderId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'User',
+    required: true
   },
   fileName: {
     type: String,
+    required: [true, 'File name is required'],
     trim: true,
-    maxlength: 255
+    maxlength: [255, 'File name cannot exceed 255 characters']
   },
   fileUrl: {
     type: String,
     trim: true
   },
+  // Sniffed MIME type
   fileType: {
     type: String,
     trim: true
   },
   size: {
     type: Number,
-    min: 0
+    required: true,
+    min: [0, 'File size cannot be negative']
+  },
+  storageDriver: {
+    type: String,
+    enum: {
+      values: ['local', 's3'],
+      message: 'Storage driver must be local or s3'
+    },
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
   },
   isDeleted: {
     type: Boolean,
     default: false
   },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set once the cleanup job has removed the stored blobs
+  purgedAt: {
+    type: Date,
+    default: null
+  },
   previewUrl: {
     type: String,
     trim: true
   },
+
+  // Preview generation for images and PDFs
+  previewStatus: {
+    type: String,
+    enum: {
+      values: ['none', 'pending', 'ready', 'failed'],
+      message: 'Preview status must be none, pending, ready, or failed'
+    },
+    default: 'none'
+  },
+  previewError: {
+    type: String,
+    default: null
+  },
+  previewGeneratedAt: {
+    type: Date,
+    default: null
+  },
+  // Pixel size of the image, or of the rendered first page for PDFs
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  thumbnails: [thumbnailSchema],
+
   uploadedAt: {
     type: Date,
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.storageKey; // Downloads go through signed URLs
+      (ret.thumbnails || []).forEach(thumbnail => delete thumbnail.storageKey);
+      return ret;
+    }
+  }
 });
 
 // Indexes for performance
 taskFileSchema.index({ taskId: 1, isDeleted: 1 });
-taskFileSchema.index({ uploaderId: 1 });
+taskFileSchema.index({ commentId: 1 });
+taskFileSchema.index({ uploaderId: 1, isDeleted: 1 });
+taskFileSchema.index({ goalId: 1, isDeleted: 1 });
+taskFileSchema.index({ isDeleted: 1, purgedAt: 1, deletedAt: 1 });
 taskFileSchema.index({ uploadedAt: 1 });
+taskFileSchema.index({ storageKey: 1 });
+taskFileSchema.index({ 'thumbnails.storageKey': 1 });
+
+// Instance methods
+taskFileSchema.methods.softDelete = function(deletedBy) {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save();
+};
+
+taskFileSchema.methods.getThumbnail = function(size) {
+  return this.thumbnails.find(thumbnail => thumbnail.size === size) || null;
+};
+
+// Static methods
+taskFileSchema.statics.findByTask = function(taskId, includeCommentFiles = true) {
+  const query = { taskId, isDeleted: false };
+  if (!includeCommentFiles) {
+    query.commentId = null;
+  }
+  return this.find(query);
+};
+
+/**
+ * Total size and count of non-deleted files matching a filter
+ */
+taskFileSchema.statics.sumUsage = async function(match) {
+  const [usage] = await this.aggregate([
+    { $match: { ...match, isDeleted: false } },
+    { $group: { _id: null, bytes: { $sum: '$size' }, files: { $sum: 1 } } }
+  ]);
+  return { bytes: usage?.bytes || 0, files: usage?.files || 0 };
+};
+
+/**
+ * Per-goal totals of a user's non-deleted uploads
+ */
+taskFileSchema.statics.usageByGoal = function(uploaderId) {
+  return this.aggregate([
+    { $match: { uploaderId: new mongoose.Types.ObjectId(uploaderId), isDeleted: false } },
+    { $group: { _id: '$goalId', bytes: { $sum: '$size' }, files: { $sum: 1 } } },
+    { $sort: { bytes: -1 } }
+  ]);
+};
+
+/**
+ * Deleted files whose blobs are past the grace period
+ */
+taskFileSchema.statics.findPurgeable = function(deletedBefore) {
+  return this.find({
+    isDeleted: true,
+    purgedAt: null,
+    deletedAt: { $lte: deletedBefore }
+  });
+};
+
+/**
+ * Recompute a task's attachmentsCount from its non-deleted files
+ */
+taskFileSchema.statics.updateTaskAttachmentsCount = async function(taskId) {
+  const Task = mongoose.model('Task');
+  const count = await this.countDocuments({ taskId, isDeleted: false });
+
+  await Task.updateOne({ _id: taskId }, { attachmentsCount: count });
+  return count;
+};
+
+// Keep the task's attachment counter in step with uploads and deletes
+taskFileSchema.pre('save', function(next) {
+  this.$locals.countChanged = this.isNew || this.isModified('isDeleted');
+  next();
+});
+
+taskFileSchema.post('save', async function(doc) {
+  if (!doc.$locals.countChanged) return;
+
+  try {
+    await doc.constructor.updateTaskAttachmentsCount(doc.taskId);
+  } catch (error) {
+    console.error('Error updating task attachments count:', error);
+  }
+});
 
-export default mongoose.model('TaskFile', taskFileSchema); 
\ No newline at end of file
+export default mongoose.model('TaskFile', taskFileSchema);
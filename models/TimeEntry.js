@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+// Longest single entry accepted, in minutes
+export const MAX_ENTRY_MINUTES = 24 * 60;
+
+const timeEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Copied from the task for reporting
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: {
+      values: ['timer', 'manual'],
+      message: 'Source must be timer or manual'
+    },
+    default: 'manual'
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required'],
+    validate: {
+      validator: function(v) {
+        return v <= new Date();
+      },
+      message: 'Start time cannot be in the future'
+    }
+  },
+  // Null while the timer is running
+  endedAt: {
+    type: Date,
+    default: null,
+    validate: [{
+      validator: function(v) {
+        return !v || v <= new Date();
+      },
+      message: 'End time cannot be in the future'
+    }, {
+      validator: function(v) {
+        if (!v) return true;
+        return v > this.startedAt && v - this.startedAt <= MAX_ENTRY_MINUTES * 60 * 1000;
+      },
+      message: 'End time must be after the start time and at most 24 hours later'
+    }]
+  },
+  // Set while the timer is running; at most one running entry per user
+  running: {
+    type: Boolean,
+    default: false
+  },
+  // Minutes between start and end, kept in sync on save
+  durationMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Duration cannot be negative']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters'],
+    default: ''
+  },
+
+  // Soft delete
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One running timer per user
+timeEntrySchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+// Indexes for performance
+timeEntrySchema.index({ userId: 1, startedAt: -1 });
+timeEntrySchema.index({ taskId: 1, deletedAt: 1 });
+timeEntrySchema.index({ goalId: 1, startedAt: -1 });
+
+// Instance methods
+
+/**
+ * Stop a running timer
+ */
+timeEntrySchema.methods.stop = function(endedAt = new Date()) {
+  this.endedAt = endedAt;
+  this.running = false;
+  return this.save();
+};
+
+timeEntrySchema.methods.softDelete = function() {
+  this.deletedAt = new Date();
+  this.running = false;
+  return this.save();
+};
+
+// Static methods
+
+/**
+ * The user's running timer, if any
+ */
+timeEntrySchema.statics.findRunning = function(userId) {
+  return this.findOne({ userId, running: true, deletedAt: null });
+};
+
+/**
+ * Minutes logged in finished entries, keyed by the given field
+ */
+timeEntrySchema.statics.sumMinutes = async function(field, ids) {
+  const rows = await this.aggregate([
+    { $match: { [field]: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) }, deletedAt: null, running: false } },
+    { $group: { _id: `$${field}`, minutes: { $sum: '$durationMinutes' }, tasks: { $addToSet: '$taskId' } } }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), { minutes: row.minutes, tasks: row.tasks.length }]));
+};
+
+// Pre-save middleware
+timeEntrySchema.pre('save', function(next) {
+  this.durationMinutes = this.endedAt
+    ? Math.round(((this.endedAt - this.startedAt) / 60000) * 100) / 100
+    : 0;
+
+  if (this.endedAt) {
+    this.running = false;
+  }
+
+  next();
+});
+
+export default mongoose.model('TimeEntry', timeEntrySchema);
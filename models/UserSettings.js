@@ -92,7 +92,11 @@ const userSettingsSchema = new mongoose.Schema({
         type: String,
         enum: ['immediate', 'daily', 'weekly', 'never'],
         default: 'daily'
-      }
+      },
+      // Notification categories switched off from email unsubscribe links
+      unsubscribedCategories: [{
+        type: String
+      }]
     },
     push: {
       enabled: {
@@ -0,0 +1,25 @@
+import express from 'express';
+import jobController from '../controllers/jobController.js';
+import emailController from '../controllers/emailController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admin routes are limited to administrators
+router.use(authenticateToken, requireRole('admin'));
+
+// Background job routes
+router.get('/jobs', jobController.getJobs);
+router.get('/jobs/stats', jobController.getJobStats);
+router.get('/jobs/:jobId', jobController.getJob);
+router.post('/jobs/:jobId/retry', jobController.retryJob);
+router.post('/jobs/:jobId/cancel', jobController.cancelJob);
+router.post('/jobs/:jobId/run', jobController.runJobNow);
+
+// Email outbox routes
+router.get('/emails', emailController.getEmails);
+router.get('/emails/:emailId', emailController.getEmail);
+router.post('/emails/:emailId/retry', emailController.retryEmail);
+router.post('/emails/:emailId/cancel', emailController.cancelEmail);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import emailController from '../controllers/emailController.js';
+
+const router = express.Router();
+
+// Development tools, browsed without a bearer token. index.js only
+// mounts them when emailConfig.previewEnabled is set: EMAIL_PREVIEW=true
+// outside production.
+
+// Email outbox preview
+router.get('/emails', emailController.previewList);
+router.get('/emails/:emailId', emailController.previewEmail);
+router.get('/emails/:emailId/html', emailController.previewHtml);
+router.get('/emails/:emailId/raw', emailController.previewRaw);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import fileController from '../controllers/fileController.js';
+
+const router = express.Router();
+
+// Signed download links carry their own authorization
+router.get('/download', fileController.download);
+
+export default router;
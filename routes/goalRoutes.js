@@ -0,0 +1,78 @@
+import express from 'express';
+import goalController from '../controllers/goalController.js';
+import taskController from '../controllers/taskController.js';
+import boardController from '../controllers/boardController.js';
+import inviteController from '../controllers/inviteController.js';
+import inviteLinkController from '../controllers/inviteLinkController.js';
+import memberController from '../controllers/memberController.js';
+import labelController from '../controllers/labelController.js';
+import dependencyController from '../controllers/dependencyController.js';
+import reportController from '../controllers/reportController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireGoalPermission } from '../middleware/goalAccess.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Goal CRUD routes
+router.get('/', goalController.getGoals);
+router.post('/', goalController.createGoal);
+router.get('/:id', requireGoalPermission(null, 'id'), goalController.getGoal);
+router.put('/:id', requireGoalPermission('canEdit', 'id'), goalController.updateGoal);
+router.delete('/:id', requireGoalPermission('canDelete', 'id'), goalController.deleteGoal);
+
+// Goal lifecycle routes
+router.patch('/:id/archive', requireGoalPermission('canEdit', 'id'), goalController.archiveGoal);
+router.patch('/:id/unarchive', requireGoalPermission('canEdit', 'id'), goalController.unarchiveGoal);
+router.patch('/:id/restore', goalController.restoreGoal);
+
+// Goal settings routes
+router.get('/:goalId/settings', requireGoalPermission(), goalController.getSettings);
+router.put('/:goalId/settings', requireGoalPermission('canEdit'), goalController.updateSettings);
+router.get('/:goalId/forecast', requireGoalPermission(), goalController.getForecast);
+
+// Goal report routes
+router.get('/:goalId/reports/estimates', requireGoalPermission('canViewReports'), reportController.getGoalEstimates);
+
+// Goal task routes
+router.get('/:goalId/tasks', requireGoalPermission(), taskController.getGoalTasks);
+router.post('/:goalId/tasks', requireGoalPermission('canEdit'), taskController.createTask);
+router.get('/:goalId/dependencies', requireGoalPermission(), dependencyController.getGoalGraph);
+
+// Kanban board routes
+router.get('/:goalId/board', requireGoalPermission(), boardController.getBoard);
+router.post('/:goalId/lists', requireGoalPermission('canEdit'), boardController.createList);
+router.put('/:goalId/lists/order', requireGoalPermission('canEdit'), boardController.reorderLists);
+
+// Goal invitation routes
+router.get('/:goalId/invites', requireGoalPermission('canInvite'), inviteController.getInvites);
+router.post('/:goalId/invites', requireGoalPermission('canInvite'), inviteController.createInvite);
+router.delete('/:goalId/invites/:inviteId', requireGoalPermission('canInvite'), inviteController.revokeInvite);
+router.post('/:goalId/invites/:inviteId/resend', requireGoalPermission('canInvite'), inviteController.resendInvite);
+
+// Shareable invite link routes
+router.get('/:goalId/invite-links', requireGoalPermission('canInvite'), inviteLinkController.getLinks);
+router.post('/:goalId/invite-links', requireGoalPermission('canInvite'), inviteLinkController.createLink);
+router.patch('/:goalId/invite-links/:linkId/disable', requireGoalPermission('canInvite'), inviteLinkController.disableLink);
+
+// Goal member routes
+router.get('/:goalId/members', requireGoalPermission(), memberController.getMembers);
+router.get('/:goalId/members/stats', requireGoalPermission(), memberController.getMemberStats);
+router.patch('/:goalId/members/me', requireGoalPermission(), memberController.updateMyMembership);
+router.get('/:goalId/members/:memberId', requireGoalPermission(), memberController.getMember);
+router.patch('/:goalId/members/:memberId', requireGoalPermission('canManageMembers'), memberController.updateMember);
+router.delete('/:goalId/members/:memberId', requireGoalPermission('canManageMembers'), memberController.removeMember);
+router.post('/:goalId/leave', requireGoalPermission(), memberController.leaveGoal);
+router.post('/:goalId/transfer-ownership', requireGoalPermission(), memberController.transferOwnership);
+
+// Goal label routes
+router.get('/:goalId/labels', requireGoalPermission(), labelController.getLabels);
+router.post('/:goalId/labels', requireGoalPermission('canEdit'), labelController.createLabel);
+router.post('/:goalId/labels/copy', requireGoalPermission(), labelController.copyLabels);
+router.put('/:goalId/labels/:labelId', requireGoalPermission('canEdit'), labelController.updateLabel);
+router.delete('/:goalId/labels/:labelId', requireGoalPermission('canEdit'), labelController.deleteLabel);
+router.post('/:goalId/labels/:labelId/merge', requireGoalPermission('canEdit'), labelController.mergeLabel);
+
+export default router;
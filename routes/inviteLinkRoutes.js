@@ -0,0 +1,14 @@
+import express from 'express';
+import inviteLinkController from '../controllers/inviteLinkController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Invite link routes (by shared token)
+router.get('/:token', inviteLinkController.getLinkByToken);
+router.post('/:token/join', inviteLinkController.joinWithLink);
+
+export default router;
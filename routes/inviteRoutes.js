@@ -0,0 +1,15 @@
+import express from 'express';
+import inviteController from '../controllers/inviteController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Invitation response routes (by emailed token)
+router.get('/:token', inviteController.getInviteByToken);
+router.post('/:token/accept', inviteController.acceptInvite);
+router.post('/:token/decline', inviteController.declineInvite);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import boardController from '../controllers/boardController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireListPermission } from '../middleware/goalAccess.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// List routes
+router.put('/:id', requireListPermission('canEdit'), boardController.updateList);
+router.patch('/:id/archive', requireListPermission('canEdit'), boardController.archiveList);
+router.patch('/:id/move', requireListPermission('canEdit'), boardController.moveList);
+
+// Task ordering within a list
+router.put('/:id/tasks/order', requireListPermission('canEdit'), boardController.reorderTasks);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import notificationController from '../controllers/notificationController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Email unsubscribe links carry their own token; the GET only leads to
+// the confirmation page, the POST unsubscribes
+router.get('/unsubscribe', notificationController.unsubscribeFromLink);
+router.post('/unsubscribe', notificationController.unsubscribeOneClick);
+
+// Apply authentication middleware to all other routes
+router.use(authenticateToken);
+
+// Notification center routes
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.patch('/read-all', notificationController.markAllRead);
+router.patch('/:id/read', notificationController.markRead);
+router.delete('/:id', notificationController.deleteNotification);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import reportController from '../controllers/reportController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Estimates vs. actuals across the goals the user can report on
+router.get('/estimates', reportController.getEstimates);
+
+export default router;
@@ -0,0 +1,81 @@
+import express from 'express';
+import taskController from '../controllers/taskController.js';
+import boardController from '../controllers/boardController.js';
+import checklistController from '../controllers/checklistController.js';
+import dependencyController from '../controllers/dependencyController.js';
+import commentController from '../controllers/commentController.js';
+import fileController from '../controllers/fileController.js';
+import labelController from '../controllers/labelController.js';
+import timeEntryController from '../controllers/timeEntryController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireTaskPermission } from '../middleware/goalAccess.js';
+import { uploadFiles } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Current user's tasks
+router.get('/mine', taskController.getMyTasks);
+
+// Task CRUD routes
+router.get('/:id', requireTaskPermission(), taskController.getTask);
+router.get('/:id/occurrences', requireTaskPermission(), taskController.getOccurrences);
+router.put('/:id', requireTaskPermission('canEdit'), taskController.updateTask);
+router.delete('/:id', requireTaskPermission('canDelete'), taskController.deleteTask);
+
+// Assignee routes
+router.post('/:id/assignees', requireTaskPermission('canEdit'), taskController.assignUser);
+router.delete('/:id/assignees/:userId', requireTaskPermission('canEdit'), taskController.unassignUser);
+
+// Task state routes
+router.patch('/:id/complete', requireTaskPermission('canEdit'), taskController.completeTask);
+router.patch('/:id/block', requireTaskPermission('canEdit'), taskController.blockTask);
+router.patch('/:id/unblock', requireTaskPermission('canEdit'), taskController.unblockTask);
+
+// Label routes
+router.post('/:id/labels', requireTaskPermission('canEdit'), labelController.attachToTask);
+router.delete('/:id/labels/:labelId', requireTaskPermission('canEdit'), labelController.detachFromTask);
+
+// Dependency routes
+router.get('/:id/dependencies', requireTaskPermission(), dependencyController.getDependencies);
+router.post('/:id/dependencies', requireTaskPermission('canEdit'), dependencyController.addDependency);
+router.delete('/:id/dependencies/:taskId', requireTaskPermission('canEdit'), dependencyController.removeDependency);
+
+// Board placement
+router.patch('/:id/move', requireTaskPermission('canEdit'), boardController.moveTask);
+
+// Time tracking routes
+router.post('/:taskId/timer/start', requireTaskPermission('canEdit', 'taskId'), timeEntryController.startTimer);
+router.get('/:taskId/time-entries', requireTaskPermission(null, 'taskId'), timeEntryController.getTaskEntries);
+router.post('/:taskId/time-entries', requireTaskPermission('canEdit', 'taskId'), timeEntryController.createEntry);
+
+// Checklist routes
+router.get('/:taskId/checklist', requireTaskPermission(null, 'taskId'), checklistController.getItems);
+router.post('/:taskId/checklist', requireTaskPermission('canEdit', 'taskId'), checklistController.createItem);
+router.put('/:taskId/checklist/order', requireTaskPermission('canEdit', 'taskId'), checklistController.reorderItems);
+router.patch('/:taskId/checklist/complete', requireTaskPermission('canEdit', 'taskId'), checklistController.bulkComplete);
+router.put('/:taskId/checklist/:itemId', requireTaskPermission('canEdit', 'taskId'), checklistController.updateItem);
+router.delete('/:taskId/checklist/:itemId', requireTaskPermission('canEdit', 'taskId'), checklistController.deleteItem);
+router.post('/:taskId/checklist/:itemId/promote', requireTaskPermission('canEdit', 'taskId'), checklistController.promoteToSubtask);
+
+// Comment routes
+router.get('/:taskId/comments', requireTaskPermission(null, 'taskId'), commentController.getComments);
+router.post('/:taskId/comments', requireTaskPermission('canEdit', 'taskId'), commentController.createComment);
+router.put('/:taskId/comments/:commentId', requireTaskPermission(null, 'taskId'), commentController.updateComment);
+router.delete('/:taskId/comments/:commentId', requireTaskPermission(null, 'taskId'), commentController.deleteComment);
+router.get('/:taskId/comments/:commentId/history', requireTaskPermission(null, 'taskId'), commentController.getCommentHistory);
+router.get('/:taskId/comments/:commentId/replies', requireTaskPermission(null, 'taskId'), commentController.getReplies);
+router.post('/:taskId/comments/:commentId/reactions', requireTaskPermission(null, 'taskId'), commentController.toggleReaction);
+router.patch('/:taskId/comments/:commentId/resolve', requireTaskPermission(null, 'taskId'), commentController.resolveThread);
+
+// Attachment routes
+router.get('/:taskId/files', requireTaskPermission(null, 'taskId'), fileController.getTaskFiles);
+router.post('/:taskId/files', requireTaskPermission('canEdit', 'taskId'), uploadFiles(), fileController.uploadTaskFiles);
+router.get('/:taskId/files/:fileId', requireTaskPermission(null, 'taskId'), fileController.getFile);
+router.get('/:taskId/files/:fileId/thumbnails/:size', requireTaskPermission(null, 'taskId'), fileController.getThumbnail);
+router.delete('/:taskId/files/:fileId', requireTaskPermission(null, 'taskId'), fileController.deleteFile);
+router.post('/:taskId/comments/:commentId/files', requireTaskPermission('canEdit', 'taskId'), uploadFiles(), fileController.uploadCommentFiles);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import timeEntryController from '../controllers/timeEntryController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Running timer
+router.get('/timer', timeEntryController.getTimer);
+router.post('/timer/stop', timeEntryController.stopTimer);
+
+// Current user's entries
+router.get('/', timeEntryController.getMyEntries);
+router.put('/:entryId', timeEntryController.updateEntry);
+router.delete('/:entryId', timeEntryController.deleteEntry);
+
+export default router;
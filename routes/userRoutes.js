@@ -10,6 +10,7 @@ router.use(authenticateToken);
 
 // User profile routes
 router.get('/me', userController.getMe);
+router.get('/me/usage', userController.getUsage);
 router.put('/profile', userController.updateProfile);
 router.put('/settings', userController.updateSettings);
 router.patch('/onboarding', userController.updateOnboarding);
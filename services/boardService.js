@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import List from '../models/List.js';
+import Task from '../models/Task.js';
+
+// Smallest gap allowed between neighbouring positions before the whole
+// column is rebalanced back to integer positions
+const MIN_POSITION_GAP = 1e-6;
+
+class BoardService {
+  /**
+   * Get a goal's active lists with their ordered tasks
+   */
+  async getBoard(goalId) {
+    const lists = await List.find({ goalId, archived: false }).sort({ position: 1 });
+
+    const tasks = await Task.find({
+      goalId,
+      deletedAt: null,
+      archived: false
+    }).sort({ position: 1, createdAt: 1 });
+
+    const tasksByList = new Map(lists.map(list => [list._id.toString(), []]));
+    const unlistedTasks = [];
+
+    tasks.forEach(task => {
+      const bucket = task.listId && tasksByList.get(task.listId.toString());
+      if (bucket) {
+        bucket.push(task);
+      } else if (!task.listId) {
+        unlistedTasks.push(task);
+      }
+    });
+
+    return {
+      lists: lists.map(list => ({
+        list,
+        tasks: tasksByList.get(list._id.toString())
+      })),
+      unlistedTasks
+    };
+  }
+
+  /**
+   * Create a list at the end of the board, retrying if a concurrent
+   * create claims the same position
+   */
+  async createList(goalId, data, createdBy) {
+    const maxAttempts = 3;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const last = await List.findOne({ goalId }).sort({ position: -1 }).select('position');
+      const list = new List({
+        ...data,
+        goalId,
+        createdBy,
+        position: last ? Math.floor(last.position) + 1 : 0
+      });
+
+      try {
+        return await list.save();
+      } catch (error) {
+        if (error.code !== 11000 || attempt === maxAttempts) throw error;
+      }
+    }
+  }
+
+  /**
+   * Move a list to a new index among the goal's active lists
+   */
+  async moveList(list, toIndex) {
+    await this.runInTransaction(async (session) => {
+      const siblings = await List.find({
+        goalId: list.goalId,
+        _id: { $ne: list._id }
+      }).sort({ position: 1 }).session(session);
+
+      const ordered = placeAtVisibleIndex(siblings, list, toIndex, item => !item.archived);
+      await this.applyOrder(List, ordered, list, session);
+    });
+
+    return List.findById(list._id);
+  }
+
+  /**
+   * Reorder all active lists of a goal to match the given ids
+   */
+  async reorderLists(goalId, listIds) {
+    await this.runInTransaction(async (session) => {
+      const lists = await List.find({ goalId }).sort({ position: 1 }).session(session);
+      const ordered = orderByIds(lists, listIds, item => !item.archived);
+      await this.rebalance(List, ordered.map(list => list._id), session);
+    });
+
+    return List.find({ goalId, archived: false }).sort({ position: 1 });
+  }
+
+  /**
+   * Move a task to an index within a (possibly different) list
+   */
+  async moveTask(task, targetListId, toIndex, movedBy) {
+    const fromListId = task.listId;
+
+    await this.runInTransaction(async (session) => {
+      const siblings = await Task.find({
+        listId: targetListId,
+        _id: { $ne: task._id },
+        deletedAt: null,
+        archived: false
+      }).sort({ position: 1, createdAt: 1 }).session(session);
+
+      if (String(fromListId) !== String(targetListId)) {
+        const current = await Task.findById(task._id).session(session);
+        current.listId = targetListId;
+        current.addAuditLog('updated', movedBy, {
+          listId: { from: fromListId, to: targetListId }
+        });
+        await current.save({ session });
+      }
+
+      const ordered = placeAtVisibleIndex(siblings, task, toIndex, () => true);
+      await this.applyOrder(Task, ordered, task, session);
+    });
+
+    return Task.findById(task._id);
+  }
+
+  /**
+   * Reorder all active tasks in a list to match the given ids
+   */
+  async reorderTasks(listId, taskIds) {
+    await this.runInTransaction(async (session) => {
+      const tasks = await Task.find({
+        listId,
+        deletedAt: null,
+        archived: false
+      }).sort({ position: 1, createdAt: 1 }).session(session);
+
+      const ordered = orderByIds(tasks, taskIds, () => true);
+      await this.rebalance(Task, ordered.map(task => task._id), session);
+    });
+
+    return Task.find({ listId, deletedAt: null, archived: false }).sort({ position: 1, createdAt: 1 });
+  }
+
+  /**
+   * Position after the last task in a list
+   */
+  async nextTaskPosition(listId, session = null) {
+    const last = await Task.findOne({ listId, deletedAt: null })
+      .sort({ position: -1 })
+      .select('position')
+      .session(session);
+    return last ? Math.floor(last.position) + 1 : 0;
+  }
+
+  /**
+   * Give the moved item a fractional position between its new neighbours,
+   * falling back to a full rebalance when the gap is exhausted
+   */
+  async applyOrder(Model, ordered, item, session) {
+    const index = ordered.findIndex(entry => entry._id.equals(item._id));
+    const before = ordered[index - 1];
+    const after = ordered[index + 1];
+    const position = positionBetween(before?.position, after?.position);
+
+    if (position === null) {
+      await this.rebalance(Model, ordered.map(entry => entry._id), session);
+    } else {
+      await Model.updateOne({ _id: item._id }, { $set: { position } }, { session });
+    }
+  }
+
+  /**
+   * Rewrite positions to 0..n-1 in the given order.
+   * Positions are first shifted above every current value so that no
+   * intermediate write collides with a unique position index.
+   */
+  async rebalance(Model, orderedIds, session) {
+    if (orderedIds.length === 0) return;
+
+    const highest = await Model.findOne({ _id: { $in: orderedIds } })
+      .sort({ position: -1 })
+      .select('position')
+      .session(session);
+    const offset = Math.ceil(highest?.position || 0) + orderedIds.length + 1;
+
+    await Model.bulkWrite(orderedIds.map((_id, i) => ({
+      updateOne: { filter: { _id }, update: { $set: { position: offset + i } } }
+    })), { session });
+
+    await Model.bulkWrite(orderedIds.map((_id, i) => ({
+      updateOne: { filter: { _id }, update: { $set: { position: i } } }
+    })), { session });
+  }
+
+  /**
+   * Run a unit of work inside a MongoDB transaction
+   */
+  async runInTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(() => work(session));
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+/**
+ * Midpoint between two positions, or null when there is no room left
+ */
+function positionBetween(before, after) {
+  if (before === undefined && after === undefined) return 0;
+  if (before === undefined) {
+    const position = after / 2;
+    return after - position >= MIN_POSITION_GAP ? position : null;
+  }
+  if (after === undefined) return Math.floor(before) + 1;
+
+  const position = (before + after) / 2;
+  return position - before >= MIN_POSITION_GAP && after - position >= MIN_POSITION_GAP ? position : null;
+}
+
+/**
+ * Insert an item into a full ordering so that it lands at the given index
+ * among the visible entries. Hidden entries (e.g. archived lists) keep
+ * their place in the full ordering.
+ */
+function placeAtVisibleIndex(siblings, item, toIndex, isVisible) {
+  const visible = siblings.filter(isVisible);
+  const index = Math.min(Math.max(parseInt(toIndex) || 0, 0), visible.length);
+
+  const ordered = [...siblings];
+  const insertAt = index === 0 ? 0 : ordered.indexOf(visible[index - 1]) + 1;
+  ordered.splice(insertAt, 0, item);
+
+  return ordered;
+}
+
+/**
+ * Order visible entries by the given ids, keeping hidden entries after them
+ */
+export function orderByIds(items, ids, isVisible) {
+  const visible = items.filter(isVisible);
+  const byId = new Map(visible.map(item => [item._id.toString(), item]));
+  const requested = ids.map(id => String(id));
+
+  if (new Set(requested).size !== visible.length || requested.length !== visible.length || requested.some(id => !byId.has(id))) {
+    const error = new Error('Order must include every active item exactly once');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return [
+    ...requested.map(id => byId.get(id)),
+    ...items.filter(item => !isVisible(item))
+  ];
+}
+
+export default new BoardService();
@@ -1,6 +1,8 @@
 import { google } from 'googleapis';
 import UserAccount from '../models/UserAccount.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class CalendarService {
   
   /**
@@ -197,6 +199,72 @@ class CalendarService {
       };
     }
   }
+
+  /**
+   * Refresh a connected calendar account: read its enabled calendars over
+   * the sync window and record the result on the account. Throws when the
+   * provider call fails so the caller can retry.
+   */
+  async syncAccount(account) {
+    if (account.provider !== 'google') {
+      const error = new Error(`Calendar sync is not supported for ${account.provider}`);
+      error.code = 'UNSUPPORTED_PROVIDER';
+      throw error;
+    }
+
+    const auth = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET
+    );
+    auth.setCredentials({
+      access_token: account.accessToken,
+      refresh_token: account.refreshToken,
+      expiry_date: account.tokenExpiry?.getTime()
+    });
+
+    // Keep refreshed tokens so the next sync does not start expired
+    let refreshed = null;
+    auth.on('tokens', (tokens) => {
+      refreshed = tokens;
+    });
+
+    const calendar = google.calendar({ version: 'v3', auth });
+    const { syncPastDays, syncFutureDays, includeAllDayEvents, includeRecurringEvents } = account.syncPreferences;
+    const now = Date.now();
+
+    const calendarIds = account.calendarIds.filter(cal => cal.isEnabled).map(cal => cal.id);
+    let eventCount = 0;
+
+    for (const calendarId of calendarIds.length > 0 ? calendarIds : ['primary']) {
+      let pageToken;
+      do {
+        const response = await calendar.events.list({
+          calendarId,
+          timeMin: new Date(now - syncPastDays * DAY_MS).toISOString(),
+          timeMax: new Date(now + syncFutureDays * DAY_MS).toISOString(),
+          singleEvents: includeRecurringEvents,
+          maxResults: 250,
+          pageToken
+        });
+
+        const events = (response.data.items || []).filter(event => includeAllDayEvents || !event.start?.date);
+        eventCount += events.length;
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+    }
+
+    if (refreshed?.access_token) {
+      account.accessToken = refreshed.access_token;
+      if (refreshed.refresh_token) account.refreshToken = refreshed.refresh_token;
+      if (refreshed.expiry_date) account.tokenExpiry = new Date(refreshed.expiry_date);
+    }
+
+    account.totalEventsSynced += eventCount;
+    account.lastSyncEventCount = eventCount;
+    await account.updateSyncStatus('active');
+
+    return { eventCount };
+  }
 }
 
-export default new CalendarService(); 
\ No newline at end of file
+export default new CalendarService();
\ No newline at end of file
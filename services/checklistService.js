@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import ChecklistItem from '../models/ChecklistItem.js';
+import Task from '../models/Task.js';
+import boardService, { orderByIds } from './boardService.js';
+
+class ChecklistService {
+  /**
+   * Append an item to a task's checklist, retrying if a concurrent
+   * create claims the same position
+   */
+  async createItem(taskId, data, createdBy) {
+    const maxAttempts = 3;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      // Deleted items keep their slot in the unique {taskId, position} index
+      const last = await ChecklistItem.findOne({ taskId }).sort({ position: -1 }).select('position');
+      const item = new ChecklistItem({
+        ...data,
+        taskId,
+        position: last ? last.position + 1 : 0
+      });
+      item.addAuditLog('created', createdBy, data);
+
+      try {
+        return await item.save();
+      } catch (error) {
+        if (error.code !== 11000 || attempt === maxAttempts) throw error;
+      }
+    }
+  }
+
+  /**
+   * Reorder a task's active checklist items to match the given ids.
+   * Deleted items are kept after the active ones so every position
+   * stays unique.
+   */
+  async reorderItems(taskId, itemIds) {
+    await boardService.runInTransaction(async (session) => {
+      const items = await ChecklistItem.find({ taskId }).sort({ position: 1 }).session(session);
+      const ordered = orderByIds(items, itemIds, item => !item.deletedAt);
+      await boardService.rebalance(ChecklistItem, ordered.map(item => item._id), session);
+    });
+
+    return ChecklistItem.findByTask(taskId);
+  }
+
+  /**
+   * Complete or reopen several items at once. Without itemIds every
+   * active item of the task is changed.
+   */
+  async setCompleted(taskId, itemIds, completed, changedBy) {
+    const query = { taskId, deletedAt: null, completed: !completed };
+    if (itemIds) {
+      query._id = { $in: itemIds.filter(id => mongoose.isValidObjectId(id)) };
+    }
+
+    const items = await ChecklistItem.find(query);
+    const now = new Date();
+
+    items.forEach(item => {
+      item.completed = completed;
+      item.completedAt = completed ? now : null;
+      item.completedBy = completed ? changedBy : null;
+      item.addAuditLog(completed ? 'completed' : 'uncompleted', changedBy);
+    });
+
+    // bulkSave skips save middleware, so progress is recomputed here
+    if (items.length > 0) {
+      await ChecklistItem.bulkSave(items);
+    }
+    const progress = await ChecklistItem.updateTaskProgress(taskId);
+
+    return { updated: items.length, progress };
+  }
+
+  /**
+   * Turn a checklist item into a subtask of its task and remove the item
+   */
+  async promoteToSubtask(parentTask, item, promotedBy) {
+    let subtask;
+
+    await boardService.runInTransaction(async (session) => {
+      subtask = new Task({
+        goalId: parentTask.goalId,
+        createdBy: promotedBy,
+        title: item.label,
+        description: item.notes,
+        priority: item.priority,
+        dueDate: item.dueDate,
+        status: item.completed ? 'completed' : 'pending',
+        isSubtask: true,
+        parentTaskId: parentTask._id
+      });
+
+      if (parentTask.listId) {
+        subtask.listId = parentTask.listId;
+        subtask.position = await boardService.nextTaskPosition(parentTask.listId, session);
+      }
+
+      if (item.assigneeId) {
+        subtask.assignees.push({ userId: item.assigneeId, assignedBy: item.assignedBy || promotedBy });
+      }
+
+      subtask.addAuditLog('created', promotedBy, {}, { checklistItemId: item._id });
+      await subtask.save({ session });
+
+      item.$session(session);
+      item.addAuditLog('promoted', promotedBy, { subtaskId: subtask._id });
+      await item.softDelete(promotedBy);
+    });
+
+    item.$session(null);
+    await ChecklistItem.updateTaskProgress(parentTask._id);
+
+    return subtask;
+  }
+}
+
+export default new ChecklistService();
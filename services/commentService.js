@@ -0,0 +1,189 @@
+import Task from '../models/Task.js';
+import TaskComment from '../models/TaskComment.js';
+import User from '../models/User.js';
+import { canAccessGoal, filterGoalAudience } from '../middleware/goalAccess.js';
+import notificationService from './notificationService.js';
+
+const AUTHOR_FIELDS = 'name username avatarUrl';
+
+// Replies shown inline under each collapsed thread
+const INLINE_REPLIES = 3;
+
+class CommentService {
+  /**
+   * Resolve @username mentions in comment text to the ids of users who
+   * can see the task. Unknown or outside users are ignored.
+   */
+  async resolveMentions(content, task, goal) {
+    const usernames = TaskComment.parseMentions(content);
+    if (usernames.length === 0) return [];
+
+    const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id');
+
+    const allowed = await Promise.all(users.map(user => {
+      if (!goal) return user._id.equals(task.createdBy);
+      return canAccessGoal(goal, user._id);
+    }));
+
+    return users.filter((user, i) => allowed[i]).map(user => user._id);
+  }
+
+  /**
+   * Get a page of threads with their latest replies inline
+   */
+  async getThreads(taskId, { skip, limit }) {
+    const query = TaskComment.findThreads(taskId);
+
+    const [threads, total] = await Promise.all([
+      query.clone()
+        .populate('authorId', AUTHOR_FIELDS)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      query.clone().countDocuments()
+    ]);
+
+    const latest = await TaskComment.aggregate([
+      { $match: { parentId: { $in: threads.map(thread => thread._id) }, deletedAt: null } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$parentId', replies: { $push: '$$ROOT' } } },
+      { $project: { replies: { $slice: ['$replies', INLINE_REPLIES] } } }
+    ]);
+
+    const repliesByThread = new Map();
+    for (const { _id, replies } of latest) {
+      const hydrated = replies.reverse().map(reply => TaskComment.hydrate(reply));
+      await TaskComment.populate(hydrated, { path: 'authorId', select: AUTHOR_FIELDS });
+      repliesByThread.set(_id.toString(), hydrated);
+    }
+
+    return {
+      threads: threads.map(thread => ({
+        ...serializeComment(thread),
+        latestReplies: (repliesByThread.get(thread._id.toString()) || []).map(serializeComment)
+      })),
+      total
+    };
+  }
+
+  /**
+   * Create a comment (or a reply to a thread) and subscribe its author to the task
+   */
+  async createComment(task, goal, authorId, content, parentId = null) {
+    const comment = new TaskComment({
+      taskId: task._id,
+      authorId,
+      parentId,
+      content,
+      mentions: await this.resolveMentions(content, task, goal)
+    });
+    await comment.save();
+
+    await Task.updateOne({ _id: task._id }, { $addToSet: { watchers: authorId } });
+    if (!task.watchers.some(id => id.equals(authorId))) {
+      task.watchers.push(authorId);
+    }
+
+    await comment.populate('authorId', AUTHOR_FIELDS);
+    await this.broadcast(task, 'comment:created', comment, authorId);
+    await notificationService.notifyMentions(comment, task, comment.mentions, comment.authorId);
+
+    return comment;
+  }
+
+  /**
+   * Replace a comment's content, keeping the previous version in its history
+   */
+  async editComment(comment, task, goal, content, editedBy) {
+    const previousMentions = new Set(comment.mentions.map(String));
+
+    comment.edit(content, editedBy);
+    comment.mentions = await this.resolveMentions(content, task, goal);
+    await comment.save();
+
+    await comment.populate('authorId', AUTHOR_FIELDS);
+    await this.broadcast(task, 'comment:updated', comment, editedBy);
+
+    // Only people newly mentioned by the edit hear about it
+    const added = comment.mentions.filter(id => !previousMentions.has(id.toString()));
+    await notificationService.notifyMentions(comment, task, added, comment.authorId);
+
+    return comment;
+  }
+
+  /**
+   * Soft delete a comment
+   */
+  async deleteComment(comment, task, deletedBy) {
+    await comment.softDelete(deletedBy);
+
+    await this.broadcast(task, 'comment:deleted', comment, deletedBy);
+    return comment;
+  }
+
+  /**
+   * Toggle the user's emoji reaction on a comment
+   */
+  async toggleReaction(comment, task, emoji, userId) {
+    const added = await TaskComment.toggleReaction(comment._id, emoji, userId);
+    const updated = await TaskComment.findById(comment._id).populate('authorId', AUTHOR_FIELDS);
+
+    await this.broadcast(task, 'comment:reacted', updated, userId);
+    return { comment: updated, added };
+  }
+
+  /**
+   * Mark a thread resolved or reopen it
+   */
+  async setResolved(comment, task, resolved, userId) {
+    if (resolved) {
+      await comment.resolve(userId);
+    } else {
+      await comment.unresolve();
+    }
+
+    await comment.populate('authorId', AUTHOR_FIELDS);
+    await this.broadcast(task, resolved ? 'comment:resolved' : 'comment:reopened', comment, userId);
+    return comment;
+  }
+
+  /**
+   * Push a comment event to everyone watching the task except the actor.
+   * Watchers who can no longer open the task are skipped.
+   */
+  async broadcast(task, event, comment, actorId) {
+    if (!global.socketService) return;
+
+    try {
+      const watchers = task.watchers.map(String).filter(id => id !== actorId.toString());
+      const recipients = task.goalId
+        ? await filterGoalAudience(task.goalId, watchers)
+        : watchers.filter(id => id === task.createdBy?.toString());
+
+      global.socketService.broadcastToUsers(recipients, event, {
+        taskId: task._id,
+        comment: event === 'comment:deleted'
+          ? { _id: comment._id, parentId: comment.parentId }
+          : serializeComment(comment)
+      });
+    } catch (error) {
+      console.error('Comment broadcast error:', error);
+    }
+  }
+}
+
+/**
+ * Serialize a comment, hiding the body of deleted thread starters
+ */
+export function serializeComment(comment) {
+  const json = comment.toJSON();
+  if (comment.deletedAt) {
+    json.content = null;
+    json.mentions = [];
+    json.reactions = [];
+    json.attachments = [];
+  }
+  return json;
+}
+
+export default new CommentService();
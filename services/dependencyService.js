@@ -0,0 +1,269 @@
+import Task from '../models/Task.js';
+import { canAccessGoal } from '../middleware/goalAccess.js';
+
+// Most tasks visited when checking a new dependency for cycles
+const MAX_CYCLE_SEARCH = 5000;
+
+// Task fields returned for each node of a dependency graph
+const GRAPH_FIELDS = 'goalId listId createdBy title status priority startDate dueDate estimatedHours isBlocked blockedByDependencies blockedBy deletedAt';
+
+class DependencyService {
+  /**
+   * Make a task wait for another one to be completed. Rejects a
+   * dependency on the task itself, a duplicate and one that would close
+   * a cycle; the cycle error carries the ids along it. The task is
+   * blocked right away if the predecessor is still open.
+   */
+  async addDependency(task, predecessor, addedBy) {
+    if (task._id.equals(predecessor._id)) {
+      throw dependencyError(400, 'A task cannot depend on itself');
+    }
+    if (task.blockedBy.some(dependency => dependency.taskId.equals(predecessor._id))) {
+      throw dependencyError(409, 'This dependency already exists');
+    }
+
+    await this.assertNoCycle(task, predecessor);
+
+    task.blockedBy.push({ taskId: predecessor._id, addedBy });
+    task.addAuditLog('updated', addedBy, { blockedBy: { added: predecessor._id } });
+    await this.syncBlockedState(task, addedBy);
+
+    // A dependency added the other way at the same time passes the check
+    // above too, so check again now this one is stored and take it back
+    // if the two close a cycle
+    try {
+      await this.assertNoCycle(task, predecessor);
+    } catch (error) {
+      await this.removeDependency(task, predecessor._id, addedBy);
+      throw error;
+    }
+
+    return task;
+  }
+
+  /**
+   * Reject making a task wait for a predecessor when that would close a
+   * cycle, or when the graph is too large to tell
+   */
+  async assertNoCycle(task, predecessor) {
+    const cycle = await this.findPath(predecessor._id, task._id);
+    if (cycle) {
+      const error = dependencyError(409, 'This dependency would create a cycle');
+      error.cycle = [task._id.toString(), ...cycle];
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a task waiting for another one, unblocking it when that was its
+   * last open dependency
+   */
+  async removeDependency(task, predecessorId, removedBy) {
+    const exists = task.blockedBy.some(dependency => dependency.taskId.toString() === predecessorId.toString());
+    if (!exists) return false;
+
+    task.blockedBy = task.blockedBy.filter(dependency => dependency.taskId.toString() !== predecessorId.toString());
+    task.addAuditLog('updated', removedBy, { blockedBy: { removed: predecessorId } });
+    await this.syncBlockedState(task, removedBy);
+    return true;
+  }
+
+  /**
+   * Ids along the "is blocked by" chain from a task to one of its
+   * (indirect) predecessors, both included, or null when there is none.
+   * Making "to" blocked by "from" closes a cycle exactly when such a
+   * chain exists. Throws a 422 when the search gives up before it is sure.
+   */
+  async findPath(fromId, toId) {
+    const target = toId.toString();
+    const cameFrom = new Map([[fromId.toString(), null]]);
+    let frontier = [fromId.toString()];
+
+    while (frontier.length > 0 && cameFrom.size < MAX_CYCLE_SEARCH) {
+      const tasks = await Task.find({ _id: { $in: frontier }, deletedAt: null }).select('blockedBy');
+      frontier = [];
+
+      for (const task of tasks) {
+        for (const { taskId } of task.blockedBy) {
+          const id = taskId.toString();
+          if (cameFrom.has(id)) continue;
+          cameFrom.set(id, task._id.toString());
+
+          if (id === target) {
+            const path = [];
+            for (let step = id; step; step = cameFrom.get(step)) path.unshift(step);
+            return path;
+          }
+          frontier.push(id);
+        }
+      }
+    }
+
+    if (frontier.length > 0) {
+      throw dependencyError(422, 'The dependency graph is too large to check for cycles');
+    }
+    return null;
+  }
+
+  /**
+   * Block a task while any of its dependencies is open and unblock it
+   * when the last one is done. A task blocked by hand is left alone.
+   */
+  async syncBlockedState(task, userId, { trigger = null } = {}) {
+    const open = await this.openPredecessors(task);
+
+    if (open.length > 0 && (!task.isBlocked || task.blockedByDependencies)) {
+      const reason = blockingReason(open);
+      if (!task.isBlocked) {
+        task.addAuditLog('blocked', userId, { reason }, { source: 'dependencies', blockedBy: open.map(t => t._id) });
+      }
+      task.isBlocked = true;
+      task.blockingReason = reason;
+      task.blockedByDependencies = true;
+    } else if (open.length === 0 && task.isBlocked && task.blockedByDependencies) {
+      task.isBlocked = false;
+      task.blockingReason = '';
+      task.blockedByDependencies = false;
+      task.addAuditLog('unblocked', userId, {}, { source: 'dependencies', ...(trigger && { completedTaskId: trigger }) });
+    }
+
+    if (task.isModified()) await task.save();
+    return task;
+  }
+
+  /**
+   * Recheck the tasks waiting for one whose status changed or that was
+   * deleted. Returns the tasks this unblocked.
+   */
+  async onTaskChanged(task, userId) {
+    const successors = await Task.find({ 'blockedBy.taskId': task._id, deletedAt: null });
+    const unblocked = [];
+
+    for (const successor of successors) {
+      const wasBlocked = successor.isBlocked;
+      await this.syncBlockedState(successor, userId, { trigger: task._id });
+      if (wasBlocked && !successor.isBlocked) unblocked.push(successor);
+    }
+
+    return unblocked;
+  }
+
+  /**
+   * Dependencies of a task in both directions: the tasks it is blocked by
+   * and the tasks it blocks. Tasks in goals the user cannot access are
+   * listed without their details.
+   */
+  async getDependencies(task, userId) {
+    const [predecessors, successors] = await Promise.all([
+      Task.find({ _id: { $in: task.blockedBy.map(d => d.taskId) }, deletedAt: null }).select(GRAPH_FIELDS),
+      Task.find({ 'blockedBy.taskId': task._id, deletedAt: null }).select(GRAPH_FIELDS)
+    ]);
+    const visible = await visibilityChecker(userId, task.goalId);
+
+    const dependencies = new Map(task.blockedBy.map(d => [d.taskId.toString(), d]));
+    return {
+      blockedBy: await Promise.all(predecessors.map(async predecessor => {
+        const { addedAt, addedBy } = dependencies.get(predecessor._id.toString());
+        return { ...await graphNode(predecessor, visible), addedAt, addedBy };
+      })),
+      blocks: await Promise.all(successors.map(successor => graphNode(successor, visible)))
+    };
+  }
+
+  /**
+   * A goal's dependency graph: its tasks as nodes, plus tasks in other
+   * goals linked to them, and an edge from each predecessor to the task
+   * it blocks. Tasks in goals the user cannot access appear without
+   * their details.
+   */
+  async getGoalGraph(goal, userId) {
+    const tasks = await Task.find({ goalId: goal._id, deletedAt: null }).select(GRAPH_FIELDS);
+    const ids = new Set(tasks.map(task => task._id.toString()));
+
+    const predecessorIds = [...new Set(tasks.flatMap(task => task.blockedBy.map(d => d.taskId.toString())))]
+      .filter(id => !ids.has(id));
+    const [externalPredecessors, externalSuccessors] = await Promise.all([
+      Task.find({ _id: { $in: predecessorIds }, deletedAt: null }).select(GRAPH_FIELDS),
+      Task.find({ 'blockedBy.taskId': { $in: [...ids] }, goalId: { $ne: goal._id }, deletedAt: null }).select(GRAPH_FIELDS)
+    ]);
+
+    const external = new Map([...externalPredecessors, ...externalSuccessors].map(task => [task._id.toString(), task]));
+    const nodes = [...tasks, ...external.values()];
+    const present = new Set(nodes.map(task => task._id.toString()));
+
+    // Edges between two external tasks belong to another goal's graph
+    const edges = nodes.flatMap(task => task.blockedBy
+      .map(({ taskId }) => ({ from: taskId.toString(), to: task._id.toString() }))
+      .filter(edge => present.has(edge.from) && (ids.has(edge.from) || ids.has(edge.to))));
+
+    const visible = await visibilityChecker(userId, goal._id);
+    return {
+      nodes: await Promise.all(nodes.map(task => graphNode(task, visible, { external: external.has(task._id.toString()) }))),
+      edges
+    };
+  }
+
+  /**
+   * Dependencies of a task that are neither completed nor deleted
+   */
+  openPredecessors(task) {
+    if (task.blockedBy.length === 0) return [];
+    return Task.find({
+      _id: { $in: task.blockedBy.map(dependency => dependency.taskId) },
+      status: { $ne: 'completed' },
+      deletedAt: null
+    }).select('title');
+  }
+}
+
+function dependencyError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function blockingReason(open) {
+  return open.length === 1
+    ? `Waiting on "${open[0].title}"`.slice(0, 300)
+    : `Waiting on ${open.length} tasks`;
+}
+
+/**
+ * Whether the user can see tasks of a goal, remembered per goal. The
+ * goal being viewed is known to be accessible.
+ */
+async function visibilityChecker(userId, knownGoalId) {
+  const cache = new Map();
+  if (knownGoalId) cache.set(knownGoalId.toString(), true);
+
+  return async task => {
+    if (!task.goalId) return task.createdBy?.toString() === userId.toString();
+
+    const goalId = task.goalId.toString();
+    if (!cache.has(goalId)) cache.set(goalId, canAccessGoal(goalId, userId));
+    return cache.get(goalId);
+  };
+}
+
+async function graphNode(task, visible, extra = {}) {
+  if (!(await visible(task))) {
+    return { _id: task._id, restricted: true, ...extra };
+  }
+
+  return {
+    _id: task._id,
+    goalId: task.goalId,
+    listId: task.listId,
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    startDate: task.startDate,
+    dueDate: task.dueDate,
+    estimatedHours: task.estimatedHours,
+    isBlocked: task.isBlocked,
+    blockedByDependencies: task.blockedByDependencies,
+    ...extra
+  };
+}
+
+export default new DependencyService();
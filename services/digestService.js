@@ -0,0 +1,259 @@
+import Goal from '../models/Goal.js';
+import Notification, { OUTSIDER_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import UserSettings from '../models/UserSettings.js';
+import { canAccessGoal } from '../middleware/goalAccess.js';
+import jobQueue from './jobQueue.js';
+import notificationsConfig from '../config/notifications.js';
+import emailService from '../utils/email.js';
+import jwtUtils from '../utils/jwt.js';
+import { nextCronTime } from '../utils/cron.js';
+import { getUserTimeZones } from '../utils/timezone.js';
+
+/**
+ * Notification categories that can be unsubscribed from by email. The
+ * digest templates name them in the recipient's language.
+ */
+export const EMAIL_CATEGORIES = {
+  teamUpdates: 'Team updates',
+  goalMilestones: 'Goal milestones',
+  reminders: 'Reminders',
+  deviceLoginAlerts: 'Sign-in alerts',
+  dailySummary: 'Daily summaries'
+};
+
+// Notification types emailed right away whatever the digest frequency
+const URGENT_TYPES = ['security_alert'];
+
+class DigestService {
+  /**
+   * When each recipient of a notification should get it by email, keyed
+   * by user id. Users who switched email off, chose "never" or
+   * unsubscribed from the category are left out unless the notification
+   * is mandatory.
+   */
+  async planEmails(type, category, userIds, { mandatory = false, now = new Date() } = {}) {
+    const plan = new Map();
+    if (userIds.length === 0) return plan;
+
+    const [settingsList, zones] = await Promise.all([
+      UserSettings.find({ userId: { $in: userIds } }).select('userId weekStartsOn notificationPrefs.email'),
+      getUserTimeZones(userIds)
+    ]);
+    const settingsByUser = new Map(settingsList.map(settings => [settings.userId.toString(), settings]));
+
+    userIds.forEach(userId => {
+      const settings = settingsByUser.get(userId.toString());
+      const prefs = emailPrefs(settings);
+
+      if (!mandatory && !prefs.accepts(category)) return;
+
+      const frequency = mandatory || URGENT_TYPES.includes(type) ? 'immediate' : prefs.frequency;
+      plan.set(userId.toString(), this.nextDigestTime(frequency, {
+        timeZone: zones.get(userId.toString()),
+        weekStartsOn: settings?.weekStartsOn ?? 1,
+        now
+      }));
+    });
+
+    return plan;
+  }
+
+  /**
+   * The next send time for a digest frequency. Immediate digests are
+   * rounded up to the batching window so a burst of notifications shares
+   * one email; daily and weekly digests go out at the digest hour in the
+   * user's timezone, weekly ones on the first day of their week.
+   */
+  nextDigestTime(frequency, { timeZone = 'UTC', weekStartsOn = 1, now = new Date() } = {}) {
+    const { digestHour, immediateDelayMs } = notificationsConfig;
+
+    if (frequency === 'daily') {
+      return nextCronTime(`0 ${digestHour} * * *`, now, timeZone);
+    }
+    if (frequency === 'weekly') {
+      return nextCronTime(`0 ${digestHour} * * ${weekStartsOn}`, now, timeZone);
+    }
+    return new Date((Math.floor(now.getTime() / immediateDelayMs) + 1) * immediateDelayMs);
+  }
+
+  /**
+   * Queue a digest job per user at its planned time. Jobs are keyed by
+   * user and send time, so notifications due in the same digest share a
+   * job and a digest already being sent is never replaced.
+   */
+  async scheduleDigests(plan) {
+    for (const [userId, runAt] of plan) {
+      try {
+        await jobQueue.enqueue('notifications.sendDigest', { userId }, {
+          runAt,
+          uniqueKey: `email-digest:${userId}:${runAt.getTime()}`
+        });
+      } catch (error) {
+        console.error(`Failed to schedule email digest for user ${userId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Email a user every notification waiting for a digest, grouped by
+   * goal. Notifications the user has since opted out of, or about goals
+   * they can no longer open, are skipped. If the email cannot be queued this throws so the job is retried with
+   * the notifications still waiting.
+   */
+  async sendDigest(userId) {
+    const { maxDigestItems } = notificationsConfig;
+
+    const [user, settings, pending] = await Promise.all([
+      User.findById(userId).select('name email'),
+      UserSettings.findOne({ userId }).select('weekStartsOn notificationPrefs.email'),
+      Notification.find({ userId, emailStatus: 'pending' })
+        .sort({ createdAt: 1 })
+        .limit(maxDigestItems)
+    ]);
+    if (pending.length === 0) return { sent: 0, skipped: 0 };
+
+    const prefs = emailPrefs(settings);
+    const lostGoals = await inaccessibleGoals(userId, pending);
+    const deliver = user?.email
+      ? pending.filter(notification =>
+        (notification.mandatory || prefs.accepts(notification.category)) &&
+        !lostGoals.has(notification.goalId?.toString()))
+      : [];
+    const deliverIds = new Set(deliver.map(notification => notification._id.toString()));
+    const skipped = pending.filter(notification => !deliverIds.has(notification._id.toString()));
+
+    if (skipped.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: skipped.map(notification => notification._id) } },
+        { emailStatus: 'skipped' }
+      );
+    }
+    if (deliver.length === 0) return { sent: 0, skipped: skipped.length };
+
+    const categories = [...new Set(deliver
+      .filter(notification => !notification.mandatory && EMAIL_CATEGORIES[notification.category])
+      .map(notification => notification.category))];
+
+    await emailService.sendNotificationDigest(user, {
+      sections: await groupByGoal(deliver),
+      count: deliver.length,
+      frequency: prefs.frequency,
+      unsubscribeLinks: categories.map(category => ({
+        category,
+        url: this.unsubscribeUrl(userId, category)
+      })),
+      unsubscribeAllUrl: this.unsubscribeUrl(userId, 'all')
+    });
+
+    await Notification.updateMany(
+      { _id: { $in: deliver.map(notification => notification._id) } },
+      { emailStatus: 'sent', emailedAt: new Date() }
+    );
+
+    // Anything over the item limit goes out in the next batch
+    if (pending.length === maxDigestItems) {
+      await this.scheduleDigests(new Map([[userId.toString(), this.nextDigestTime('immediate')]]));
+    }
+
+    return { sent: deliver.length, skipped: skipped.length };
+  }
+
+  /**
+   * One-click unsubscribe link for a category, or "all" for every
+   * notification email
+   */
+  unsubscribeUrl(userId, category) {
+    const url = new URL('/api/notifications/unsubscribe', notificationsConfig.apiBaseUrl);
+    url.searchParams.set('token', jwtUtils.generateUnsubscribeToken(userId.toString(), category));
+    return url.toString();
+  }
+
+  /**
+   * Stop emailing a user a category of notifications, or any
+   * notification for "all". Waiting notifications the change covers are
+   * dropped from the next digest.
+   */
+  async unsubscribe(userId, category) {
+    if (category !== 'all' && !EMAIL_CATEGORIES[category]) {
+      const error = new Error('Unknown notification category');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const update = category === 'all'
+      ? { $set: { 'notificationPrefs.email.enabled': false } }
+      : { $addToSet: { 'notificationPrefs.email.unsubscribedCategories': category } };
+
+    await UserSettings.findOneAndUpdate({ userId }, update, { upsert: true, setDefaultsOnInsert: true });
+
+    const pending = { userId, emailStatus: 'pending', mandatory: false };
+    if (category !== 'all') pending.category = category;
+    await Notification.updateMany(pending, { emailStatus: 'skipped' });
+  }
+}
+
+/**
+ * Ids of the goals behind waiting notifications that the user can no
+ * longer open
+ */
+async function inaccessibleGoals(userId, notifications) {
+  const goalIds = [...new Set(notifications
+    .filter(notification => notification.goalId && !OUTSIDER_TYPES.includes(notification.type))
+    .map(notification => notification.goalId.toString()))];
+
+  const access = await Promise.all(goalIds.map(goalId => canAccessGoal(goalId, userId)));
+  return new Set(goalIds.filter((goalId, index) => !access[index]));
+}
+
+/**
+ * A user's email preferences, with schema defaults when they have no
+ * settings yet
+ */
+function emailPrefs(settings) {
+  const email = settings?.notificationPrefs?.email || {};
+  const enabled = email.enabled !== false;
+  const frequency = email.frequency || 'daily';
+  const unsubscribed = email.unsubscribedCategories || [];
+
+  return {
+    frequency,
+    accepts: category => enabled && frequency !== 'never' && !unsubscribed.includes(category)
+  };
+}
+
+/**
+ * Digest sections: one per goal in order of its first notification, with
+ * notifications outside any goal (or of a deleted one) in an untitled
+ * section
+ */
+async function groupByGoal(notifications) {
+  const goalIds = [...new Set(notifications.filter(n => n.goalId).map(n => n.goalId.toString()))];
+  const goals = await Goal.find({ _id: { $in: goalIds } }).select('title');
+  const titles = new Map(goals.map(goal => [goal._id.toString(), goal.title]));
+
+  const sections = new Map();
+  notifications.forEach(notification => {
+    const key = notification.goalId ? notification.goalId.toString() : 'general';
+    if (!sections.has(key)) {
+      sections.set(key, {
+        goalId: notification.goalId,
+        title: notification.goalId ? titles.get(key) || null : null,
+        link: notification.goalId ? `/goals/${key}` : null,
+        items: []
+      });
+    }
+    sections.get(key).items.push({
+      type: notification.type,
+      category: notification.category,
+      title: notification.title,
+      message: notification.message,
+      link: notification.link,
+      createdAt: notification.createdAt
+    });
+  });
+
+  return [...sections.values()];
+}
+
+export default new DigestService();
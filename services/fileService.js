@@ -0,0 +1,142 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import TaskFile from '../models/TaskFile.js';
+import storageConfig from '../config/storage.js';
+import { getStorage } from './storage/index.js';
+import previewService from './previewService.js';
+import usageService from './usageService.js';
+import { sniffFile, BLOCKED_MIME_TYPES } from '../utils/mime.js';
+
+class FileService {
+  /**
+   * Store uploaded temp files for a task (and optionally a comment) and
+   * record them as TaskFile documents. Every file is sniffed and the
+   * quotas checked before any is stored, so a rejected file fails the
+   * whole upload.
+   */
+  async storeUploads(uploads, { task, goal = null, commentId = null, uploader }) {
+    const sniffed = await Promise.all(uploads.map(async (upload) => {
+      const fileType = await sniffFile(upload.path, upload.originalname);
+      if (BLOCKED_MIME_TYPES.includes(fileType)) {
+        throw fileError(415, `${upload.originalname} is a ${fileType} file, which cannot be attached`);
+      }
+      return { upload, fileType };
+    }));
+
+    const bytes = uploads.reduce((total, upload) => total + upload.size, 0);
+    await usageService.assertCanStore({ user: uploader, goal, bytes });
+
+    const storage = getStorage();
+    const files = [];
+
+    try {
+      for (const { upload, fileType } of sniffed) {
+        const storageKey = buildStorageKey(task._id, upload.originalname);
+        await storage.put(storageKey, upload.path, { contentType: fileType, size: upload.size });
+
+        const file = new TaskFile({
+          taskId: task._id,
+          goalId: task.goalId || null,
+          commentId,
+          uploaderId: uploader._id,
+          fileName: upload.originalname,
+          fileType,
+          size: upload.size,
+          storageDriver: storage.name,
+          storageKey,
+          previewStatus: previewService.isPreviewable(fileType) ? 'pending' : 'none'
+        });
+        file.fileUrl = `/api/tasks/${task._id}/files/${file._id}`;
+        await file.save();
+        files.push(file);
+      }
+    } catch (error) {
+      // Undo the files stored so far so a failed upload leaves nothing behind
+      await Promise.all(files.map(async (file) => {
+        await storage.delete(file.storageKey).catch(() => {});
+        await TaskFile.deleteOne({ _id: file._id });
+      }));
+      await TaskFile.updateTaskAttachmentsCount(task._id);
+      throw error;
+    }
+
+    files.forEach(file => previewService.schedule(file));
+
+    return files;
+  }
+
+  /**
+   * Remove the stored blobs of files deleted before the cutoff. The
+   * TaskFile records stay, marked as purged.
+   */
+  async purgeDeletedFiles(deletedBefore, batchSize = 100) {
+    const files = await TaskFile.findPurgeable(deletedBefore).limit(batchSize);
+    let purged = 0;
+
+    for (const file of files) {
+      try {
+        const storage = getStorage(file.storageDriver);
+        const keys = [file.storageKey, ...file.thumbnails.map(thumbnail => thumbnail.storageKey)];
+        await Promise.all(keys.map(key => storage.delete(key)));
+
+        file.purgedAt = new Date();
+        await file.save();
+        purged++;
+      } catch (error) {
+        console.error(`Failed to purge file ${file._id}:`, error.message);
+      }
+    }
+
+    return { purged, failed: files.length - purged };
+  }
+
+  /**
+   * Create a time-limited download link for a file
+   */
+  async getDownloadUrl(file) {
+    const expiresIn = storageConfig.signedUrlTtlSeconds;
+    const url = await getStorage(file.storageDriver).getDownloadUrl(file.storageKey, {
+      fileName: file.fileName,
+      contentType: file.fileType,
+      expiresIn
+    });
+
+    return {
+      url,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  /**
+   * Create a time-limited link to one of a file's thumbnails
+   */
+  async getThumbnailUrl(file, thumbnail) {
+    const expiresIn = storageConfig.signedUrlTtlSeconds;
+    const baseName = path.basename(file.fileName, path.extname(file.fileName));
+
+    return getStorage(file.storageDriver).getDownloadUrl(thumbnail.storageKey, {
+      fileName: `${baseName}-${thumbnail.size}.webp`,
+      contentType: thumbnail.fileType,
+      expiresIn
+    });
+  }
+}
+
+/**
+ * Storage key grouping a task's files, keeping the original extension
+ */
+function buildStorageKey(taskId, fileName) {
+  const extension = path.extname(fileName).toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+  return `tasks/${taskId}/${randomUUID()}${extension}`;
+}
+
+/**
+ * Build an error carrying an HTTP status
+ */
+function fileError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export default new FileService();
@@ -0,0 +1,217 @@
+import Goal from '../models/Goal.js';
+import GoalSetting from '../models/GoalSetting.js';
+import Task from '../models/Task.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hours assumed for open tasks when no task in the goal has an estimate
+const DEFAULT_TASK_HOURS = 1;
+
+// Slack below this many hours counts as none
+const EPSILON = 1e-6;
+
+class ForecastService {
+  /**
+   * Schedule forecast for a goal. Each open task takes its remaining
+   * estimate (estimatedHours less timeSpent, kept in minutes); tasks
+   * without an estimate take the goal's average. A critical path pass
+   * over the goal's dependencies gives each task its earliest start and
+   * finish, in work hours from now, and its slack: how far it can slip
+   * without delaying the goal. Work hours become dates at the goal's weekly time
+   * commitment, which also bounds the whole goal by its total remaining
+   * work. Without a commitment only hours are returned.
+   */
+  async forecastGoal(goal, { now = new Date() } = {}) {
+    const tasks = await Task.find({ goalId: goal._id, deletedAt: null })
+      .select('title status archived estimatedHours timeSpent startDate dueDate blockedBy');
+    const active = tasks.filter(task => task.status === 'completed' || !task.archived);
+
+    const hoursPerDay = goal.weeklyTimeCommitment > 0 ? goal.weeklyTimeCommitment / 7 : null;
+    const toDate = hours => (hoursPerDay ? new Date(now.getTime() + (hours / hoursPerDay) * DAY_MS) : null);
+    const toHours = date => (hoursPerDay && date > now ? ((date - now) / DAY_MS) * hoursPerDay : 0);
+
+    const fallbackHours = averageEstimate(active);
+    const nodes = new Map(active.map(task => {
+      const done = task.status === 'completed';
+      const estimated = task.estimatedHours > 0;
+      const estimate = estimated ? task.estimatedHours : fallbackHours;
+      return [task._id.toString(), {
+        task,
+        done,
+        estimated,
+        duration: done ? 0 : Math.max(estimate - (task.timeSpent || 0) / 60, 0),
+        // A future start date holds the task back
+        notBefore: done ? 0 : toHours(task.startDate),
+        predecessors: [],
+        successors: []
+      }];
+    }));
+
+    nodes.forEach((node, id) => {
+      node.task.blockedBy.forEach(({ taskId }) => {
+        const predecessor = nodes.get(taskId.toString());
+        if (!predecessor) return;
+        node.predecessors.push(predecessor);
+        predecessor.successors.push(node);
+      });
+      node.id = id;
+    });
+
+    const order = topologicalOrder([...nodes.values()]);
+
+    // Forward pass: earliest start and finish
+    order.forEach(node => {
+      node.earliestStart = Math.max(node.notBefore, ...node.predecessors.map(p => p.earliestFinish ?? 0));
+      node.earliestFinish = node.earliestStart + node.duration;
+    });
+    const pathHours = Math.max(0, ...order.map(node => node.earliestFinish));
+
+    // Backward pass: latest finish and slack
+    [...order].reverse().forEach(node => {
+      node.latestFinish = Math.min(pathHours, ...node.successors.map(s => s.latestStart ?? pathHours));
+      node.latestStart = node.latestFinish - node.duration;
+      node.slack = Math.max(node.latestStart - node.earliestStart, 0);
+    });
+
+    const open = order.filter(node => !node.done);
+    const remainingHours = open.reduce((sum, node) => sum + node.duration, 0);
+    const projectedHours = Math.max(pathHours, remainingHours);
+    const projectedCompletion = open.length === 0 ? now : toDate(projectedHours);
+
+    const criticalPath = open
+      .filter(node => node.slack < EPSILON && node.duration > 0)
+      .sort((a, b) => a.earliestStart - b.earliestStart)
+      .map(node => node.id);
+
+    const taskForecasts = open.map(node => {
+      const projectedFinish = toDate(node.earliestFinish);
+      return {
+        taskId: node.id,
+        title: node.task.title,
+        remainingHours: round(node.duration),
+        estimated: node.estimated,
+        earliestStartHours: round(node.earliestStart),
+        earliestFinishHours: round(node.earliestFinish),
+        slackHours: round(node.slack),
+        critical: criticalPath.includes(node.id),
+        projectedStart: toDate(node.earliestStart),
+        projectedFinish,
+        dueDate: node.task.dueDate || null,
+        pastDue: Boolean(node.task.dueDate && projectedFinish && projectedFinish > node.task.dueDate)
+      };
+    });
+
+    const behindSchedule = Boolean(goal.deadline && projectedCompletion && projectedCompletion > goal.deadline);
+
+    return {
+      goalId: goal._id,
+      generatedAt: now,
+      weeklyTimeCommitment: goal.weeklyTimeCommitment || null,
+      deadline: goal.deadline || null,
+      remainingHours: round(remainingHours),
+      criticalPathHours: round(pathHours),
+      projectedCompletion,
+      behindSchedule,
+      daysPastDeadline: behindSchedule ? Math.ceil((projectedCompletion - goal.deadline) / DAY_MS) : 0,
+      criticalPath,
+      tasks: taskForecasts,
+      unestimatedTasks: open.filter(node => !node.estimated).length,
+      pastDueTasks: taskForecasts.filter(task => task.pastDue).length
+    };
+  }
+
+  /**
+   * The status a goal's forecast would move it to, when its settings ask
+   * for that. Completed and archived goals are left alone. Returns null
+   * when the status would not change.
+   */
+  async forecastStatus(goal, forecast) {
+    if (!['on_track', 'behind'].includes(goal.status) || !forecast.projectedCompletion) return null;
+
+    const settings = await GoalSetting.findOne({ goalId: goal._id }).select('autoMarkBehind');
+    if (!settings?.autoMarkBehind) return null;
+
+    const status = forecast.behindSchedule ? 'behind' : 'on_track';
+    return goal.status === status ? null : status;
+  }
+
+  /**
+   * Move a goal between on_track and behind to match its forecast.
+   * Returns the new status, or null when it did not change.
+   */
+  async applyForecastStatus(goal, forecast, changedBy = goal.ownerId) {
+    const status = await this.forecastStatus(goal, forecast);
+    if (!status) return null;
+
+    goal.addAuditLog('updated', changedBy, { status: { from: goal.status, to: status } }, {
+      reason: 'forecast',
+      projectedCompletion: forecast.projectedCompletion
+    });
+    goal.status = status;
+    await goal.save();
+    return status;
+  }
+
+  /**
+   * Forecast every active goal that follows its forecast and update its
+   * status
+   */
+  async updateGoalStatuses(now = new Date()) {
+    const goalIds = await GoalSetting.find({ autoMarkBehind: true }).distinct('goalId');
+    const goals = await Goal.find({
+      _id: { $in: goalIds },
+      deletedAt: null,
+      archived: false,
+      status: { $in: ['on_track', 'behind'] }
+    });
+
+    let changed = 0;
+    for (const goal of goals) {
+      try {
+        const forecast = await this.forecastGoal(goal, { now });
+        if (await this.applyForecastStatus(goal, forecast)) changed++;
+      } catch (error) {
+        console.error(`Failed to forecast goal ${goal._id}:`, error.message);
+      }
+    }
+
+    return { checked: goals.length, changed };
+  }
+}
+
+/**
+ * Average estimate of the goal's estimated tasks, used for the rest
+ */
+function averageEstimate(tasks) {
+  const estimates = tasks.filter(task => task.estimatedHours > 0).map(task => task.estimatedHours);
+  if (estimates.length === 0) return DEFAULT_TASK_HOURS;
+  return estimates.reduce((sum, hours) => sum + hours, 0) / estimates.length;
+}
+
+/**
+ * Nodes ordered so each comes after its predecessors. Dependencies cannot
+ * form cycles, but any that slipped through are appended as they are.
+ */
+function topologicalOrder(nodes) {
+  const waiting = new Map(nodes.map(node => [node, node.predecessors.length]));
+  const ready = nodes.filter(node => node.predecessors.length === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    const node = ready.shift();
+    order.push(node);
+    node.successors.forEach(successor => {
+      waiting.set(successor, waiting.get(successor) - 1);
+      if (waiting.get(successor) === 0) ready.push(successor);
+    });
+  }
+
+  const placed = new Set(order);
+  return [...order, ...nodes.filter(node => !placed.has(node))];
+}
+
+function round(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+export default new ForecastService();
@@ -0,0 +1,346 @@
+import Job from '../models/Job.js';
+import jobsConfig from '../config/jobs.js';
+import { nextCronTime, parseCron } from '../utils/cron.js';
+
+// Fields that return a job to a clean, unlocked state
+const UNLOCKED = { lockedBy: null, lockedAt: null, lockExpiresAt: null };
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.stopping = false;
+  }
+
+  /**
+   * Register the handler for a job name. Options (priority, maxAttempts,
+   * backoff) become the defaults for jobs of that name.
+   */
+  define(name, handler, options = {}) {
+    this.handlers.set(name, { handler, options });
+  }
+
+  /**
+   * Queue a job to run once, now or at `runAt` / after `delayMs`. With a
+   * `uniqueKey`, a waiting job with the same key is replaced.
+   */
+  async enqueue(name, data = {}, options = {}) {
+    const runAt = options.runAt
+      ? new Date(options.runAt)
+      : new Date(Date.now() + (options.delayMs || 0));
+
+    const fields = {
+      ...this.jobDefaults(name, options),
+      name,
+      data,
+      runAt,
+      repeat: { cron: null, timeZone: 'UTC' }
+    };
+
+    return options.uniqueKey ? upsertUnique(options.uniqueKey, fields) : Job.create(fields);
+  }
+
+  /**
+   * Run a job on a cron schedule. The schedule is stored once per key, so
+   * every instance can call this on startup; an unchanged schedule keeps
+   * its next run time and any pause set from the admin view.
+   */
+  async schedule(name, cron, data = {}, options = {}) {
+    parseCron(cron);
+
+    const timeZone = options.timeZone || jobsConfig.timeZone;
+    const uniqueKey = options.uniqueKey || `cron:${name}`;
+    const defaults = this.jobDefaults(name, options);
+
+    const existing = await Job.findOne({ uniqueKey });
+    if (existing && existing.repeat?.cron === cron && existing.repeat.timeZone === timeZone) {
+      await Job.updateOne({ _id: existing._id }, {
+        data,
+        priority: defaults.priority,
+        maxAttempts: defaults.maxAttempts,
+        backoff: defaults.backoff
+      });
+      return existing;
+    }
+
+    return upsertUnique(uniqueKey, {
+      ...defaults,
+      name,
+      data,
+      runAt: nextCronTime(cron, new Date(), timeZone),
+      repeat: { cron, timeZone }
+    });
+  }
+
+  /**
+   * Cancel the waiting job with a unique key
+   */
+  async cancelByKey(uniqueKey) {
+    const result = await Job.updateOne(
+      { uniqueKey, status: 'queued' },
+      { status: 'cancelled', finishedAt: new Date() }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Cancel a waiting job. Running jobs cannot be cancelled.
+   */
+  cancel(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { status: 'cancelled', finishedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Queue a failed or cancelled job again with a fresh set of attempts
+   */
+  retry(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+      { status: 'queued', runAt: new Date(), attempts: 0, finishedAt: null, ...UNLOCKED },
+      { new: true }
+    );
+  }
+
+  /**
+   * Move a waiting job's run time to now
+   */
+  runNow(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { runAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Delete one-off jobs that finished before a date
+   */
+  async prune(finishedBefore) {
+    const result = await Job.deleteMany({
+      status: { $in: ['completed', 'failed', 'cancelled'] },
+      finishedAt: { $lt: finishedBefore },
+      'repeat.cron': null
+    });
+    return result.deletedCount;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.stopping = false;
+    this.timer = setInterval(() => this.poll(), jobsConfig.pollIntervalMs).unref();
+    this.poll();
+    console.log(`⚙️  Job worker ${jobsConfig.workerId} started`);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled(this.running.values());
+  }
+
+  /**
+   * Claim and start due jobs until the worker is at capacity
+   */
+  async poll() {
+    if (this.polling || this.stopping) return;
+    this.polling = true;
+
+    try {
+      while (!this.stopping && this.running.size < jobsConfig.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const id = job._id.toString();
+        const execution = this.execute(job).finally(() => {
+          this.running.delete(id);
+          // A slot is free: look for more work without waiting for the timer
+          setImmediate(() => this.poll());
+        });
+        this.running.set(id, execution);
+      }
+    } catch (error) {
+      console.error('Job poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Lock the next due job, or one whose previous worker stopped
+   * renewing its lock
+   */
+  claimNext() {
+    const names = [...this.handlers.keys()];
+    if (names.length === 0) return null;
+
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: names },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: jobsConfig.workerId,
+          lockedAt: now,
+          lockExpiresAt: new Date(now.getTime() + jobsConfig.lockTtlMs),
+          startedAt: now,
+          finishedAt: null
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job, renewing its lock until the handler settles
+   */
+  async execute(job) {
+    const { handler } = this.handlers.get(job.name);
+
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, lockedBy: jobsConfig.workerId },
+        { lockExpiresAt: new Date(Date.now() + jobsConfig.lockTtlMs) }
+      ).catch(error => console.error(`Job ${job._id} lock renewal failed:`, error.message));
+    }, Math.max(1000, Math.floor(jobsConfig.lockTtlMs / 3))).unref();
+
+    try {
+      const result = await handler(job.data || {}, job);
+      await this.recordSuccess(job, result);
+    } catch (error) {
+      await this.recordFailure(job, error).catch(recordError => {
+        console.error(`Job ${job._id} failure could not be recorded:`, recordError);
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async recordSuccess(job, result) {
+    const now = new Date();
+    const update = {
+      ...UNLOCKED,
+      lastRunAt: now,
+      finishedAt: now,
+      result: result === undefined ? null : result,
+      lastError: null
+    };
+
+    if (job.repeat?.cron) {
+      Object.assign(update, { status: 'queued', attempts: 0, runAt: nextRun(job, now) });
+    } else {
+      update.status = 'completed';
+    }
+
+    await Job.updateOne({ _id: job._id, lockedBy: jobsConfig.workerId }, update);
+  }
+
+  async recordFailure(job, error) {
+    const now = new Date();
+    const message = error?.message || String(error);
+    const update = {
+      $set: { ...UNLOCKED, lastRunAt: now, lastError: message },
+      $push: {
+        errorHistory: {
+          $each: [{
+            attempt: job.attempts,
+            message,
+            stack: error?.stack?.slice(0, 4000) || null,
+            workerId: jobsConfig.workerId,
+            at: now
+          }],
+          $slice: -Job.MAX_ERROR_HISTORY
+        }
+      }
+    };
+
+    if (job.attempts < job.maxAttempts) {
+      Object.assign(update.$set, {
+        status: 'queued',
+        runAt: new Date(now.getTime() + backoffDelay(job.backoff, job.attempts))
+      });
+    } else if (job.repeat?.cron) {
+      // A recurring job that ran out of attempts waits for its next slot
+      Object.assign(update.$set, { status: 'queued', attempts: 0, finishedAt: now, runAt: nextRun(job, now) });
+    } else {
+      Object.assign(update.$set, { status: 'failed', finishedAt: now });
+    }
+
+    console.error(`Job ${job.name} (${job._id}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, message);
+    await Job.updateOne({ _id: job._id, lockedBy: jobsConfig.workerId }, update);
+  }
+
+  /**
+   * Priority, attempts and backoff for a new job from the call options,
+   * then the handler's defaults, then the queue config
+   */
+  jobDefaults(name, options) {
+    const defaults = this.handlers.get(name)?.options || {};
+
+    return {
+      status: 'queued',
+      priority: options.priority ?? defaults.priority ?? 0,
+      maxAttempts: options.maxAttempts ?? defaults.maxAttempts ?? jobsConfig.maxAttempts,
+      backoff: { ...jobsConfig.backoff, ...defaults.backoff, ...options.backoff },
+      attempts: 0,
+      result: null,
+      lastError: null,
+      errorHistory: [],
+      startedAt: null,
+      finishedAt: null,
+      ...UNLOCKED
+    };
+  }
+}
+
+/**
+ * Insert or replace the job holding a unique key. A running job is left
+ * alone and returned as is.
+ */
+async function upsertUnique(uniqueKey, fields) {
+  try {
+    return await Job.findOneAndUpdate(
+      { uniqueKey, status: { $ne: 'running' } },
+      { $set: fields },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Job.findOne({ uniqueKey });
+  }
+}
+
+/**
+ * Wait before the next attempt, doubling per attempt for exponential backoff
+ */
+function backoffDelay(backoff = {}, attempt) {
+  const { strategy = 'exponential', delayMs = 0, maxDelayMs = Infinity } = backoff;
+  const delay = strategy === 'fixed' ? delayMs : delayMs * 2 ** (attempt - 1);
+  return Math.min(delay, maxDelayMs);
+}
+
+function nextRun(job, after) {
+  return nextCronTime(job.repeat.cron, after, job.repeat.timeZone);
+}
+
+export default new JobQueue();
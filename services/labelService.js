@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import Goal from '../models/Goal.js';
+import GoalLabel from '../models/GoalLabel.js';
+import Task from '../models/Task.js';
+import boardService from './boardService.js';
+
+class LabelService {
+  /**
+   * A goal's labels with the number of active tasks using each
+   */
+  async getLabels(goalId) {
+    const [labels, usage] = await Promise.all([
+      GoalLabel.findByGoal(goalId),
+      Task.aggregate([
+        { $match: { goalId: new mongoose.Types.ObjectId(goalId), deletedAt: null } },
+        { $unwind: '$labels' },
+        { $group: { _id: '$labels', taskCount: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(usage.map(entry => [entry._id.toString(), entry.taskCount]));
+    return labels.map(label => ({
+      ...label.toJSON(),
+      taskCount: counts.get(label._id.toString()) || 0
+    }));
+  }
+
+  /**
+   * Create a label and add it to the goal's label set
+   */
+  async createLabel(goal, data, createdBy) {
+    await assertNameAvailable(goal._id, data.name);
+
+    const label = await GoalLabel.create({ ...data, goalId: goal._id, createdBy });
+    await Goal.updateOne({ _id: goal._id }, { $addToSet: { labels: label._id } });
+
+    return label;
+  }
+
+  /**
+   * Update a label's name, color or icon
+   */
+  async updateLabel(label, data) {
+    if (data.name !== undefined) {
+      await assertNameAvailable(label.goalId, data.name, label._id);
+    }
+
+    Object.assign(label, data);
+    return label.save();
+  }
+
+  /**
+   * Delete a label and remove it from every task and the goal
+   */
+  async deleteLabel(label) {
+    await boardService.runInTransaction(async (session) => {
+      await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } }, { session });
+      await Goal.updateOne({ _id: label.goalId }, { $pull: { labels: label._id } }, { session });
+      await GoalLabel.deleteOne({ _id: label._id }, { session });
+    });
+  }
+
+  /**
+   * Merge one label into another: tasks carrying the source get the
+   * target instead, then the source is deleted
+   */
+  async mergeLabels(source, target) {
+    let tasksUpdated = 0;
+
+    await boardService.runInTransaction(async (session) => {
+      const result = await Task.updateMany(
+        { labels: source._id },
+        { $addToSet: { labels: target._id } },
+        { session }
+      );
+      await Task.updateMany({ labels: source._id }, { $pull: { labels: source._id } }, { session });
+      await Goal.updateOne({ _id: source.goalId }, { $pull: { labels: source._id } }, { session });
+      await GoalLabel.deleteOne({ _id: source._id }, { session });
+
+      tasksUpdated = result.matchedCount;
+    });
+
+    return { label: target, tasksUpdated };
+  }
+
+  /**
+   * Copy a goal's labels into another goal. Labels whose name already
+   * exists in the target goal are skipped.
+   */
+  async copyLabels(sourceGoalId, targetGoal, copiedBy) {
+    const [sourceLabels, targetLabels] = await Promise.all([
+      GoalLabel.findByGoal(sourceGoalId),
+      GoalLabel.findByGoal(targetGoal._id)
+    ]);
+
+    const existingNames = new Set(targetLabels.map(label => label.name.toLowerCase()));
+    const toCreate = sourceLabels.filter(label => !existingNames.has(label.name.toLowerCase()));
+
+    const created = toCreate.length > 0
+      ? await GoalLabel.insertMany(toCreate.map(label => ({
+        goalId: targetGoal._id,
+        name: label.name,
+        color: label.color,
+        icon: label.icon,
+        createdBy: copiedBy
+      })))
+      : [];
+
+    if (created.length > 0) {
+      await Goal.updateOne(
+        { _id: targetGoal._id },
+        { $addToSet: { labels: { $each: created.map(label => label._id) } } }
+      );
+    }
+
+    return {
+      created,
+      skipped: sourceLabels.length - created.length
+    };
+  }
+
+  /**
+   * Explain why label ids cannot be set on a task of the goal, or return null
+   */
+  async validateTaskLabels(goalId, labelIds) {
+    if (!Array.isArray(labelIds)) return 'Labels must be an array';
+    if (labelIds.length === 0) return null;
+    if (!goalId) return 'Labels can only be used on goal tasks';
+    if (labelIds.some(id => !mongoose.isValidObjectId(id))) return 'Invalid label id';
+
+    const uniqueIds = [...new Set(labelIds.map(String))];
+    const count = await GoalLabel.countDocuments({ _id: { $in: uniqueIds }, goalId });
+    return count === uniqueIds.length ? null : 'Labels must belong to this goal';
+  }
+}
+
+/**
+ * Reject a label name already used in the goal, ignoring case
+ */
+async function assertNameAvailable(goalId, name, excludeId = null) {
+  if (typeof name !== 'string' || !name.trim()) return;
+
+  const existing = await GoalLabel.findByName(goalId, name, excludeId);
+  if (existing) {
+    const error = new Error(`A label named "${existing.name}" already exists in this goal`);
+    error.statusCode = 409;
+    throw error;
+  }
+}
+
+export default new LabelService();
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import GoalMember from '../models/GoalMember.js';
+import Task from '../models/Task.js';
+import notificationService from './notificationService.js';
+
+class MembershipService {
+  /**
+   * Add a user to a goal, creating a membership or reactivating a
+   * previous one (left or removed). Records the join on both the
+   * membership and the goal audit logs.
+   */
+  async joinGoal(goal, userId, role, { invitedBy = null, metadata = {} } = {}) {
+    if (goal.visibility === 'private') {
+      throw membershipError(403, 'This goal is private and is not accepting members');
+    }
+
+    let membership = await GoalMember.findOne({ goalId: goal._id, userId });
+
+    if (membership && !membership.deletedAt && membership.status === 'active') {
+      throw membershipError(409, 'You are already a member of this goal');
+    }
+
+    if (membership && !membership.deletedAt && membership.status === 'suspended') {
+      throw membershipError(403, 'Your membership in this goal is suspended');
+    }
+
+    if (membership) {
+      if (invitedBy) {
+        membership.invitedBy = invitedBy;
+        membership.addAuditLog('invited', invitedBy, { role }, metadata);
+      }
+      await membership.rejoin(role, userId, metadata);
+    } else {
+      membership = new GoalMember({
+        goalId: goal._id,
+        userId,
+        role,
+        invitedBy
+      });
+      if (invitedBy) {
+        membership.addAuditLog('invited', invitedBy, { role }, metadata);
+      }
+      membership.addAuditLog('joined', userId, { role }, metadata);
+      await membership.save();
+    }
+
+    goal.addAuditLog('member_added', userId, { userId, role }, metadata);
+    await goal.save();
+
+    await notificationService.notifyMemberJoined(goal, membership);
+
+    return membership;
+  }
+
+  /**
+   * Take a member out of a goal, either because they left or because a
+   * manager removed them. They stop watching the goal's tasks, and the
+   * departure is recorded on the goal audit log.
+   */
+  async departGoal(goal, membership, by, { reason = 'removed' } = {}) {
+    if (reason === 'left') {
+      await membership.leave(by);
+    } else {
+      await membership.remove(by);
+    }
+
+    await Task.updateMany(
+      { goalId: goal._id, watchers: membership.userId },
+      { $pull: { watchers: membership.userId } }
+    );
+
+    goal.addAuditLog('member_removed', by, { userId: membership.userId, role: membership.role }, { reason });
+    await goal.save();
+
+    return membership;
+  }
+
+  /**
+   * Hand a goal over to another active member. The current owner is demoted
+   * to admin before the new owner is promoted, all in one transaction, so
+   * the one-owner-per-goal rule holds at every step.
+   */
+  async transferOwnership(goal, newOwnerMembership, transferredBy) {
+    const previousOwnerId = goal.ownerId;
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const currentOwner = await GoalMember.findOne({
+          goalId: goal._id,
+          userId: previousOwnerId
+        }).session(session);
+
+        if (currentOwner) {
+          const previousRole = currentOwner.role;
+          currentOwner.applyRole('admin');
+          currentOwner.status = 'active';
+          currentOwner.deletedAt = null;
+          currentOwner.addAuditLog('role_changed', transferredBy, { from: previousRole, to: 'admin' }, { reason: 'ownership_transfer' });
+          await currentOwner.save({ session });
+        } else {
+          const demoted = new GoalMember({ goalId: goal._id, userId: previousOwnerId });
+          demoted.applyRole('admin');
+          demoted.addAuditLog('role_changed', transferredBy, { from: 'owner', to: 'admin' }, { reason: 'ownership_transfer' });
+          await demoted.save({ session });
+        }
+
+        const newOwner = await GoalMember.findById(newOwnerMembership._id).session(session);
+        if (!newOwner || !newOwner.isActive) {
+          throw membershipError(400, 'Ownership can only be transferred to an active member');
+        }
+
+        const previousRole = newOwner.role;
+        newOwner.applyRole('owner');
+        newOwner.addAuditLog('role_changed', transferredBy, { from: previousRole, to: 'owner' }, { reason: 'ownership_transfer' });
+        await newOwner.save({ session });
+
+        goal.ownerId = newOwner.userId;
+        goal.addAuditLog('updated', transferredBy, { ownerId: { from: previousOwnerId, to: newOwner.userId } }, { reason: 'ownership_transfer' });
+        await goal.save({ session });
+      });
+    } catch (error) {
+      // Leave the in-memory goal as it was if the transaction rolled back
+      goal.ownerId = previousOwnerId;
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return GoalMember.findById(newOwnerMembership._id);
+  }
+
+  /**
+   * Check whether a user is an active member of a goal
+   */
+  async isActiveMember(goalId, userId) {
+    const membership = await GoalMember.findOne({
+      goalId,
+      userId,
+      status: 'active',
+      deletedAt: null
+    });
+    return Boolean(membership);
+  }
+}
+
+/**
+ * Build an error carrying an HTTP status
+ */
+function membershipError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export default new MembershipService();
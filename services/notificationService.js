@@ -0,0 +1,305 @@
+import Notification, { OUTSIDER_TYPES } from '../models/Notification.js';
+import GoalMember from '../models/GoalMember.js';
+import User from '../models/User.js';
+import UserSettings from '../models/UserSettings.js';
+import { filterGoalAudience } from '../middleware/goalAccess.js';
+import digestService from './digestService.js';
+
+/**
+ * How each notification type is gated. `category` is the
+ * UserSettings.notificationPrefs entry a user can switch off (or a
+ * category of its own when there is no such entry), and `memberToggle`
+ * the GoalMember.notifications switch checked for goal notifications.
+ */
+export const NOTIFICATION_TYPES = {
+  task_assigned: { category: 'teamUpdates', memberToggle: 'taskAssigned' },
+  task_completed: { category: 'teamUpdates', memberToggle: 'taskCompleted' },
+  mention: { category: 'teamUpdates', memberToggle: 'mentions' },
+  goal_invite: { category: 'teamUpdates', memberToggle: null },
+  member_joined: { category: 'teamUpdates', memberToggle: 'newMember' },
+  goal_milestone: { category: 'goalMilestones', memberToggle: 'goalUpdated' },
+  security_alert: { category: 'deviceLoginAlerts', memberToggle: null },
+  task_reminder: { category: 'reminders', memberToggle: null },
+  daily_summary: { category: 'dailySummary', memberToggle: 'goalUpdated' }
+};
+
+class NotificationService {
+  /**
+   * Store and push a notification to each recipient who has not opted
+   * out of it, and queue it for the recipient's next email digest. The
+   * actor is skipped unless `includeActor` is set, and `mandatory`
+   * notifications ignore preferences. Never throws: a failed
+   * notification must not fail the action that caused it.
+   */
+  async notify(type, recipients, {
+    title,
+    message = '',
+    link = null,
+    goalId = null,
+    taskId = null,
+    actorId = null,
+    data = {},
+    includeActor = false,
+    mandatory = false
+  }) {
+    try {
+      const { category } = NOTIFICATION_TYPES[type];
+
+      let userIds = [...new Set(recipients.filter(Boolean).map(String))];
+      if (actorId && !includeActor) {
+        userIds = userIds.filter(id => id !== actorId.toString());
+      }
+      if (!mandatory) {
+        userIds = await this.filterRecipients(type, userIds, goalId);
+      }
+      if (userIds.length === 0) return [];
+
+      const emailPlan = await digestService.planEmails(type, category, userIds, { mandatory });
+
+      const notifications = await Notification.insertMany(userIds.map(userId => ({
+        userId,
+        type,
+        category,
+        title,
+        message,
+        link,
+        goalId,
+        taskId,
+        actorId,
+        data,
+        mandatory,
+        emailStatus: emailPlan.has(userId) ? 'pending' : 'none'
+      })));
+
+      notifications.forEach(notification => push(notification));
+      await digestService.scheduleDigests(emailPlan);
+      return notifications;
+    } catch (error) {
+      console.error(`Failed to send ${type} notification:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Drop recipients who can no longer open the notification's goal, who
+   * switched off the type's preference category or, for goal
+   * notifications, the matching per-goal toggle
+   */
+  async filterRecipients(type, userIds, goalId = null) {
+    if (goalId && !OUTSIDER_TYPES.includes(type)) {
+      userIds = await filterGoalAudience(goalId, userIds);
+    }
+    if (userIds.length === 0) return userIds;
+
+    const { category, memberToggle } = NOTIFICATION_TYPES[type];
+
+    const [optedOut, mutedMembers] = await Promise.all([
+      UserSettings.find({
+        userId: { $in: userIds },
+        [`notificationPrefs.${category}.enabled`]: false
+      }).select('userId'),
+      goalId && memberToggle
+        ? GoalMember.find({
+          goalId,
+          userId: { $in: userIds },
+          deletedAt: null,
+          [`notifications.${memberToggle}`]: false
+        }).select('userId')
+        : []
+    ]);
+
+    const excluded = new Set([...optedOut, ...mutedMembers].map(entry => entry.userId.toString()));
+    return userIds.filter(id => !excluded.has(id));
+  }
+
+  /**
+   * Mark some of a user's notifications read
+   */
+  async markRead(userId, ids) {
+    const updated = await Notification.markAllRead(userId, { ids });
+    await this.pushReadState(userId, { notificationIds: ids });
+    return updated;
+  }
+
+  /**
+   * Mark all of a user's notifications read, optionally only one goal's
+   */
+  async markAllRead(userId, { goalId = null } = {}) {
+    const updated = await Notification.markAllRead(userId, { goalId });
+    await this.pushReadState(userId, { all: true, goalId });
+    return updated;
+  }
+
+  /**
+   * Tell the user's other sessions what was read and the new unread count
+   */
+  async pushReadState(userId, details) {
+    if (!global.socketService) return;
+
+    const unreadCount = await Notification.countUnread(userId);
+    global.socketService.broadcastToUser(userId.toString(), 'notification:read', { ...details, unreadCount });
+  }
+
+  // Producers
+
+  /**
+   * A user was assigned to a task
+   */
+  notifyTaskAssigned(task, assigneeId, actor) {
+    return this.notify('task_assigned', [assigneeId], {
+      title: 'You were assigned a task',
+      message: `${actorName(actor)} assigned you to "${task.title}"`,
+      link: taskLink(task),
+      goalId: task.goalId,
+      taskId: task._id,
+      actorId: actor?._id
+    });
+  }
+
+  /**
+   * A task was completed: tell its creator, assignees and watchers
+   */
+  notifyTaskCompleted(task, actor) {
+    return this.notify('task_completed', [
+      task.createdBy,
+      ...task.assignees.map(assignee => assignee.userId),
+      ...task.watchers
+    ], {
+      title: 'Task completed',
+      message: `${actorName(actor)} completed "${task.title}"`,
+      link: taskLink(task),
+      goalId: task.goalId,
+      taskId: task._id,
+      actorId: actor?._id
+    });
+  }
+
+  /**
+   * Users were @mentioned in a comment
+   */
+  notifyMentions(comment, task, userIds, actor) {
+    return this.notify('mention', userIds, {
+      title: 'You were mentioned',
+      message: `${actorName(actor)} mentioned you on "${task.title}": ${excerpt(comment.content)}`,
+      link: `${taskLink(task)}?comment=${comment._id}`,
+      goalId: task.goalId,
+      taskId: task._id,
+      actorId: actor?._id,
+      data: { commentId: comment._id }
+    });
+  }
+
+  /**
+   * An existing user was invited to a goal
+   */
+  notifyGoalInvite(invite, goal, inviter, inviteeId) {
+    return this.notify('goal_invite', [inviteeId], {
+      title: 'Goal invitation',
+      message: `${actorName(inviter)} invited you to join "${goal.title}" as ${invite.role}`,
+      link: `/invites/${invite.token}`,
+      goalId: goal._id,
+      actorId: inviter?._id,
+      data: { inviteId: invite._id, role: invite.role, expiresAt: invite.expiresAt }
+    });
+  }
+
+  /**
+   * Someone joined a goal: tell its other active members
+   */
+  async notifyMemberJoined(goal, membership) {
+    const [memberIds, member] = await Promise.all([
+      findActiveMemberIds(goal._id),
+      User.findById(membership.userId).select('name username').catch(() => null)
+    ]);
+
+    return this.notify('member_joined', memberIds, {
+      title: 'New member',
+      message: `${actorName(member)} joined "${goal.title}" as ${membership.role}`,
+      link: `/goals/${goal._id}/members`,
+      goalId: goal._id,
+      actorId: membership.userId,
+      data: { role: membership.role }
+    });
+  }
+
+  /**
+   * A goal's progress crossed a milestone: tell its active members
+   */
+  async notifyGoalMilestone(goal, milestone) {
+    const memberIds = await findActiveMemberIds(goal._id);
+    const recipients = memberIds.length > 0 ? memberIds : [goal.ownerId];
+
+    const notifications = await this.notify('goal_milestone', recipients, {
+      title: milestone === 100 ? 'Goal completed!' : `${milestone}% milestone reached`,
+      message: `"${goal.title}" is ${milestone}% complete`,
+      link: `/goals/${goal._id}`,
+      goalId: goal._id,
+      data: { milestone, progress: goal.progress }
+    });
+
+    if (global.socketService) {
+      notifications.forEach(notification => {
+        global.socketService.sendGoalMilestone(notification.userId.toString(), {
+          goalId: goal._id,
+          title: goal.title,
+          milestone,
+          progress: goal.progress
+        });
+      });
+    }
+    return notifications;
+  }
+
+  /**
+   * Warn a user about activity on their account. Alerts the user cannot
+   * opt out of (such as a password reset) are sent as mandatory.
+   */
+  async notifySecurityAlert(userId, { alert, title, message, data = {} }, { mandatory = false } = {}) {
+    const notifications = await this.notify('security_alert', [userId], {
+      title,
+      message,
+      link: '/settings/security',
+      data: { alert, ...data },
+      includeActor: true,
+      mandatory
+    });
+
+    if (global.socketService && notifications.length > 0) {
+      global.socketService.sendSecurityAlert(userId.toString(), { alert, title, message, ...data });
+    }
+    return notifications;
+  }
+}
+
+/**
+ * Ids of a goal's active members, or none if they cannot be loaded
+ */
+async function findActiveMemberIds(goalId) {
+  try {
+    const members = await GoalMember.find({ goalId, status: 'active', deletedAt: null }).select('userId');
+    return members.map(member => member.userId);
+  } catch (error) {
+    console.error('Failed to load goal members for notification:', error);
+    return [];
+  }
+}
+
+function push(notification) {
+  if (!global.socketService) return;
+  global.socketService.sendNotificationToUser(notification.userId.toString(), notification.toJSON());
+}
+
+function taskLink(task) {
+  return task.goalId ? `/goals/${task.goalId}/tasks/${task._id}` : `/tasks/${task._id}`;
+}
+
+function actorName(user) {
+  return user?.name || user?.username || 'Someone';
+}
+
+function excerpt(text, length = 140) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+export default new NotificationService();
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { pipeline } from 'stream/promises';
+import sharp from 'sharp';
+import TaskFile from '../models/TaskFile.js';
+import storageConfig from '../config/storage.js';
+import { getStorage } from './storage/index.js';
+import jobQueue from './jobQueue.js';
+
+const execFileAsync = promisify(execFile);
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/tiff'];
+
+// Rendering a PDF page should never take longer than this
+const PDF_RENDER_TIMEOUT_MS = 30 * 1000;
+
+class PreviewService {
+  /**
+   * Whether thumbnails can be generated for a MIME type
+   */
+  isPreviewable(fileType) {
+    return IMAGE_TYPES.includes(fileType) || fileType === 'application/pdf';
+  }
+
+  /**
+   * Queue preview generation. Failures are recorded on the file and never
+   * reach the caller.
+   */
+  schedule(file) {
+    if (file.previewStatus !== 'pending') return;
+
+    jobQueue.enqueue('files.generatePreview', { fileId: file._id.toString() }, {
+      uniqueKey: `file-preview:${file._id}`
+    }).catch(error => {
+      console.error(`Could not queue preview generation for file ${file._id}:`, error.message);
+    });
+  }
+
+  /**
+   * Create thumbnails for a stored file and record them on the file
+   */
+  async generate(fileId) {
+    const file = await TaskFile.findById(fileId);
+    if (!file || file.isDeleted) return null;
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'goalsync-preview-'));
+    const storage = getStorage(file.storageDriver);
+    const stored = [];
+
+    try {
+      const sourcePath = path.join(workDir, 'source');
+      await pipeline(await storage.createReadStream(file.storageKey), fs.createWriteStream(sourcePath));
+
+      const imagePath = file.fileType === 'application/pdf'
+        ? await renderPdfFirstPage(sourcePath, workDir)
+        : sourcePath;
+
+      const metadata = await sharp(imagePath).metadata();
+      const thumbnails = [];
+
+      for (const [size, options] of Object.entries(storageConfig.previewSizes)) {
+        const outputPath = path.join(workDir, `${size}.webp`);
+        const info = await sharp(imagePath)
+          .rotate()
+          .resize({ ...options, withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toFile(outputPath);
+
+        const storageKey = `${file.storageKey}.thumb-${size}.webp`;
+        await storage.put(storageKey, outputPath, { contentType: 'image/webp', size: info.size });
+        stored.push(storageKey);
+
+        thumbnails.push({
+          size,
+          width: info.width,
+          height: info.height,
+          bytes: info.size,
+          fileType: 'image/webp',
+          storageKey,
+          url: `/api/tasks/${file.taskId}/files/${file._id}/thumbnails/${size}`
+        });
+      }
+
+      // EXIF orientation 5-8 means the stored pixels are rotated a quarter turn
+      const rotated = metadata.orientation >= 5;
+      file.width = rotated ? metadata.height : metadata.width;
+      file.height = rotated ? metadata.width : metadata.height;
+      file.thumbnails = thumbnails;
+      file.previewUrl = thumbnails.find(thumbnail => thumbnail.size === 'medium')?.url || null;
+      file.previewStatus = 'ready';
+      file.previewError = null;
+      file.previewGeneratedAt = new Date();
+      await file.save();
+
+      return file;
+    } catch (error) {
+      await Promise.all(stored.map(key => storage.delete(key).catch(() => {})));
+
+      file.previewStatus = 'failed';
+      file.previewError = error.message.slice(0, 500);
+      file.previewGeneratedAt = new Date();
+      await file.save();
+
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Render the first page of a PDF to PNG with pdftoppm
+ */
+async function renderPdfFirstPage(pdfPath, workDir) {
+  const outputBase = path.join(workDir, 'page');
+
+  try {
+    await execFileAsync(storageConfig.pdftoppmPath, [
+      '-png', '-f', '1', '-l', '1', '-singlefile', '-r', '110', pdfPath, outputBase
+    ], { timeout: PDF_RENDER_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('PDF previews are unavailable: pdftoppm is not installed');
+    }
+    throw new Error(`Could not render PDF preview: ${error.message}`);
+  }
+
+  return `${outputBase}.png`;
+}
+
+export default new PreviewService();
@@ -0,0 +1,272 @@
+import ChecklistItem from '../models/ChecklistItem.js';
+import Task from '../models/Task.js';
+import boardService from './boardService.js';
+import notificationService from './notificationService.js';
+import { expandRRule, formatRRule, nextOccurrence, parseRRule } from '../utils/rrule.js';
+import { getUserTimeZones } from '../utils/timezone.js';
+
+// Fields each occurrence copies from the one before it
+export const SERIES_FIELDS = ['title', 'description', 'priority', 'startDate', 'dueDate', 'estimatedHours', 'labels', 'watchers'];
+
+// How far an edit to a recurring task reaches
+export const EDIT_SCOPES = ['this', 'following'];
+
+const RULE_FIELDS = ['repeat', 'recurrencePattern'];
+const DATE_FIELDS = ['startDate', 'dueDate'];
+
+// Latest due date the task and checklist models accept
+const MAX_DUE_MS = 365 * 24 * 60 * 60 * 1000;
+
+class RecurrenceService {
+  /**
+   * Create the occurrence that follows a completed recurring task: the
+   * first one the rule schedules after both this occurrence and now, so
+   * missed occurrences are skipped. It carries over the series fields,
+   * assignees and an unchecked copy of the checklist, with every date
+   * moved along by the same amount. Returns null when the task does not
+   * repeat, its rule has ended or the next occurrence already exists.
+   */
+  async spawnNext(task, actor) {
+    const rule = task.recurrenceRule();
+    if (!rule || !task.recurrence || task.recurrence.nextTaskId || task.deletedAt) return null;
+
+    const { seriesId, seriesStart, occurrenceAt } = task.recurrence;
+    const timeZone = await this.seriesTimeZone(task, actor._id);
+    const now = new Date();
+    const next = nextOccurrence(rule, seriesStart, occurrenceAt > now ? occurrenceAt : now, timeZone);
+    if (!next) return null;
+
+    const values = this.seriesValues(task);
+    const shift = next.date.getTime() - occurrenceAt.getTime();
+    const items = await ChecklistItem.findByTask(task._id);
+    let nextTask = null;
+
+    await boardService.runInTransaction(async (session) => {
+      nextTask = null;
+
+      // Re-read inside the transaction so two completions cannot both
+      // create the next occurrence
+      const current = await Task.findById(task._id).session(session);
+      if (!current || current.recurrence?.nextTaskId) return;
+
+      const created = new Task({
+        goalId: task.goalId,
+        listId: task.listId,
+        createdBy: task.createdBy,
+        title: values.title,
+        description: values.description,
+        priority: values.priority,
+        startDate: shiftDate(values.startDate, shift),
+        dueDate: shiftDate(values.dueDate, shift),
+        estimatedHours: values.estimatedHours,
+        labels: values.labels,
+        watchers: values.watchers,
+        repeat: task.repeat,
+        recurrencePattern: task.recurrencePattern,
+        isSubtask: task.isSubtask,
+        parentTaskId: task.parentTaskId,
+        assignees: task.assignees.map(assignee => ({
+          userId: assignee.userId,
+          assignedBy: assignee.assignedBy,
+          role: assignee.role
+        })),
+        recurrence: {
+          seriesId,
+          index: next.index,
+          occurrenceAt: next.date,
+          seriesStart,
+          overrides: {}
+        }
+      });
+
+      if (task.listId) {
+        created.position = await boardService.nextTaskPosition(task.listId, session);
+      }
+      created.addAuditLog('created', actor._id, {}, { recurredFrom: task._id, occurrence: next.index });
+      await created.save({ session });
+
+      if (items.length > 0) {
+        await ChecklistItem.insertMany(items.map((item, position) => {
+          const copy = new ChecklistItem({
+            taskId: created._id,
+            label: item.label,
+            notes: item.notes,
+            priority: item.priority,
+            dueDate: shiftDueDate(item.dueDate, shift, { notBefore: now }),
+            assigneeId: item.assigneeId,
+            assignedBy: item.assignedBy,
+            assignedAt: item.assigneeId ? now : undefined,
+            position
+          });
+          copy.addAuditLog('created', actor._id, { copiedFrom: item._id });
+          return copy;
+        }), { session });
+      }
+
+      current.recurrence.nextTaskId = created._id;
+      current.addAuditLog('recurred', actor._id, {}, { nextTaskId: created._id, occurrence: next.index });
+      await current.save({ session });
+
+      nextTask = created;
+    });
+
+    if (!nextTask) return null;
+    task.recurrence.nextTaskId = nextTask._id;
+
+    for (const assignee of nextTask.assignees) {
+      if (assignee.userId.toString() !== actor._id.toString()) {
+        await notificationService.notifyTaskAssigned(nextTask, assignee.userId, actor);
+      }
+    }
+
+    return nextTask;
+  }
+
+  /**
+   * Record an edit to a recurring task before it is saved. With the
+   * "this" scope the series values of the edited fields are kept so the
+   * next occurrence goes back to them. With "following" (the default)
+   * the edit becomes part of the series; a changed rule or date restarts
+   * the series at this occurrence, keeping what is left of its COUNT.
+   */
+  applyEdit(task, changes, scope = 'following') {
+    if (!task.recurrence) return;
+
+    const overrides = { ...task.recurrence.overrides };
+
+    if (scope === 'this') {
+      SERIES_FIELDS.forEach(field => {
+        if (changes[field] && !(field in overrides)) {
+          overrides[field] = toPlain(changes[field].from);
+        }
+      });
+    } else {
+      SERIES_FIELDS.forEach(field => {
+        if (changes[field]) delete overrides[field];
+      });
+
+      const ruleChanged = RULE_FIELDS.some(field => changes[field]);
+      const datesChanged = DATE_FIELDS.some(field => changes[field]);
+
+      if (task.recurrenceRule() && (ruleChanged || datesChanged)) {
+        if (!ruleChanged) this.keepRemainingCount(task);
+        task.startSeries(datesChanged
+          ? task.dueDate || task.startDate || task.recurrence.occurrenceAt
+          : task.recurrence.occurrenceAt);
+      }
+    }
+
+    task.recurrence.overrides = overrides;
+    task.markModified('recurrence.overrides');
+  }
+
+  /**
+   * Apply a "this and following" edit to the later occurrences that are
+   * still open, e.g. when a completed occurrence is edited after the next
+   * one was created. Dates stay as scheduled; fields an occurrence
+   * changed for itself are left alone.
+   */
+  async updateLaterOccurrences(task, changes, userId) {
+    const fields = [...SERIES_FIELDS, ...RULE_FIELDS].filter(field => changes[field] && !DATE_FIELDS.includes(field));
+    if (fields.length === 0) return 0;
+
+    let updated = 0;
+    let nextId = task.recurrence?.nextTaskId;
+
+    while (nextId) {
+      const next = await Task.findOne({ _id: nextId, deletedAt: null });
+      if (!next) break;
+      nextId = next.recurrence?.nextTaskId;
+      if (next.status === 'completed') continue;
+
+      const nextChanges = {};
+      fields.forEach(field => {
+        if (next.recurrence && field in next.recurrence.overrides) return;
+        const from = next[field];
+        next[field] = changes[field].to;
+        if (next.isModified(field)) nextChanges[field] = { from, to: next[field] };
+      });
+
+      if (Object.keys(nextChanges).length > 0) {
+        next.addAuditLog('updated', userId, nextChanges, { scope: 'following', editedTaskId: task._id });
+        await next.save();
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Upcoming occurrences of a recurring task's series, from this one on
+   */
+  async upcoming(task, userId, limit = 10) {
+    const rule = task.recurrenceRule();
+    if (!rule || !task.recurrence) return [];
+
+    const timeZone = await this.seriesTimeZone(task, userId);
+    const occurrences = [];
+
+    for (const occurrence of expandRRule(rule, task.recurrence.seriesStart, timeZone)) {
+      if (occurrences.length >= limit) break;
+      if (occurrence.index >= task.recurrence.index) occurrences.push(occurrence);
+    }
+    return occurrences;
+  }
+
+  /**
+   * Values the next occurrence copies: the task's own, with fields
+   * edited for this occurrence only put back to their series values
+   */
+  seriesValues(task) {
+    const values = Object.fromEntries(SERIES_FIELDS.map(field => [field, toPlain(task[field])]));
+    return { ...values, ...task.recurrence?.overrides };
+  }
+
+  /**
+   * The series rule's timezone: its creator's, or the given user's for a
+   * task without a creator
+   */
+  async seriesTimeZone(task, userId) {
+    const ownerId = (task.createdBy || userId).toString();
+    const zones = await getUserTimeZones([ownerId]);
+    return zones.get(ownerId);
+  }
+
+  /**
+   * When a series restarts at a later occurrence without a new rule,
+   * count COUNT from there
+   */
+  keepRemainingCount(task) {
+    if (task.repeat !== 'custom' || task.recurrence.index <= 1) return;
+
+    const rule = parseRRule(task.recurrencePattern);
+    if (!rule.count) return;
+
+    task.recurrencePattern = formatRRule({ ...rule, count: Math.max(1, rule.count - task.recurrence.index + 1) });
+  }
+}
+
+function shiftDate(date, shift) {
+  return date ? new Date(new Date(date).getTime() + shift) : undefined;
+}
+
+/**
+ * A checklist due date moved along with its task, or none when it would
+ * fall outside what checklist items accept
+ */
+function shiftDueDate(date, shift, { notBefore }) {
+  const shifted = shiftDate(date, shift);
+  if (!shifted || shifted < notBefore || shifted.getTime() > notBefore.getTime() + MAX_DUE_MS) return undefined;
+  return shifted;
+}
+
+/**
+ * A document value as plain data that can be stored in a Mixed field
+ */
+function toPlain(value) {
+  if (Array.isArray(value)) return value.map(item => item);
+  return value ?? null;
+}
+
+export default new RecurrenceService();
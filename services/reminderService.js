@@ -0,0 +1,172 @@
+import Goal from '../models/Goal.js';
+import GoalMember from '../models/GoalMember.js';
+import GoalSetting from '../models/GoalSetting.js';
+import Task from '../models/Task.js';
+import notificationService from './notificationService.js';
+import { getLocalParts, getUserTimeZones, zonedTimeToUtc } from '../utils/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most tasks listed in a single reminder
+const MAX_REMINDER_TASKS = 20;
+
+class ReminderService {
+  /**
+   * Send every goal's due-task reminders and daily summaries whose
+   * reminder time has passed today in the goal owner's timezone. Each
+   * goal is claimed per local day, so a run never sends twice.
+   */
+  async runDue(now = new Date()) {
+    const settingsList = await GoalSetting.findWithNotifications();
+    const result = { reminders: 0, summaries: 0 };
+    if (settingsList.length === 0) return result;
+
+    const goals = await Goal.find({
+      _id: { $in: settingsList.map(settings => settings.goalId) },
+      deletedAt: null,
+      archived: false
+    }).select('title ownerId progress status');
+
+    const goalsById = new Map(goals.map(goal => [goal._id.toString(), goal]));
+    const zones = await getUserTimeZones(goals.map(goal => goal.ownerId));
+
+    for (const settings of settingsList) {
+      const goal = goalsById.get(settings.goalId.toString());
+      if (!goal) continue;
+
+      const timeZone = zones.get(goal.ownerId.toString());
+      const local = getLocalParts(now, timeZone);
+      if (local.time < settings.reminderTime) continue;
+
+      try {
+        if (settings.remindersEnabled && await claimRun(settings, 'lastReminderDate', local.date)) {
+          result.reminders += await this.sendDueReminders(goal, local, timeZone);
+        }
+        if (settings.dailySummary && await claimRun(settings, 'lastSummaryDate', local.date)) {
+          result.summaries += await this.sendDailySummary(goal, now);
+        }
+      } catch (error) {
+        console.error(`Goal reminders failed for goal ${goal._id}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remind assignees of a goal's open tasks that are overdue or due
+   * today. Unassigned tasks go to the goal owner.
+   */
+  async sendDueReminders(goal, local, timeZone) {
+    const endOfToday = zonedTimeToUtc({ year: local.year, month: local.month, day: local.day + 1 }, timeZone);
+
+    const tasks = await Task.find({
+      goalId: goal._id,
+      deletedAt: null,
+      archived: false,
+      status: { $ne: 'completed' },
+      dueDate: { $ne: null, $lt: endOfToday }
+    }).select('title dueDate priority assignees').sort({ dueDate: 1 });
+
+    if (tasks.length === 0) return 0;
+
+    const tasksByUser = new Map();
+    tasks.forEach(task => {
+      const recipients = task.assignees.length > 0
+        ? task.assignees.map(assignee => assignee.userId)
+        : [goal.ownerId];
+
+      recipients.forEach(userId => {
+        const key = userId.toString();
+        if (!tasksByUser.has(key)) tasksByUser.set(key, []);
+        tasksByUser.get(key).push(task);
+      });
+    });
+
+    const now = new Date();
+    let sent = 0;
+
+    for (const [userId, userTasks] of tasksByUser) {
+      const overdue = userTasks.filter(task => task.dueDate < now).length;
+      const dueToday = userTasks.length - overdue;
+
+      const notifications = await notificationService.notify('task_reminder', [userId], {
+        title: `Tasks due in ${goal.title}`,
+        message: describeCounts([[overdue, 'overdue'], [dueToday, 'due today']]),
+        link: `/goals/${goal._id}`,
+        goalId: goal._id,
+        data: {
+          tasks: userTasks.slice(0, MAX_REMINDER_TASKS).map(task => ({
+            _id: task._id,
+            title: task.title,
+            dueDate: task.dueDate,
+            priority: task.priority,
+            isOverdue: task.dueDate < now
+          })),
+          total: userTasks.length
+        }
+      });
+      sent += notifications.length;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send active members a summary of the goal's last 24 hours
+   */
+  async sendDailySummary(goal, now = new Date()) {
+    const since = new Date(now.getTime() - DAY_MS);
+    const open = { goalId: goal._id, deletedAt: null, status: { $ne: 'completed' } };
+
+    const [members, completed, created, overdue, inProgress] = await Promise.all([
+      GoalMember.find({ goalId: goal._id, status: 'active', deletedAt: null }).select('userId'),
+      Task.countDocuments({ goalId: goal._id, deletedAt: null, completedAt: { $gte: since } }),
+      Task.countDocuments({ goalId: goal._id, deletedAt: null, createdAt: { $gte: since } }),
+      Task.countDocuments({ ...open, archived: false, dueDate: { $lt: now } }),
+      Task.countDocuments({ ...open, archived: false, status: 'in_progress' })
+    ]);
+
+    const notifications = await notificationService.notify('daily_summary', members.map(member => member.userId), {
+      title: `Daily summary for ${goal.title}`,
+      message: describeCounts([[completed, 'completed'], [created, 'created'], [overdue, 'overdue']]) ||
+        'No activity in the last 24 hours',
+      link: `/goals/${goal._id}`,
+      goalId: goal._id,
+      data: {
+        stats: {
+          completed,
+          created,
+          overdue,
+          inProgress,
+          progress: goal.progress,
+          status: goal.status
+        },
+        period: { from: since, to: now }
+      }
+    });
+
+    return notifications.length;
+  }
+}
+
+/**
+ * Atomically mark a goal's run for a local day, returning false if
+ * another run already claimed it
+ */
+async function claimRun(settings, field, localDate) {
+  const result = await GoalSetting.updateOne(
+    { _id: settings._id, [field]: { $ne: localDate } },
+    { [field]: localDate }
+  );
+  return result.modifiedCount === 1;
+}
+
+function describeCounts(counts) {
+  return counts
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`)
+    .join(', ');
+}
+
+export default new ReminderService();
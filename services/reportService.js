@@ -0,0 +1,254 @@
+import Goal from '../models/Goal.js';
+import GoalLabel from '../models/GoalLabel.js';
+import GoalMember from '../models/GoalMember.js';
+import List from '../models/List.js';
+import Task from '../models/Task.js';
+import TimeEntry from '../models/TimeEntry.js';
+import User from '../models/User.js';
+import { getLocalParts } from '../utils/timezone.js';
+
+// Ways the estimates report can be grouped
+export const REPORT_GROUPS = ['goal', 'list', 'label', 'assignee', 'week'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReportService {
+  /**
+   * Ids of the goals whose reports a user may view: goals they own and
+   * goals where their active membership has canViewReports
+   */
+  async reportableGoalIds(userId) {
+    const [owned, memberships] = await Promise.all([
+      Goal.find({ ownerId: userId, deletedAt: null }).distinct('_id'),
+      GoalMember.find({
+        userId,
+        status: 'active',
+        deletedAt: null,
+        'permissions.canViewReports': true
+      }).distinct('goalId')
+    ]);
+
+    // Private goals are only open to their owner
+    const memberGoals = await Goal.find({
+      _id: { $in: memberships },
+      deletedAt: null,
+      visibility: { $ne: 'private' }
+    }).distinct('_id');
+    return [...new Set([...owned, ...memberGoals].map(String))];
+  }
+
+  /**
+   * Estimated vs. spent hours of the goals' tasks, grouped by goal, list,
+   * label, assignee or week. Spent time comes from finished time entries.
+   *
+   * Per assignee, a task's estimate is shared evenly by its assignees (or
+   * by whoever logged time on it when it has none) and each person's
+   * spent time is their own entries. Weeks are the weeks tasks were
+   * completed in the viewer's timezone; open tasks fall in no week. A
+   * from/to range keeps tasks completed in it.
+   *
+   * Accuracy is estimated / spent hours over completed tasks that have
+   * both: 1 is spot on, below 1 means the work took longer than planned.
+   */
+  async estimatesReport(goalIds, { groupBy = 'goal', from = null, to = null, timeZone = 'UTC', weekStartsOn = 1 } = {}) {
+    const query = { goalId: { $in: goalIds }, deletedAt: null };
+    if (from || to) {
+      query.completedAt = {};
+      if (from) query.completedAt.$gte = from;
+      if (to) query.completedAt.$lt = to;
+    }
+
+    const tasks = await Task.find(query).select('goalId listId labels assignees status estimatedHours completedAt');
+    const spentByTask = await spentHoursByTaskAndUser(tasks.map(task => task._id));
+
+    const groups = new Map();
+    const members = new Map();
+    const total = emptyRow(null);
+
+    tasks.forEach(task => {
+      const spent = spentByTask.get(task._id.toString()) || new Map();
+      const completed = task.status === 'completed';
+      const estimate = task.estimatedHours || 0;
+      const totalSpent = [...spent.values()].reduce((sum, hours) => sum + hours, 0);
+      accumulate(total, task, completed, estimate, totalSpent);
+
+      const shares = memberShares(task, spent, estimate);
+      shares.forEach(share => {
+        addToRow(members, share.userId, task, completed, share.estimated, share.spent);
+      });
+
+      if (groupBy === 'assignee') return;
+
+      groupKeys(task, groupBy, { timeZone, weekStartsOn }).forEach(key => {
+        addToRow(groups, key, task, completed, estimate, totalSpent);
+      });
+    });
+
+    const memberRows = await this.nameRows(members, 'assignee');
+    const rows = groupBy === 'assignee' ? memberRows : await this.nameRows(groups, groupBy);
+
+    return {
+      groupBy,
+      from,
+      to,
+      timeZone,
+      rows: sortRows(rows, groupBy),
+      members: sortRows(memberRows, 'assignee'),
+      totals: summarize(total)
+    };
+  }
+
+  /**
+   * Summarized rows with a display name for each key
+   */
+  async nameRows(rows, groupBy) {
+    const keys = [...rows.keys()].filter(Boolean);
+    const names = await groupNames(groupBy, keys);
+
+    return [...rows.values()].map(row => ({
+      key: row.key,
+      name: row.key ? names.get(row.key) || null : null,
+      ...summarize(row)
+    }));
+  }
+}
+
+/**
+ * Hours logged per task and user, as taskId -> (userId -> hours)
+ */
+async function spentHoursByTaskAndUser(taskIds) {
+  if (taskIds.length === 0) return new Map();
+
+  const rows = await TimeEntry.aggregate([
+    { $match: { taskId: { $in: taskIds }, deletedAt: null, running: false } },
+    { $group: { _id: { taskId: '$taskId', userId: '$userId' }, minutes: { $sum: '$durationMinutes' } } }
+  ]);
+
+  const spent = new Map();
+  rows.forEach(({ _id, minutes }) => {
+    const taskId = _id.taskId.toString();
+    if (!spent.has(taskId)) spent.set(taskId, new Map());
+    spent.get(taskId).set(_id.userId.toString(), minutes / 60);
+  });
+  return spent;
+}
+
+/**
+ * Each person's part of a task: an even share of the estimate for its
+ * assignees (or for whoever logged time when it has none) and the time
+ * they logged themselves
+ */
+function memberShares(task, spent, estimate) {
+  const assignees = task.assignees.map(assignee => assignee.userId.toString());
+  const estimators = assignees.length > 0 ? assignees : [...spent.keys()];
+  const people = [...new Set([...estimators, ...spent.keys()])];
+
+  if (people.length === 0) {
+    return [{ userId: null, estimated: estimate, spent: 0 }];
+  }
+
+  return people.map(userId => ({
+    userId,
+    estimated: estimators.includes(userId) ? estimate / estimators.length : 0,
+    spent: spent.get(userId) || 0
+  }));
+}
+
+/**
+ * Keys of the groups a task counts towards; null collects tasks without
+ * a list, label or completion week
+ */
+function groupKeys(task, groupBy, { timeZone, weekStartsOn }) {
+  switch (groupBy) {
+    case 'list':
+      return [task.listId ? task.listId.toString() : null];
+    case 'label':
+      return task.labels.length > 0 ? task.labels.map(String) : [null];
+    case 'week':
+      return [task.completedAt ? weekStart(task.completedAt, timeZone, weekStartsOn) : null];
+    default:
+      return [task.goalId.toString()];
+  }
+}
+
+/**
+ * First day (YYYY-MM-DD) of the local week a date falls in
+ */
+function weekStart(date, timeZone, weekStartsOn) {
+  const local = getLocalParts(date, timeZone);
+  const day = Date.UTC(local.year, local.month - 1, local.day) - ((local.weekday - weekStartsOn + 7) % 7) * DAY_MS;
+  return new Date(day).toISOString().slice(0, 10);
+}
+
+async function groupNames(groupBy, keys) {
+  if (groupBy === 'week') return new Map(keys.map(key => [key, key]));
+
+  const lookups = {
+    goal: () => Goal.find({ _id: { $in: keys } }).select('title'),
+    list: () => List.find({ _id: { $in: keys } }).select('title'),
+    label: () => GoalLabel.find({ _id: { $in: keys } }).select('name'),
+    assignee: () => User.find({ _id: { $in: keys } }).select('name')
+  };
+  const docs = await lookups[groupBy]();
+  return new Map(docs.map(doc => [doc._id.toString(), doc.title ?? doc.name]));
+}
+
+function emptyRow(key) {
+  return {
+    key,
+    tasks: new Set(),
+    completedTasks: new Set(),
+    estimatedHours: 0,
+    spentHours: 0,
+    // Only completed tasks with an estimate and logged time count towards accuracy
+    accuracyEstimated: 0,
+    accuracySpent: 0
+  };
+}
+
+function addToRow(rows, key, task, completed, estimated, spent) {
+  if (!rows.has(key)) rows.set(key, emptyRow(key));
+  accumulate(rows.get(key), task, completed, estimated, spent);
+}
+
+function accumulate(row, task, completed, estimated, spent) {
+  const taskId = task._id.toString();
+  row.tasks.add(taskId);
+  if (completed) row.completedTasks.add(taskId);
+  row.estimatedHours += estimated;
+  row.spentHours += spent;
+
+  if (completed && estimated > 0 && spent > 0) {
+    row.accuracyEstimated += estimated;
+    row.accuracySpent += spent;
+  }
+}
+
+function summarize(row) {
+  return {
+    tasks: row.tasks.size,
+    completedTasks: row.completedTasks.size,
+    estimatedHours: round(row.estimatedHours),
+    spentHours: round(row.spentHours),
+    varianceHours: round(row.spentHours - row.estimatedHours),
+    accuracy: row.accuracySpent > 0 ? round(row.accuracyEstimated / row.accuracySpent) : null
+  };
+}
+
+/**
+ * Weeks in order, with tasks outside any week last; other groups by
+ * spent time
+ */
+function sortRows(rows, groupBy) {
+  return [...rows].sort((a, b) => {
+    if (a.key === null || b.key === null) return (a.key === null) - (b.key === null);
+    if (groupBy === 'week') return a.key.localeCompare(b.key);
+    return b.spentHours - a.spentHours || b.estimatedHours - a.estimatedHours;
+  });
+}
+
+function round(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+export default new ReportService();
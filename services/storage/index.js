@@ -0,0 +1,36 @@
+import storageConfig from '../../config/storage.js';
+import LocalStorageDriver from './localDriver.js';
+import S3StorageDriver from './s3Driver.js';
+
+/**
+ * Storage drivers share one interface:
+ *   put(key, sourcePath, { contentType, size })
+ *   createReadStream(key)
+ *   delete(key)
+ *   getDownloadUrl(key, { fileName, contentType, expiresIn })
+ */
+const drivers = {
+  local: () => new LocalStorageDriver({
+    rootDir: storageConfig.local.rootDir,
+    signingSecret: storageConfig.signingSecret,
+    apiBaseUrl: storageConfig.apiBaseUrl
+  }),
+  s3: () => new S3StorageDriver(storageConfig.s3)
+};
+
+const instances = new Map();
+
+/**
+ * Get a storage driver by name, defaulting to the configured driver
+ */
+export function getStorage(name = storageConfig.driver) {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, drivers[name]());
+  }
+  return instances.get(name);
+}
+
+export default getStorage;
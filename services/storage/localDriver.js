@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Stores files on the local disk and serves them through signed links
+ * handled by the file download route
+ */
+class LocalStorageDriver {
+  constructor({ rootDir, signingSecret, apiBaseUrl }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+    this.signingSecret = signingSecret;
+    this.apiBaseUrl = apiBaseUrl;
+  }
+
+  /**
+   * Copy a file from a local path into storage under the given key
+   */
+  async put(key, sourcePath) {
+    const target = this.resolveKey(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await pipeline(fs.createReadStream(sourcePath), fs.createWriteStream(target));
+  }
+
+  /**
+   * Open a stored file for reading
+   */
+  async createReadStream(key) {
+    const target = this.resolveKey(key);
+    await fs.promises.access(target);
+    return fs.createReadStream(target);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolveKey(key), { force: true });
+  }
+
+  /**
+   * Build a time-limited download link for a stored file
+   */
+  async getDownloadUrl(key, { fileName, expiresIn }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const url = new URL('/api/files/download', this.apiBaseUrl);
+    url.searchParams.set('key', key);
+    url.searchParams.set('name', fileName);
+    url.searchParams.set('expires', String(expires));
+    url.searchParams.set('signature', this.sign(key, fileName, expires));
+    return url.toString();
+  }
+
+  /**
+   * Check a download link's signature and expiry
+   */
+  verifyDownload({ key, name, expires, signature }) {
+    if (!key || !name || !expires || !signature) return false;
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.sign(key, name, expires));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && timingSafeEqual(expected, given);
+  }
+
+  sign(key, fileName, expires) {
+    return createHmac('sha256', this.signingSecret)
+      .update(`${key}\n${fileName}\n${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Map a storage key to a path, refusing keys that escape the root
+   */
+  resolveKey(key) {
+    const target = path.resolve(this.rootDir, key);
+    if (!target.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return target;
+  }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { contentDisposition } from '../../utils/mime.js';
+
+/**
+ * Stores files in an S3-compatible bucket. Set an endpoint and path-style
+ * addressing to run against MinIO or another local stand-in.
+ */
+class S3StorageDriver {
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error('Missing required S3 storage configuration: S3_BUCKET_NAME');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * Upload a file from a local path under the given key
+   */
+  async put(key, sourcePath, { contentType, size } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(sourcePath),
+      ContentType: contentType,
+      ContentLength: size
+    }));
+  }
+
+  /**
+   * Open a stored object for reading
+   */
+  async createReadStream(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+    return response.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  /**
+   * Build a presigned, time-limited download link
+   */
+  async getDownloadUrl(key, { fileName, contentType, expiresIn }) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ResponseContentType: contentType,
+      ResponseContentDisposition: contentDisposition(fileName)
+    }), { expiresIn });
+  }
+}
+
+export default S3StorageDriver;
@@ -0,0 +1,216 @@
+import Task from '../models/Task.js';
+import TimeEntry, { MAX_ENTRY_MINUTES } from '../models/TimeEntry.js';
+import UserProfile from '../models/UserProfile.js';
+
+// Fields a user may change on one of their entries
+export const ENTRY_FIELDS = ['startedAt', 'endedAt', 'note'];
+
+class TimeTrackingService {
+  /**
+   * Start a timer on a task. A timer the user already has running is
+   * stopped first, so switching tasks is a single call.
+   */
+  async startTimer(userId, task, { note = '' } = {}) {
+    const stopped = await this.stopTimer(userId, { quiet: true });
+
+    const entry = new TimeEntry({
+      userId,
+      taskId: task._id,
+      goalId: task.goalId || null,
+      source: 'timer',
+      startedAt: new Date(),
+      running: true,
+      note
+    });
+
+    try {
+      await entry.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Another device started a timer at the same moment
+      const conflict = new Error('A timer is already running');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    this.broadcast(userId, 'timer:started', { entry, stoppedEntry: stopped });
+    return { entry, stopped };
+  }
+
+  /**
+   * Stop the user's running timer, returning the finished entry or null
+   * when none was running. A timer left running longer than an entry
+   * may last is stopped at that limit.
+   */
+  async stopTimer(userId, { note, quiet = false } = {}) {
+    const entry = await TimeEntry.findRunning(userId);
+    if (!entry) return null;
+
+    if (note !== undefined) entry.note = note;
+    await finishEntry(entry);
+    await this.rollup([entry.taskId], [userId]);
+
+    if (!quiet) this.broadcast(userId, 'timer:stopped', { entry });
+    return entry;
+  }
+
+  /**
+   * Stop every timer running on a task, such as one being deleted
+   */
+  async stopTaskTimers(taskId) {
+    const entries = await TimeEntry.find({ taskId, running: true, deletedAt: null });
+    if (entries.length === 0) return [];
+
+    for (const entry of entries) {
+      await finishEntry(entry);
+    }
+    await this.rollup([taskId], entries.map(entry => entry.userId));
+
+    entries.forEach(entry => this.broadcast(entry.userId, 'timer:stopped', { entry }));
+    return entries;
+  }
+
+  /**
+   * Log time on a task after the fact, from start and end times or a
+   * start time and a duration in minutes
+   */
+  async createEntry(userId, task, { startedAt, endedAt, durationMinutes, note = '' }) {
+    const start = new Date(startedAt);
+    const end = endedAt !== undefined
+      ? new Date(endedAt)
+      : new Date(start.getTime() + Number(durationMinutes) * 60 * 1000);
+
+    const entry = new TimeEntry({
+      userId,
+      taskId: task._id,
+      goalId: task.goalId || null,
+      source: 'manual',
+      startedAt: start,
+      endedAt: end,
+      note
+    });
+    await entry.save();
+
+    await this.rollup([task._id], [userId]);
+    return entry;
+  }
+
+  /**
+   * Change an entry's times or note and roll the totals up again.
+   * Returns the changes as { field: { from, to } }.
+   */
+  async updateEntry(entry, updates) {
+    const changes = {};
+    ENTRY_FIELDS.forEach(field => {
+      if (updates[field] === undefined) return;
+      if (field === 'endedAt' && entry.running) return;
+
+      const from = entry[field];
+      entry[field] = updates[field];
+      if (entry.isModified(field)) changes[field] = { from, to: entry[field] };
+    });
+
+    if (Object.keys(changes).length === 0) return changes;
+
+    await entry.save();
+    if (entry.running) {
+      this.broadcast(entry.userId, 'timer:updated', { entry });
+    } else {
+      await this.rollup([entry.taskId], [entry.userId]);
+    }
+    return changes;
+  }
+
+  /**
+   * Delete an entry; deleting a running timer stops it
+   */
+  async deleteEntry(entry) {
+    const wasRunning = entry.running;
+    await entry.softDelete();
+
+    if (wasRunning) {
+      this.broadcast(entry.userId, 'timer:stopped', { entry, deleted: true });
+    } else {
+      await this.rollup([entry.taskId], [entry.userId]);
+    }
+  }
+
+  /**
+   * Recompute Task.timeSpent for tasks and the time stats on the users'
+   * profiles from their finished entries. All totals are in minutes;
+   * averageTaskDuration is the average time a user logged per task.
+   */
+  async rollup(taskIds, userIds) {
+    const [byTask, byUser] = await Promise.all([
+      TimeEntry.sumMinutes('taskId', taskIds),
+      TimeEntry.sumMinutes('userId', userIds)
+    ]);
+
+    await Promise.all([
+      ...taskIds.map(taskId => Task.updateOne(
+        { _id: taskId },
+        { $set: { timeSpent: round(byTask.get(taskId.toString())?.minutes || 0) } }
+      )),
+      ...userIds.map(userId => {
+        const totals = byUser.get(userId.toString());
+        return UserProfile.updateOne({ userId }, {
+          $set: {
+            totalTimeSpent: round(totals?.minutes || 0),
+            averageTaskDuration: totals?.tasks ? round(totals.minutes / totals.tasks) : 0
+          }
+        });
+      })
+    ]);
+  }
+
+  /**
+   * Entries matching a filter, newest first
+   */
+  findEntries({ userId, taskId, goalId, from, to }, { skip = 0, limit = 50 } = {}) {
+    const query = buildEntryQuery({ userId, taskId, goalId, from, to });
+    return Promise.all([
+      TimeEntry.find(query).sort({ startedAt: -1 }).skip(skip).limit(limit),
+      TimeEntry.countDocuments(query)
+    ]);
+  }
+
+  /**
+   * Tell every session of the user about a timer change
+   */
+  broadcast(userId, event, data) {
+    if (!global.socketService) return;
+    global.socketService.broadcastToUser(userId.toString(), event, data);
+  }
+}
+
+/**
+ * Stop a running entry now, or at the longest an entry may last if it
+ * was left running past that
+ */
+function finishEntry(entry) {
+  const end = Math.min(Date.now(), entry.startedAt.getTime() + MAX_ENTRY_MINUTES * 60 * 1000);
+
+  // A timer stopped within the same millisecond it started still needs
+  // an end after its start, and the end cannot be in the future
+  if (end <= entry.startedAt.getTime()) entry.startedAt = new Date(end - 1);
+  return entry.stop(new Date(end));
+}
+
+function buildEntryQuery({ userId, taskId, goalId, from, to }) {
+  const query = { deletedAt: null };
+  if (userId) query.userId = userId;
+  if (taskId) query.taskId = taskId;
+  if (goalId) query.goalId = goalId;
+
+  const fromDate = from && new Date(from);
+  const toDate = to && new Date(to);
+  if (fromDate && !Number.isNaN(fromDate.getTime())) query.startedAt = { $gte: fromDate };
+  if (toDate && !Number.isNaN(toDate.getTime())) query.startedAt = { ...query.startedAt, $lt: toDate };
+  return query;
+}
+
+function round(minutes) {
+  return Math.round(minutes * 100) / 100;
+}
+
+export default new TimeTrackingService();
@@ -0,0 +1,135 @@
+import Goal from '../models/Goal.js';
+import TaskFile from '../models/TaskFile.js';
+import User from '../models/User.js';
+import storageConfig from '../config/storage.js';
+
+class UsageService {
+  /**
+   * Storage used by a user's uploads across all goals
+   */
+  async getUserUsage(user) {
+    const quota = storageConfig.getStorageQuota(user.subscriptionPlan).user;
+    const usage = await TaskFile.sumUsage({ uploaderId: user._id });
+    return summarize(usage, quota);
+  }
+
+  /**
+   * Storage used by a goal, limited by its owner's plan
+   */
+  async getGoalUsage(goal) {
+    const owner = await User.findById(goal.ownerId).select('subscriptionPlan');
+    const quota = storageConfig.getStorageQuota(owner?.subscriptionPlan).goal;
+    const usage = await TaskFile.sumUsage({ goalId: goal._id });
+    return summarize(usage, quota);
+  }
+
+  /**
+   * Full usage picture for a user: their own uploads (overall and per
+   * goal) and the totals of the goals they own
+   */
+  async getUsageReport(user) {
+    const plan = user.subscriptionPlan || 'free';
+    const quotas = storageConfig.getStorageQuota(plan);
+
+    const [storage, uploadsByGoal, ownedGoals] = await Promise.all([
+      this.getUserUsage(user),
+      TaskFile.usageByGoal(user._id),
+      Goal.find({ ownerId: user._id, deletedAt: null }).select('title')
+    ]);
+
+    const ownedUsage = await TaskFile.aggregate([
+      { $match: { goalId: { $in: ownedGoals.map(goal => goal._id) }, isDeleted: false } },
+      { $group: { _id: '$goalId', bytes: { $sum: '$size' }, files: { $sum: 1 } } }
+    ]);
+    const usageByOwnedGoal = new Map(ownedUsage.map(entry => [entry._id.toString(), entry]));
+
+    const goalTitles = new Map(
+      (await Goal.find({ _id: { $in: uploadsByGoal.map(entry => entry._id).filter(Boolean) } }).select('title'))
+        .map(goal => [goal._id.toString(), goal.title])
+    );
+
+    return {
+      plan,
+      limits: {
+        maxFileSize: storageConfig.getMaxFileSize(plan),
+        userQuota: quotas.user,
+        goalQuota: quotas.goal
+      },
+      storage,
+      uploadsByGoal: uploadsByGoal.map(entry => ({
+        goalId: entry._id,
+        title: entry._id ? goalTitles.get(entry._id.toString()) || null : null,
+        used: entry.bytes,
+        files: entry.files
+      })),
+      ownedGoals: ownedGoals.map(goal => summarizeGoal(goal, usageByOwnedGoal.get(goal._id.toString()), quotas.goal))
+    };
+  }
+
+  /**
+   * Reject an upload of the given size if it would exceed the uploader's
+   * or the goal's quota
+   */
+  async assertCanStore({ user, goal, bytes }) {
+    const userUsage = await this.getUserUsage(user);
+    if (userUsage.used + bytes > userUsage.quota) {
+      throw quotaError(
+        `This upload needs ${formatBytes(bytes)} but only ${formatBytes(userUsage.remaining)} of your ${formatBytes(userUsage.quota)} storage is left on the ${user.subscriptionPlan || 'free'} plan`,
+        { scope: 'user', ...userUsage, required: bytes }
+      );
+    }
+
+    if (goal) {
+      const goalUsage = await this.getGoalUsage(goal);
+      if (goalUsage.used + bytes > goalUsage.quota) {
+        throw quotaError(
+          `This upload needs ${formatBytes(bytes)} but only ${formatBytes(goalUsage.remaining)} of this goal's ${formatBytes(goalUsage.quota)} storage is left`,
+          { scope: 'goal', ...goalUsage, required: bytes }
+        );
+      }
+    }
+  }
+}
+
+function summarize({ bytes, files }, quota) {
+  return {
+    used: bytes,
+    files,
+    quota,
+    remaining: Math.max(quota - bytes, 0)
+  };
+}
+
+function summarizeGoal(goal, usage, quota) {
+  return {
+    goalId: goal._id,
+    title: goal.title,
+    ...summarize({ bytes: usage?.bytes || 0, files: usage?.files || 0 }, quota)
+  };
+}
+
+/**
+ * Human-readable byte count
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number.isInteger(value) ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Build a quota error carrying the usage that caused it
+ */
+function quotaError(message, details) {
+  const error = new Error(message);
+  error.statusCode = 413;
+  error.details = { quota: details };
+  return error;
+}
+
+export default new UsageService();
@@ -1,6 +1,9 @@
+import mongoose from 'mongoose';
 import jwtUtils from '../utils/jwt.js';
 import User from '../models/User.js';
 import UserSession from '../models/UserSession.js';
+import TimeEntry from '../models/TimeEntry.js';
+import notificationService from '../services/notificationService.js';
 
 class SocketService {
   constructor() {
@@ -80,6 +83,9 @@ class SocketService {
     // Broadcast user online status to relevant users (if needed)
     this.broadcastUserStatus(userId, 'online');
 
+    // Show a timer started on another device
+    this.sendRunningTimer(socket);
+
     // Setup event handlers
     this.setupUserEvents(socket);
 
@@ -132,8 +138,23 @@ class SocketService {
     });
 
     // Notification events
-    socket.on('notification:read', (data) => {
-      this.broadcastToUser(userId, 'notification:read', data);
+    // Persist the read state; the service echoes it to all of the user's sessions
+    socket.on('notification:read', async (data = {}) => {
+      try {
+        if (data.all) {
+          const goalId = mongoose.isValidObjectId(data.goalId) ? data.goalId : null;
+          await notificationService.markAllRead(userId, { goalId });
+          return;
+        }
+
+        const ids = [].concat(data.notificationIds || data.notificationId || [])
+          .filter(id => mongoose.isValidObjectId(id));
+        if (ids.length > 0) {
+          await notificationService.markRead(userId, ids);
+        }
+      } catch (error) {
+        console.error(`Failed to mark notifications read for user ${userId}:`, error);
+      }
     });
 
     // Session events
@@ -206,6 +227,12 @@ class SocketService {
     });
   }
 
+  broadcastToUsers(userIds, event, data) {
+    new Set(userIds.map(String)).forEach(userId => {
+      this.broadcastToUser(userId, event, data);
+    });
+  }
+
   broadcastToAllUsers(event, data) {
     this.io.emit(event, {
       ...data,
@@ -219,6 +246,18 @@ class SocketService {
     console.log(`📊 User ${userId} is now ${status}`);
   }
 
+  // Send the user's running timer, if any, to a newly connected socket
+  async sendRunningTimer(socket) {
+    try {
+      const entry = await TimeEntry.findRunning(socket.userId);
+      if (entry) {
+        socket.emit('timer:state', { entry, timestamp: new Date().toISOString() });
+      }
+    } catch (error) {
+      console.error(`Failed to send running timer to user ${socket.userId}:`, error.message);
+    }
+  }
+
   // Send notification to specific user
   sendNotificationToUser(userId, notification) {
     this.broadcastToUser(userId, 'notification:new', notification);
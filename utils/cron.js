@@ -0,0 +1,151 @@
+import { getLocalParts, resolveTimeZone, zonedTimeToUtc } from './timezone.js';
+
+// minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for a matching day after this many years
+const MAX_SEARCH_DAYS = 5 * 366;
+
+/**
+ * Parse a five-field cron expression. Supports '*', lists, ranges,
+ * steps and the @daily-style aliases. Throws on invalid input.
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const source = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (schedule.dayOfWeek.values.has(7)) {
+    schedule.dayOfWeek.values.delete(7);
+    schedule.dayOfWeek.values.add(0);
+  }
+
+  return schedule;
+}
+
+/**
+ * Whether a string is a valid cron expression
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The first time strictly after `after` that matches a cron expression,
+ * evaluated on the wall clock of a timezone
+ */
+export function nextCronTime(expression, after = new Date(), timeZone = 'UTC') {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const zone = resolveTimeZone(timeZone);
+  const start = getLocalParts(after, zone);
+
+  const hours = [...schedule.hour.values].sort((a, b) => a - b);
+  const minutes = [...schedule.minute.values].sort((a, b) => a - b);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    // Date.UTC normalises day overflow into the following months
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const local = {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      weekday: day.getUTCDay()
+    };
+
+    if (!matchesDay(schedule, local)) continue;
+
+    for (const hour of hours) {
+      if (offset === 0 && hour < start.hour) continue;
+
+      for (const minute of minutes) {
+        const candidate = zonedTimeToUtc({ ...local, hour, minute }, zone);
+        if (candidate > after) return candidate;
+      }
+    }
+  }
+
+  throw new Error(`Cron expression never matches: "${expression}"`);
+}
+
+/**
+ * Day matching follows cron: when both day fields are restricted, a day
+ * matching either one matches, otherwise it has to match both
+ */
+function matchesDay(schedule, local) {
+  if (!schedule.month.values.has(local.month)) return false;
+
+  const domMatch = schedule.dayOfMonth.values.has(local.day);
+  const dowMatch = schedule.dayOfWeek.values.has(local.weekday);
+
+  if (schedule.dayOfMonth.any || schedule.dayOfWeek.any) return domMatch && dowMatch;
+  return domMatch || dowMatch;
+}
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name} field: "${text}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = min;
+      to = name === 'dayOfWeek' ? 6 : max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(Number);
+    } else {
+      from = Number(range);
+      to = stepText === undefined ? from : max;
+    }
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} field: "${text}"`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  // As in Vixie cron, a field starting with '*' (such as '*/2') counts
+  // as unrestricted for the day-of-month/day-of-week rule
+  return { values, any: text.startsWith('*') };
+}
@@ -0,0 +1,31 @@
+/**
+ * CSV export helpers
+ */
+
+// Leading characters spreadsheets treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Build a CSV document from column definitions ({ key, header }) and
+ * rows. Values are quoted when needed, and text that a spreadsheet
+ * would run as a formula is prefixed with a quote.
+ */
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map(column => escapeCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default toCsv;
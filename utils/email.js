@@ -1,85 +1,241 @@
+import fs from 'fs/promises';
+import path from 'path';
 import nodemailer from 'nodemailer';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import EmailMessage from '../models/EmailMessage.js';
+import User from '../models/User.js';
+import jobQueue from '../services/jobQueue.js';
+import emailConfig from '../config/email.js';
+import EmailTemplates, { DEFAULT_LANGUAGE } from './emailTemplates.js';
+import { getUserTimeZones } from './timezone.js';
 
 class EmailService {
   constructor() {
+    this.transport = emailConfig.transport;
     this.transporter = this.createTransporter();
-    this.from = process.env.EMAIL_FROM || 'noreply@goalsync.com';
-    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    this.from = emailConfig.from;
+    this.frontendUrl = emailConfig.frontendUrl;
+    this.templates = new EmailTemplates({ cache: emailConfig.cacheTemplates });
+
+    // Messages delivered by the memory transport, newest last
+    this.memoryOutbox = [];
   }
 
+  /**
+   * SMTP in production. The file and memory transports build the full
+   * message without sending it, so emails can be checked locally.
+   */
   createTransporter() {
+    if (this.transport === 'file' || this.transport === 'memory') {
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
     return nodemailer.createTransport({
-      host: process.env.SMTP_HOST || 'smtp.resend.com',
-      port: parseInt(process.env.SMTP_PORT) || 587,
+      host: emailConfig.smtp.host,
+      port: emailConfig.smtp.port,
       secure: false,
       auth: {
-        user: process.env.SMTP_USER || 'resend',
-        pass: process.env.SMTP_PASS || process.env.RESEND_API_KEY
+        user: emailConfig.smtp.user,
+        pass: emailConfig.smtp.pass
       }
     });
   }
 
   /**
-   * Send email with error handling
+   * Queue an email in the outbox. A worker delivers it, retrying with
+   * backoff; only a failure to queue it throws.
    */
   async sendEmail(options) {
     try {
-      const mailOptions = {
+      const email = await EmailMessage.create({
+        kind: options.kind,
+        userId: options.userId || null,
         from: options.from || this.from,
         to: options.to,
         subject: options.subject,
-        html: options.html,
-        text: options.text
-      };
+        html: options.html || null,
+        text: options.text || null,
+        headers: options.headers || {}
+      });
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log(`✅ Email sent successfully to ${options.to}: ${options.subject}`);
-      return result;
+      await this.queueDelivery(email);
+      return email;
     } catch (error) {
-      console.error(`❌ Failed to send email to ${options.to}:`, error.message);
+      console.error(`❌ Failed to queue email to ${options.to}:`, error.message);
       throw new Error(`Email sending failed: ${error.message}`);
     }
   }
 
   /**
-   * Send welcome email to new users
+   * Queue the job that delivers an outbox email
    */
-  async sendWelcomeEmail(user, verificationToken = null) {
-    const verificationLink = verificationToken 
-      ? `${this.frontendUrl}/verify-email?token=${verificationToken}`
-      : null;
-
-    const html = `
-      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
-        <div style="text-align: center; padding: 20px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white;">
-          <h1>🎯 Welcome to GoalSync!</h1>
-          <p>Achieve more, together.</p>
-        </div>
-        
-        <div style="padding: 30px;">
-          <h2>Hi ${user.name}! 👋</h2>
-          
-          <p>Welcome to GoalSync! We're excited to help you achieve your goals.</p>
-          
-          ${verificationLink ? `
-            <p>Please verify your email address:</p>
-            <a href="${verificationLink}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 6px;">Verify Email</a>
-          ` : `
-            <a href="${this.frontendUrl}/dashboard" style="display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 6px;">Go to Dashboard</a>
-          `}
-          
-          <p>Best regards,<br>The GoalSync Team</p>
-        </div>
-      </div>
-    `;
+  async queueDelivery(email) {
+    const job = await jobQueue.enqueue('email.send', { emailId: email._id }, {
+      uniqueKey: `email:${email._id}`,
+      maxAttempts: emailConfig.maxAttempts,
+      backoff: emailConfig.backoff
+    });
+
+    email.jobId = job._id;
+    await email.save();
+    return job;
+  }
+
+  /**
+   * Deliver an outbox email through the configured transport. Failures
+   * are recorded on the email and rethrown so the job retries; the email
+   * is marked failed once the job has no attempts left.
+   */
+  async deliver(emailId, job = null) {
+    const email = await EmailMessage.findById(emailId);
+    if (!email) return { skipped: 'missing' };
+    if (email.status === 'sent' || email.status === 'cancelled') return { skipped: email.status };
+
+    await email.markSending(job?.attempts);
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: email.from,
+        to: email.to,
+        subject: email.subject,
+        html: email.html || undefined,
+        text: email.text || undefined,
+        headers: email.headers
+      });
+      const filePath = await this.storeLocally(email, info);
+
+      await email.markSent({
+        transport: this.transport,
+        messageId: info.messageId || null,
+        response: info.response ? String(info.response) : null,
+        filePath
+      });
+      console.log(`✅ Email sent successfully to ${email.to}: ${email.subject}`);
+      return { messageId: info.messageId || null, transport: this.transport };
+    } catch (error) {
+      const final = !job || job.attempts >= job.maxAttempts;
+      await email.recordFailure(error, { final });
+      console.error(`❌ Failed to send email to ${email.to} (attempt ${email.attempts}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a message built by the file or memory transport. Returns the
+   * path of the written .eml file, if any.
+   */
+  async storeLocally(email, info) {
+    if (this.transport === 'memory') {
+      this.memoryOutbox.push({
+        emailId: email._id.toString(),
+        to: email.to,
+        subject: email.subject,
+        raw: info.message.toString(),
+        sentAt: new Date()
+      });
+      this.memoryOutbox.splice(0, Math.max(0, this.memoryOutbox.length - emailConfig.memoryLimit));
+      return null;
+    }
+
+    if (this.transport === 'file') {
+      const filePath = path.join(emailConfig.outputDir, `${email._id}.eml`);
+      await fs.mkdir(emailConfig.outputDir, { recursive: true });
+      await fs.writeFile(filePath, info.message);
+      return filePath;
+    }
+
+    return null;
+  }
+
+  /**
+   * The raw message of an email delivered by the file or memory transport
+   */
+  async getRawMessage(email) {
+    if (email.filePath) {
+      return fs.readFile(email.filePath, 'utf8').catch(() => null);
+    }
+    const stored = this.memoryOutbox.find(entry => entry.emailId === email._id.toString());
+    return stored?.raw || null;
+  }
+
+  /**
+   * Queue a failed or cancelled email again
+   */
+  async retry(emailId) {
+    const email = await EmailMessage.findOneAndUpdate(
+      { _id: emailId, status: { $in: ['failed', 'cancelled'] } },
+      { status: 'queued', lastError: null },
+      { new: true }
+    );
+    if (!email) return null;
+
+    await this.queueDelivery(email);
+    return email;
+  }
+
+  /**
+   * Stop an email that has not been sent yet
+   */
+  async cancel(emailId) {
+    const email = await EmailMessage.findOneAndUpdate(
+      { _id: emailId, status: 'queued' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!email) return null;
+
+    await jobQueue.cancelByKey(`email:${email._id}`);
+    return email;
+  }
+
+  /**
+   * Render a template in the recipient's language and date/time formats
+   * and queue it. `recipient` is a user, or `{ email }` for someone who
+   * may not have an account.
+   */
+  async sendTemplate(template, recipient, data, { kind = template, headers } = {}) {
+    const locale = await this.getRecipientLocale(recipient);
+    const { subject, html, text } = this.templates.render(template, {
+      ...data,
+      recipientEmail: recipient.email
+    }, locale);
 
     return this.sendEmail({
-      to: user.email,
-      subject: '🎯 Welcome to GoalSync!',
-      html
+      kind,
+      userId: recipient._id || null,
+      to: recipient.email,
+      subject,
+      html,
+      text,
+      headers
+    });
+  }
+
+  /**
+   * A recipient's language, timezone and date/time formats, looked up
+   * by account id or, failing that, email address
+   */
+  async getRecipientLocale(recipient) {
+    const query = recipient._id ? { _id: recipient._id } : { email: String(recipient.email).toLowerCase() };
+    const user = await User.findOne(query).select('language dateFormat timeFormat');
+    if (!user) return { language: DEFAULT_LANGUAGE };
+
+    const zones = await getUserTimeZones([user._id]);
+    return {
+      language: user.language || DEFAULT_LANGUAGE,
+      timeZone: zones.get(user._id.toString()),
+      dateFormat: user.dateFormat,
+      timeFormat: user.timeFormat
+    };
+  }
+
+  /**
+   * Send welcome email to new users
+   */
+  async sendWelcomeEmail(user, verificationToken = null) {
+    return this.sendTemplate('welcome', user, {
+      user: { name: user.name },
+      verificationLink: verificationToken ? `${this.frontendUrl}/verify-email?token=${verificationToken}` : null,
+      dashboardLink: `${this.frontendUrl}/dashboard`
     });
   }
 
@@ -87,32 +243,9 @@ class EmailService {
    * Send password reset email
    */
   async sendPasswordResetEmail(user, resetToken) {
-    const resetLink = `${this.frontendUrl}/reset-password?token=${resetToken}`;
-
-    const html = `
-      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
-        <div style="text-align: center; padding: 20px; background: #f8f9fa;">
-          <h1>🔐 Password Reset</h1>
-        </div>
-        
-        <div style="padding: 30px;">
-          <h2>Hi ${user.name},</h2>
-          
-          <p>We received a request to reset your password.</p>
-          
-          <a href="${resetLink}" style="display: inline-block; padding: 12px 24px; background: #dc3545; color: white; text-decoration: none; border-radius: 6px;">Reset Password</a>
-          
-          <p>This link expires in 1 hour. If you didn't request this, please ignore this email.</p>
-          
-          <p>Best regards,<br>The GoalSync Team</p>
-        </div>
-      </div>
-    `;
-
-    return this.sendEmail({
-      to: user.email,
-      subject: '🔐 Password Reset - GoalSync',
-      html
+    return this.sendTemplate('password_reset', user, {
+      user: { name: user.name },
+      resetLink: `${this.frontendUrl}/reset-password?token=${resetToken}`
     });
   }
 
@@ -120,78 +253,11 @@ class EmailService {
    * Send new device login alert
    */
   async sendNewDeviceAlert(user, deviceInfo) {
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>New Device Login - GoalSync</title>
-          <style>
-            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { text-align: center; padding: 20px; background: #e3f2fd; border-radius: 8px; }
-            .content { padding: 30px 0; }
-            .device-info { background: #f8f9fa; padding: 15px; border-radius: 6px; margin: 20px 0; }
-            .button { display: inline-block; padding: 12px 24px; background: #007bff; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0; }
-            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>🔒 New Device Login</h1>
-            </div>
-            
-            <div class="content">
-              <h2>Hi ${user.name},</h2>
-              
-              <p>We detected a new login to your GoalSync account from a device we haven't seen before.</p>
-              
-              <div class="device-info">
-                <h3>Login Details:</h3>
-                <ul>
-                  <li><strong>Device:</strong> ${deviceInfo.deviceName}</li>
-                  <li><strong>Browser:</strong> ${deviceInfo.browser || 'Unknown'}</li>
-                  <li><strong>Operating System:</strong> ${deviceInfo.os || 'Unknown'}</li>
-                  <li><strong>Location:</strong> ${deviceInfo.location?.city || 'Unknown'}, ${deviceInfo.location?.country || 'Unknown'}</li>
-                  <li><strong>IP Address:</strong> ${deviceInfo.ipAddress}</li>
-                  <li><strong>Time:</strong> ${new Date().toLocaleString()}</li>
-                </ul>
-              </div>
-              
-              <p><strong>Was this you?</strong></p>
-              <p>If you recognize this login, you can safely ignore this email. If you don't recognize this activity, please secure your account immediately.</p>
-              
-              <a href="${this.frontendUrl}/security" class="button">Review Security Settings</a>
-              
-              <p>For your security, consider:</p>
-              <ul>
-                <li>Changing your password if this wasn't you</li>
-                <li>Enabling two-factor authentication</li>
-                <li>Reviewing your active sessions</li>
-                <li>Checking your recent account activity</li>
-              </ul>
-              
-              <p>If you need help, please contact our support team immediately.</p>
-              
-              <p>Stay secure,<br>The GoalSync Team</p>
-            </div>
-            
-            <div class="footer">
-              <p>GoalSync - Achieve More Together</p>
-              <p>This security alert was sent to ${user.email}</p>
-              <p><a href="mailto:security@goalsync.com">Report Security Issue</a></p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
-
-    return this.sendEmail({
-      to: user.email,
-      subject: '🔒 New Device Login Alert - GoalSync',
-      html
+    return this.sendTemplate('new_device', user, {
+      user: { name: user.name },
+      device: deviceInfo,
+      loginAt: deviceInfo.loginAt || new Date(),
+      securityLink: `${this.frontendUrl}/security`
     });
   }
 
@@ -199,62 +265,9 @@ class EmailService {
    * Send email verification
    */
   async sendEmailVerification(user, verificationToken) {
-    const verificationLink = `${this.frontendUrl}/verify-email?token=${verificationToken}`;
-
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Verify Your Email - GoalSync</title>
-          <style>
-            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { text-align: center; padding: 20px; background: #e8f5e8; border-radius: 8px; }
-            .content { padding: 30px 0; }
-            .button { display: inline-block; padding: 12px 24px; background: #28a745; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0; }
-            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>📧 Verify Your Email</h1>
-            </div>
-            
-            <div class="content">
-              <h2>Hi ${user.name},</h2>
-              
-              <p>Thanks for signing up for GoalSync! To complete your registration and start achieving your goals, please verify your email address.</p>
-              
-              <a href="${verificationLink}" class="button">Verify Email Address</a>
-              
-              <p>This verification link will expire in 24 hours. If you didn't create an account with GoalSync, you can safely ignore this email.</p>
-              
-              <p>If you can't click the button above, copy and paste this link into your browser:</p>
-              <p style="word-break: break-all; background: #f8f9fa; padding: 10px; border-radius: 4px; font-family: monospace;">
-                ${verificationLink}
-              </p>
-              
-              <p>Once verified, you'll have full access to all GoalSync features!</p>
-              
-              <p>Best regards,<br>The GoalSync Team</p>
-            </div>
-            
-            <div class="footer">
-              <p>GoalSync - Achieve More Together</p>
-              <p>This email was sent to ${user.email}</p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
-
-    return this.sendEmail({
-      to: user.email,
-      subject: '📧 Please verify your email - GoalSync',
-      html
+    return this.sendTemplate('email_verification', user, {
+      user: { name: user.name },
+      verificationLink: `${this.frontendUrl}/verify-email?token=${verificationToken}`
     });
   }
 
@@ -262,71 +275,66 @@ class EmailService {
    * Send goal milestone notification
    */
   async sendMilestoneEmail(user, goal, milestone) {
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Goal Milestone Achieved! - GoalSync</title>
-          <style>
-            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { text-align: center; padding: 20px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border-radius: 8px; }
-            .content { padding: 30px 0; }
-            .milestone { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 6px; margin: 20px 0; }
-            .button { display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0; }
-            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>🎉 Milestone Achieved!</h1>
-              <p>Congratulations on your progress!</p>
-            </div>
-            
-            <div class="content">
-              <h2>Amazing work, ${user.name}! 🚀</h2>
-              
-              <p>You've just reached an important milestone in your goal journey!</p>
-              
-              <div class="milestone">
-                <h3>🎯 Goal: ${goal.title}</h3>
-                <p><strong>Milestone:</strong> ${milestone.title}</p>
-                <p><strong>Progress:</strong> ${milestone.progress}% complete</p>
-              </div>
-              
-              <p>Every step forward is a victory worth celebrating. You're proving that with dedication and the right tools, any goal is achievable!</p>
-              
-              <a href="${this.frontendUrl}/goals/${goal._id}" class="button">View Goal Details</a>
-              
-              <p>Keep up the fantastic work. Your future self will thank you for the effort you're putting in today!</p>
-              
-              <p>Cheering you on,<br>The GoalSync Team 🎯</p>
-            </div>
-            
-            <div class="footer">
-              <p>GoalSync - Achieve More Together</p>
-              <p>This email was sent to ${user.email}</p>
-              <p><a href="${this.frontendUrl}/settings/notifications">Manage notifications</a></p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
+    return this.sendTemplate('goal_milestone', user, {
+      user: { name: user.name },
+      goal: { title: goal.title },
+      milestone: { title: milestone.title, progress: milestone.progress },
+      goalLink: `${this.frontendUrl}/goals/${goal._id}`,
+      settingsLink: `${this.frontendUrl}/settings/notifications`
+    });
+  }
 
-    return this.sendEmail({
-      to: user.email,
-      subject: `🎉 Milestone Achieved: ${milestone.title} - GoalSync`,
-      html
+  /**
+   * Send goal invitation
+   */
+  async sendGoalInviteEmail(invite, goal, inviter) {
+    return this.sendTemplate('goal_invite', { email: invite.inviteeEmail }, {
+      inviter: { name: inviter.name },
+      goal: { title: goal.title, description: goal.description },
+      invite: { role: invite.role, expiresAt: invite.expiresAt },
+      inviteLink: `${this.frontendUrl}/invites/${invite.token}`
     });
   }
 
+  /**
+   * Send a digest of a user's notifications, one section per goal, with
+   * a one-click unsubscribe link for each category it contains
+   */
+  async sendNotificationDigest(user, { sections, count, frequency, unsubscribeLinks, unsubscribeAllUrl }) {
+    const url = link => (link ? `${this.frontendUrl}${link}` : null);
+    const linkedSections = sections.map(section => ({
+      ...section,
+      link: url(section.link),
+      items: section.items.map(item => ({ ...item, link: url(item.link) }))
+    }));
+    const single = count === 1 && sections.length === 1 && sections[0].items.length === 1;
+
+    return this.sendTemplate('notification_digest', user, {
+      user: { name: user.name },
+      sections: linkedSections,
+      count,
+      frequency,
+      firstItem: single ? sections[0].items[0] : null,
+      notificationsLink: `${this.frontendUrl}/notifications`,
+      settingsLink: `${this.frontendUrl}/settings/notifications`,
+      unsubscribeLinks,
+      unsubscribeAllUrl
+    }, {
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeAllUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  }
   /**
    * Test email configuration
    */
   async testConnection() {
+    if (this.transport !== 'smtp') {
+      console.log(`✅ Email service using the ${this.transport} transport`);
+      return true;
+    }
+
     try {
       await this.transporter.verify();
       console.log('✅ Email service configured correctly');
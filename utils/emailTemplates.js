@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import { formatDate, formatDateTime, formatTime } from './timezone.js';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'emails');
+
+// Templates every language falls back to
+export const DEFAULT_LANGUAGE = 'en';
+
+const DEFAULT_LOCALE = {
+  language: DEFAULT_LANGUAGE,
+  timeZone: 'UTC',
+  dateFormat: 'MM/DD/YYYY',
+  timeFormat: '12h'
+};
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Renders emails from Handlebars templates in templates/emails/<language>/.
+ *
+ * A template starts with front matter whose values (subject, heading,
+ * layout...) are templates themselves, rendered in order so later ones
+ * can use earlier ones. Its body is wrapped in a layout from layouts/ and
+ * can use partials from partials/. A template missing in the requested
+ * language is rendered entirely in English; a language's missing layouts
+ * and partials fall back to the English ones.
+ */
+export class EmailTemplates {
+  constructor({ rootDir = TEMPLATE_DIR, cache = true } = {}) {
+    this.rootDir = rootDir;
+    this.cache = cache;
+    this.environments = new Map();
+    this.templates = new Map();
+  }
+
+  /**
+   * Render a template to a subject, HTML and plain text. `locale` holds
+   * the recipient's language, timeZone, dateFormat and timeFormat.
+   */
+  render(name, data = {}, locale = {}) {
+    const language = this.resolveLanguage(name, locale.language);
+    if (!language) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const environment = this.environment(language);
+    const template = this.template(name, language);
+    const context = { ...data, locale: { ...DEFAULT_LOCALE, ...definedValues(locale), language } };
+
+    Object.entries(template.attributes).forEach(([key, render]) => {
+      context[key] = render(context).trim();
+    });
+
+    const layout = environment.layouts.get(context.layout || 'default');
+    if (!layout) {
+      throw new Error(`Unknown email layout: ${context.layout}`);
+    }
+
+    const html = layout({ ...context, body: template.body(context) });
+
+    return {
+      subject: context.subject,
+      html,
+      text: htmlToText(html),
+      language
+    };
+  }
+
+  /**
+   * The first of the language, its base language and English that has
+   * the template
+   */
+  resolveLanguage(name, language) {
+    const candidates = [language, language?.split('-')[0], DEFAULT_LANGUAGE].filter(Boolean);
+    return candidates.find(candidate =>
+      /^[a-zA-Z-]+$/.test(candidate) && fs.existsSync(path.join(this.rootDir, candidate, `${name}.hbs`))
+    ) || null;
+  }
+
+  /**
+   * Compiled template, split into front matter and body
+   */
+  template(name, language) {
+    const key = `${language}/${name}`;
+    if (this.cache && this.templates.has(key)) return this.templates.get(key);
+
+    const environment = this.environment(language);
+    const source = fs.readFileSync(path.join(this.rootDir, language, `${name}.hbs`), 'utf8');
+    const { attributes, body } = parseFrontMatter(source);
+
+    const template = {
+      attributes: Object.fromEntries(Object.entries(attributes).map(([key, value]) =>
+        [key, environment.handlebars.compile(value, { noEscape: true })]
+      )),
+      body: environment.handlebars.compile(body)
+    };
+
+    this.templates.set(key, template);
+    return template;
+  }
+
+  /**
+   * Handlebars instance of a language with its helpers, partials and
+   * layouts registered
+   */
+  environment(language) {
+    if (this.cache && this.environments.has(language)) return this.environments.get(language);
+
+    const handlebars = Handlebars.create();
+    registerHelpers(handlebars);
+
+    const layouts = new Map();
+    [...new Set([DEFAULT_LANGUAGE, language])].forEach(dir => {
+      readTemplates(path.join(this.rootDir, dir, 'partials')).forEach(([name, source]) => {
+        handlebars.registerPartial(name, source);
+      });
+      readTemplates(path.join(this.rootDir, dir, 'layouts')).forEach(([name, source]) => {
+        layouts.set(name, handlebars.compile(source));
+      });
+    });
+
+    const environment = { handlebars, layouts };
+    this.environments.set(language, environment);
+    return environment;
+  }
+
+  /**
+   * Forget compiled templates so edited files are read again
+   */
+  clearCache() {
+    this.environments.clear();
+    this.templates.clear();
+  }
+}
+
+/**
+ * Plain-text version of an HTML email: whitespace collapses as in HTML,
+ * links keep their URL, block elements become paragraphs and list items
+ * get a dash
+ */
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = stripTags(label).trim();
+      const url = decodeEntities(href);
+      return !text || text === url ? url : `${text} (${url})`;
+    })
+    .replace(/\s+/g, ' ')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<(br|\/tr)\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|ul|ol|table)[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .split('\n')
+    .map(line => decodeEntities(line).replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function registerHelpers(handlebars) {
+  const locale = options => options.data.root.locale || DEFAULT_LOCALE;
+
+  handlebars.registerHelper('formatDate', (date, options) => (date ? formatDate(date, locale(options)) : ''));
+  handlebars.registerHelper('formatTime', (date, options) => (date ? formatTime(date, locale(options)) : ''));
+  handlebars.registerHelper('formatDateTime', (date, options) => (date ? formatDateTime(date, locale(options)) : ''));
+  handlebars.registerHelper('eq', (a, b) => a === b);
+  handlebars.registerHelper('plural', (count, singular, plural) => (count === 1 ? singular : plural));
+  handlebars.registerHelper('lowercase', value => String(value ?? '').toLowerCase());
+}
+
+function parseFrontMatter(source) {
+  const match = source.match(FRONT_MATTER);
+  if (!match) return { attributes: {}, body: source };
+
+  const attributes = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      attributes[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return { attributes, body: source.slice(match[0].length) };
+}
+
+/**
+ * [name, source] of each .hbs file in a directory, if it exists
+ */
+function readTemplates(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.hbs'))
+    .map(file => [path.basename(file, '.hbs'), fs.readFileSync(path.join(dir, file), 'utf8')]);
+}
+
+function definedValues(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+}
+
+function stripTags(html) {
+  return String(html).replace(/<[^>]+>/g, '');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&#39;/g, '\'')
+    .replace(/&#x3D;/g, '=')
+    .replace(/&#x60;/g, '`')
+    .replace(/&amp;/g, '&');
+}
+
+export default EmailTemplates;
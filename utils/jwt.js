@@ -8,6 +8,8 @@ class JWTUtils {
     this.refreshTokenSecret = process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret';
     this.accessTokenExpiry = process.env.JWT_EXPIRES_IN || '15m';
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+    this.unsubscribeTokenSecret = process.env.JWT_UNSUBSCRIBE_SECRET || 'fallback-unsubscribe-secret';
+    this.unsubscribeTokenExpiry = process.env.JWT_UNSUBSCRIBE_EXPIRES_IN || '60d';
   }
 
   /**
@@ -221,6 +223,46 @@ class JWTUtils {
     }
   }
 
+  /**
+   * Generate a one-click unsubscribe token for an email category, signed
+   * with its own secret. Links in old emails stop working once it expires.
+   */
+  generateUnsubscribeToken(userId, category) {
+    return jwt.sign(
+      {
+        userId,
+        category,
+        type: 'email-unsubscribe'
+      },
+      this.unsubscribeTokenSecret,
+      {
+        expiresIn: this.unsubscribeTokenExpiry,
+        issuer: 'goalsync-api',
+        audience: 'goalsync-email'
+      }
+    );
+  }
+
+  /**
+   * Verify email unsubscribe token
+   */
+  verifyUnsubscribeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.unsubscribeTokenSecret, {
+        issuer: 'goalsync-api',
+        audience: 'goalsync-email'
+      });
+      
+      if (decoded.type !== 'email-unsubscribe') {
+        throw new Error('Invalid token type');
+      }
+      
+      return decoded;
+    } catch (error) {
+      throw new Error(`Invalid unsubscribe token: ${error.message}`);
+    }
+  }
+
   /**
    * Create session with tokens
    */
@@ -0,0 +1,136 @@
+import fs from 'fs';
+
+// Bytes read from the start of a file for sniffing
+export const SNIFF_BYTES = 4100;
+
+// Magic-number signatures, checked in order. `offset` defaults to 0.
+// Short `binary` signatures only count when the sample is not plain text.
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', ascii: 'GIF87a' },
+  { mime: 'image/gif', ascii: 'GIF89a' },
+  { mime: 'image/webp', ascii: 'WEBP', offset: 8, requires: { ascii: 'RIFF' } },
+  { mime: 'image/bmp', ascii: 'BM', binary: true },
+  { mime: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mime: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mime: 'image/heic', ascii: 'ftypheic', offset: 4 },
+  { mime: 'video/mp4', ascii: 'ftyp', offset: 4 },
+  { mime: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mime: 'audio/mpeg', ascii: 'ID3' },
+  { mime: 'audio/wav', ascii: 'WAVE', offset: 8, requires: { ascii: 'RIFF' } },
+  { mime: 'audio/ogg', ascii: 'OggS' },
+  { mime: 'application/pdf', ascii: '%PDF-' },
+  { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mime: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mime: 'application/x-rar-compressed', ascii: 'Rar!' },
+  { mime: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { mime: 'application/x-msdownload', ascii: 'MZ', binary: true },
+  { mime: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mime: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { mime: 'application/x-sh', ascii: '#!' }
+];
+
+// Office Open XML documents are zip files; the extension tells them apart
+const ZIP_CONTAINERS = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const OLE_CONTAINERS = {
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint'
+};
+
+const TEXT_TYPES = {
+  csv: 'text/csv',
+  md: 'text/markdown',
+  json: 'application/json',
+  svg: 'image/svg+xml',
+  html: 'text/html',
+  htm: 'text/html'
+};
+
+// Types that are never accepted as attachments
+export const BLOCKED_MIME_TYPES = [
+  'application/x-msdownload',
+  'application/x-executable',
+  'application/x-mach-binary',
+  'application/x-sh',
+  'text/html',
+  'image/svg+xml'
+];
+
+/**
+ * Detect a file's MIME type from its leading bytes, using the file name
+ * extension only to tell apart formats that share a container
+ */
+export function sniffMimeType(buffer, fileName = '') {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+  const text = isText(buffer);
+  const match = SIGNATURES.find(signature => matches(buffer, signature) &&
+    (!signature.requires || matches(buffer, signature.requires)) &&
+    (!signature.binary || !text));
+
+  if (match) {
+    if (match.mime === 'application/zip' && ZIP_CONTAINERS[extension]) {
+      return ZIP_CONTAINERS[extension];
+    }
+    if (match.mime === 'application/x-ole-storage') {
+      return OLE_CONTAINERS[extension] || 'application/octet-stream';
+    }
+    return match.mime;
+  }
+
+  if (text) {
+    const head = buffer.toString('utf8', 0, 512).trimStart().toLowerCase();
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return 'image/svg+xml';
+    if (head.startsWith('<!doctype html') || head.startsWith('<html')) return 'text/html';
+    return TEXT_TYPES[extension] || 'text/plain';
+  }
+
+  return 'application/octet-stream';
+}
+
+/**
+ * Read the leading bytes of a file on disk and sniff its type
+ */
+export async function sniffFile(filePath, fileName) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return sniffMimeType(buffer.subarray(0, bytesRead), fileName);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Attachment disposition header with a UTF-8 safe file name
+ */
+export function contentDisposition(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+function matches(buffer, { bytes, ascii, offset = 0 }) {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, 'ascii');
+  if (buffer.length < offset + expected.length) return false;
+  return buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Heuristic: no NUL bytes and valid UTF-8 in the sample
+ */
+function isText(buffer) {
+  if (buffer.length === 0) return true;
+  if (buffer.includes(0)) return false;
+  // Drop a possibly truncated trailing character before decoding
+  const sample = buffer.subarray(0, Math.max(0, buffer.length - 4));
+  return !sample.toString('utf8').includes('\ufffd');
+}
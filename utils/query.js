@@ -0,0 +1,88 @@
+/**
+ * Query string helpers shared by list endpoints
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse page/limit query params into skip/limit values
+ */
+export function parsePagination(query = {}, defaultLimit = DEFAULT_LIMIT) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+}
+
+/**
+ * Build pagination metadata for a response
+ */
+export function buildPagination({ page, limit }, total) {
+  return {
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  };
+}
+
+/**
+ * Parse a sort param such as "-createdAt,title" into a mongoose sort object.
+ * Fields not in the allowed list are ignored.
+ */
+export function parseSort(sort, allowedFields, defaultSort = { createdAt: -1 }) {
+  if (!sort) return defaultSort;
+
+  const result = {};
+  String(sort).split(',').forEach(part => {
+    const field = part.trim().replace(/^[-+]/, '');
+    if (allowedFields.includes(field)) {
+      result[field] = part.trim().startsWith('-') ? -1 : 1;
+    }
+  });
+
+  return Object.keys(result).length > 0 ? result : defaultSort;
+}
+
+/**
+ * Parse a comma separated list param, also accepting the param repeated
+ * (?status=a&status=b). Returns the non-empty values.
+ */
+export function parseList(value) {
+  if (value === undefined || value === null) return [];
+  return [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a boolean query param ("true"/"false"), returning undefined when absent
+ */
+export function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Copy whitelisted fields from a request body onto a document and
+ * return the changed fields as { field: { from, to } } for audit logging
+ */
+export function applyUpdates(doc, updates, allowedFields) {
+  const changes = {};
+
+  allowedFields.forEach(field => {
+    if (updates[field] === undefined) return;
+
+    const from = doc[field];
+    doc[field] = updates[field];
+
+    if (doc.isModified(field)) {
+      changes[field] = { from, to: doc[field] };
+    }
+  });
+
+  return changes;
+}
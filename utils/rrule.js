@@ -0,0 +1,380 @@
+import { getLocalParts, resolveTimeZone, zonedTimeToUtc } from './timezone.js';
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop expanding after this many periods without an occurrence, so a
+// rule that can never match (BYMONTHDAY=31;BYDAY=MO...) cannot spin
+const MAX_EMPTY_PERIODS = 1000;
+
+/**
+ * Parse an RFC 5545 recurrence rule, with or without the "RRULE:"
+ * prefix. Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL, BYDAY (with ordinals for monthly and yearly rules),
+ * BYMONTHDAY and WKST. Throws on invalid input.
+ */
+export function parseRRule(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    // UNTIL as an instant, or as a local date ending the series at the
+    // end of that day in the recurrence's timezone
+    until: null,
+    untilDate: null,
+    byDay: [],
+    byMonthDay: [],
+    weekStart: 1
+  };
+  const seen = new Set();
+
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [rawName, value] = part.split('=');
+    const name = rawName?.trim().toUpperCase();
+    if (!name || value === undefined || value.trim() === '') {
+      throw new Error(`Invalid recurrence rule part: "${part}"`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Recurrence rule part ${name} is repeated`);
+    }
+    seen.add(name);
+
+    const upper = value.trim().toUpperCase();
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(upper)) {
+          throw new Error(`Unsupported recurrence frequency: ${value}`);
+        }
+        rule.freq = upper;
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInteger(upper, 'INTERVAL');
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInteger(upper, 'COUNT');
+        break;
+      case 'UNTIL':
+        Object.assign(rule, parseUntil(upper));
+        break;
+      case 'BYDAY':
+        rule.byDay = upper.split(',').map(parseWeekday);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = upper.split(',').map(parseMonthDay);
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(upper)) {
+          throw new Error(`Invalid WKST: ${value}`);
+        }
+        rule.weekStart = WEEKDAYS.indexOf(upper);
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${name}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must have a FREQ');
+  }
+  if (rule.count && (rule.until || rule.untilDate)) {
+    throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+  }
+  if (rule.byDay.some(day => day.ordinal) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('BYDAY ordinals are only allowed in MONTHLY and YEARLY rules');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+    throw new Error('BYMONTHDAY is not allowed in WEEKLY rules');
+  }
+
+  return rule;
+}
+
+/**
+ * Whether a string is a valid recurrence rule
+ */
+export function isValidRRule(text) {
+  try {
+    parseRRule(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format a parsed rule back into RRULE text
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.weekStart !== 1) parts.push(`WKST=${WEEKDAYS[rule.weekStart]}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.untilDate) {
+    const { year, month, day } = rule.untilDate;
+    parts.push(`UNTIL=${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * Occurrences of a rule starting at `start`, evaluated on the wall clock
+ * of a timezone: every occurrence keeps the start's local time of day
+ * across DST changes. The start is the first occurrence and counts
+ * towards COUNT. Yields { date, index } with a 1-based index.
+ */
+export function* expandRRule(ruleText, start, timeZone = 'UTC') {
+  const rule = typeof ruleText === 'string' ? parseRRule(ruleText) : ruleText;
+  const zone = resolveTimeZone(timeZone);
+  const local = getLocalParts(new Date(start), zone);
+  const startDay = dayNumber(local.year, local.month, local.day);
+  const time = { hour: local.hour, minute: local.minute, second: local.second };
+  const until = rule.untilDate
+    ? zonedTimeToUtc({ ...rule.untilDate, hour: 23, minute: 59, second: 59 }, zone)
+    : rule.until;
+
+  let index = 0;
+  let emptyPeriods = 0;
+
+  // The start is always an occurrence, matching the rule or not
+  index += 1;
+  yield { date: new Date(start), index };
+  if (rule.count && index >= rule.count) return;
+
+  for (let period = 0; emptyPeriods < MAX_EMPTY_PERIODS; period += rule.interval) {
+    const days = periodDays(rule, local, startDay, period).filter(day => day > startDay);
+    emptyPeriods = days.length === 0 ? emptyPeriods + 1 : 0;
+
+    for (const day of days) {
+      const { year, month, day: dayOfMonth } = fromDayNumber(day);
+      const date = zonedTimeToUtc({ year, month, day: dayOfMonth, ...time }, zone);
+      if (until && date > until) return;
+
+      index += 1;
+      yield { date, index };
+      if (rule.count && index >= rule.count) return;
+    }
+  }
+}
+
+/**
+ * The first occurrence strictly after `after`, with its index, or null
+ * when the rule has ended
+ */
+export function nextOccurrence(ruleText, start, after, timeZone = 'UTC') {
+  for (const occurrence of expandRRule(ruleText, start, timeZone)) {
+    if (occurrence.date > after) return occurrence;
+  }
+  return null;
+}
+
+/**
+ * Occurrences between two dates (inclusive), up to `limit`
+ */
+export function occurrencesBetween(ruleText, start, from, to, timeZone = 'UTC', limit = 500) {
+  const occurrences = [];
+  for (const occurrence of expandRRule(ruleText, start, timeZone)) {
+    if (occurrence.date > to || occurrences.length >= limit) break;
+    if (occurrence.date >= from) occurrences.push(occurrence);
+  }
+  return occurrences;
+}
+
+/**
+ * Day numbers (days since the epoch) of the candidate dates in the
+ * `period`-th day, week, month or year after the start, in order
+ */
+function periodDays(rule, start, startDay, period) {
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + period;
+      return matchesFilters(rule, day) ? [day] : [];
+    }
+
+    case 'WEEKLY': {
+      const weekStartDay = startDay - ((weekdayOf(startDay) - rule.weekStart + 7) % 7) + period * 7;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [weekdayOf(startDay)];
+      const days = [];
+      for (let offset = 0; offset < 7; offset++) {
+        const day = weekStartDay + offset;
+        if (weekdays.includes(weekdayOf(day))) days.push(day);
+      }
+      return days;
+    }
+
+    case 'MONTHLY': {
+      const monthIndex = (start.month - 1) + period;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      return monthDays(rule, year, month, start.day);
+    }
+
+    case 'YEARLY': {
+      const year = start.year + period;
+      if (rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+        return validDate(year, start.month, start.day) ? [dayNumber(year, start.month, start.day)] : [];
+      }
+      if (rule.byMonthDay.length === 0) {
+        return weekdaysInRange(rule.byDay, dayNumber(year, 1, 1), dayNumber(year + 1, 1, 1));
+      }
+
+      const days = [];
+      for (let month = 1; month <= 12; month++) {
+        days.push(...monthDays(rule, year, month, start.day));
+      }
+      return days;
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Candidate days of a month: BYMONTHDAY and BYDAY intersect when both
+ * are given; with neither, the start's day of the month (skipping months
+ * that do not have it)
+ */
+function monthDays(rule, year, month, startDayOfMonth) {
+  const first = dayNumber(year, month, 1);
+  const length = daysInMonth(year, month);
+
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+    return startDayOfMonth <= length ? [first + startDayOfMonth - 1] : [];
+  }
+
+  let days;
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map(value => (value > 0 ? value : length + value + 1))
+      .filter(value => value >= 1 && value <= length)
+      .map(value => first + value - 1);
+    if (rule.byDay.length > 0) {
+      const allowed = new Set(weekdaysInRange(rule.byDay, first, first + length));
+      days = days.filter(day => allowed.has(day));
+    }
+  } else {
+    days = weekdaysInRange(rule.byDay, first, first + length);
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Days in [from, to) matching BYDAY entries. An ordinal picks the nth
+ * (or nth-from-last) matching weekday in the range.
+ */
+function weekdaysInRange(byDay, from, to) {
+  const days = new Set();
+
+  byDay.forEach(({ weekday, ordinal }) => {
+    const matches = [];
+    for (let day = from; day < to; day++) {
+      if (weekdayOf(day) === weekday) matches.push(day);
+    }
+
+    if (!ordinal) {
+      matches.forEach(day => days.add(day));
+      return;
+    }
+    const pick = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+    if (pick !== undefined) days.add(pick);
+  });
+
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * BYDAY and BYMONTHDAY act as filters on daily rules
+ */
+function matchesFilters(rule, day) {
+  if (rule.byDay.length > 0 && !rule.byDay.some(entry => entry.weekday === weekdayOf(day))) {
+    return false;
+  }
+  if (rule.byMonthDay.length > 0) {
+    const { year, month, day: dayOfMonth } = fromDayNumber(day);
+    const length = daysInMonth(year, month);
+    return rule.byMonthDay.some(value => (value > 0 ? value : length + value + 1) === dayOfMonth);
+  }
+  return true;
+}
+
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * UNTIL as a date (YYYYMMDD), kept as a local date, or a UTC date-time
+ * (YYYYMMDDTHHMMSSZ)
+ */
+function parseUntil(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new Error(`Invalid UNTIL: ${value}`);
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  if (!validDate(year, month, day)) {
+    throw new Error(`Invalid UNTIL: ${value}`);
+  }
+
+  return match[4] === undefined
+    ? { until: null, untilDate: { year, month, day } }
+    : { until: new Date(Date.UTC(year, month - 1, day, hour, minute, second)), untilDate: null };
+}
+
+function parseWeekday(value) {
+  const match = value.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) {
+    throw new Error(`Invalid BYDAY value: ${value}`);
+  }
+
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 53)) {
+    throw new Error(`Invalid BYDAY ordinal: ${value}`);
+  }
+  return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+}
+
+function parseMonthDay(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number === 0 || Math.abs(number) > 31) {
+    throw new Error(`Invalid BYMONTHDAY value: ${value}`);
+  }
+  return number;
+}
+
+function dayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function fromDayNumber(day) {
+  const date = new Date(day * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf(day) {
+  return new Date(day * DAY_MS).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function validDate(year, month, day) {
+  return day >= 1 && day <= daysInMonth(year, month);
+}
@@ -0,0 +1,149 @@
+import UserSettings from '../models/UserSettings.js';
+import User from '../models/User.js';
+
+const formatters = new Map();
+
+/**
+ * Whether a string is an IANA timezone the runtime knows about
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A usable timezone, falling back to UTC
+ */
+export function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock parts of an instant in a timezone, plus YYYY-MM-DD and
+ * HH:MM strings for comparisons
+ */
+export function getLocalParts(date, timeZone) {
+  const parts = {};
+  getFormatter(resolveTimeZone(timeZone)).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const local = {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+  local.date = `${parts.year}-${parts.month}-${parts.day}`;
+  local.time = `${parts.hour}:${parts.minute}`;
+  return local;
+}
+
+/**
+ * The instant at which a wall-clock time occurs in a timezone. Times
+ * skipped by a DST change resolve to the following valid instant, and
+ * repeated times to their first occurrence.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const target = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offsets in force a day either side cover any DST change around
+  // the wall time; each gives a candidate instant
+  const offsets = new Set([target - DAY_MS, target + DAY_MS].map(instant => getOffset(instant, timeZone)));
+  const candidates = [...offsets].map(offset => target - offset);
+  const matches = candidates.filter(instant => instant + getOffset(instant, timeZone) === target);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : Math.max(...candidates));
+}
+
+/**
+ * Milliseconds a timezone is ahead of UTC at an instant
+ */
+function getOffset(instant, timeZone) {
+  const local = getLocalParts(new Date(instant), timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * A date on the wall clock of a timezone, in one of the user date
+ * formats (MM/DD/YYYY, DD/MM/YYYY or YYYY-MM-DD)
+ */
+export function formatDate(date, { timeZone = 'UTC', dateFormat = 'MM/DD/YYYY' } = {}) {
+  const [year, month, day] = getLocalParts(new Date(date), timeZone).date.split('-');
+
+  if (dateFormat === 'DD/MM/YYYY') return `${day}/${month}/${year}`;
+  if (dateFormat === 'YYYY-MM-DD') return `${year}-${month}-${day}`;
+  return `${month}/${day}/${year}`;
+}
+
+/**
+ * A time on the wall clock of a timezone, on a 12h or 24h clock
+ */
+export function formatTime(date, { timeZone = 'UTC', timeFormat = '12h' } = {}) {
+  const { hour, time } = getLocalParts(new Date(date), timeZone);
+  if (timeFormat === '24h') return time;
+
+  const minutes = time.slice(3);
+  return `${hour % 12 || 12}:${minutes} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * A date and time on the wall clock of a timezone in the user's formats
+ */
+export function formatDateTime(date, options = {}) {
+  return `${formatDate(date, options)} ${formatTime(date, options)}`;
+}
+
+/**
+ * Preferred timezones of a set of users, keyed by user id. User settings
+ * win over the account's timezone.
+ */
+export async function getUserTimeZones(userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  const [settings, users] = await Promise.all([
+    UserSettings.find({ userId: { $in: ids } }).select('userId timezone'),
+    User.find({ _id: { $in: ids } }).select('timezone')
+  ]);
+
+  const zones = new Map(users.map(user => [user._id.toString(), resolveTimeZone(user.timezone)]));
+  settings.forEach(entry => {
+    if (isValidTimeZone(entry.timezone)) {
+      zones.set(entry.userId.toString(), entry.timezone);
+    }
+  });
+
+  ids.forEach(id => {
+    if (!zones.has(id)) zones.set(id, 'UTC');
+  });
+  return zones;
+}